@@ -70,3 +70,22 @@ export const convertEntities = new Immutable.List([
     }
   }
 ]);
+
+// Suggestion sources that fetch from a fake, slow api
+export const suggestionSources = new Immutable.List([
+  {
+    trigger: '@',
+    entityType: 'MENTION',
+    mutability: 'SEGMENTED',
+    fetch: query => new Promise(resolve => setTimeout(() => resolve(
+      entities.filter(item => item.type === 'MENTION' && item.value.indexOf(`@${query}`) === 0)
+    ), 300))
+  },
+  {
+    trigger: '#',
+    entityType: 'HASHTAG',
+    fetch: query => new Promise(resolve => setTimeout(() => resolve(
+      entities.filter(item => item.type === 'HASHTAG' && item.value.indexOf(`#${query}`) === 0)
+    ), 300))
+  }
+]);
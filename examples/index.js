@@ -6,7 +6,38 @@ import React from 'react';
 import ReactDOM from 'react-dom';
 import Modals from 'ship-components-dialog/src/Modals';
 import TextEditor from '../src/TextEditor';
-import { convertEntities, entities } from './entities';
+import { convertEntities, entities, suggestionSources } from './entities';
+
+/**
+ * Local stub uploader that "uploads" files by giving them blob urls after
+ * some fake progress. Pasted files named fail.png are rejected.
+ */
+function uploadFile(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    let progress = 0;
+    const timer = setInterval(() => {
+      progress += 0.2;
+      onProgress(progress);
+      if (progress < 1) {
+        return;
+      }
+      clearInterval(timer);
+      if (file.name === 'fail.png') {
+        reject(new Error('Upload failed'));
+        return;
+      }
+      resolve({ src: URL.createObjectURL(file) });
+    }, 300);
+  });
+}
+
+/**
+ * Let the stub uploader's blob urls through, they aren't one of the default
+ * link protocols
+ */
+function allowBlobUrls(url) {
+  return /^blob:/.test(url) ? url : void 0;
+}
 
 class Examples extends React.Component {
 
@@ -16,6 +47,7 @@ class Examples extends React.Component {
     this.state ={
       basic: '<h1>Titles</h1><p>Here is <b>some <u>sample</u> <i>text</i></b> with links to google.com</p><blockquote>"And some quotes too"</blockquote><ul><li>Even Bullets!</li></ul>',
       json: '',
+      sources: '',
       suggestions: null
     };
 
@@ -39,7 +71,10 @@ class Examples extends React.Component {
         item.value.toLowerCase().indexOf(event.value.toLowerCase()) !== -1
       ).map(entity => ({
         label: entity.label,
-        value: `${entity.value} `
+        value: entity.value,
+        // Create the entity right away
+        entityType: entity.type,
+        mutability: entity.type === 'MENTION' ? 'SEGMENTED' : 'IMMUTABLE'
       }));
     }
     this.setState({
@@ -48,10 +83,9 @@ class Examples extends React.Component {
   }
 
   handleReset(key) {
+    // Controlled editors pick up the new value on their own
     this.setState({
       [key]: ''
-    }, ()=>{
-      this.refs[key].forceUpdate();
     });
   }
 
@@ -63,9 +97,15 @@ class Examples extends React.Component {
           <h2>Basic (HTML)</h2>
           <TextEditor
             editable
-            ref='basic'
+            controlled
             type='html'
             onChange={this.handleChange.bind(this, 'basic')}
+            blockTypes={TextEditor.defaultProps.blockTypes.add('atomic').add('table')}
+            onUploadFile={uploadFile}
+            sanitizeUrl={allowBlobUrls}
+            stripPastedStyles={false}
+            inputRules
+            linkEditor='popover'
             value={this.state.basic}
             placeholder='Basic editor...'
           />
@@ -137,7 +177,7 @@ class Examples extends React.Component {
           <h2>Entity support for suggestions, mentions and hashtags (HTML)</h2>
           <TextEditor
             editable
-            ref='basic'
+            controlled
             type='html'
             onChange={this.handleChange.bind(this, 'basic')}
             onEntityChange={this.handleEntityChange}
@@ -156,6 +196,21 @@ class Examples extends React.Component {
             <pre>{this.state.basic}</pre>
           </div>
         </div>
+        <div className='example-group'>
+          <h2>Suggestion sources (HTML)</h2>
+          <TextEditor
+            editable
+            type='html'
+            placeholder='Type @ or # to fetch suggestions...'
+            onChange={this.handleChange.bind(this, 'sources')}
+            value={this.state.sources}
+            suggestionSources={suggestionSources}
+          />
+          <div>
+            <h3>Value</h3>
+            <pre>{this.state.sources}</pre>
+          </div>
+        </div>
         <div className='example-group'>
           <h2>Basic (JSON)</h2>
           <TextEditor
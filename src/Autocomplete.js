@@ -3,16 +3,25 @@
  */
 
 import React from 'react';
+import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
 import Immutable from 'immutable';
 import classNames from 'classnames';
+import { getPosition, isSamePosition } from './lib/position';
 
 // CSS Module
 import css from './Autocomplete.css';
 
 export class AutocompleteSuggestion extends Immutable.Record({
   label: undefined,
-  value: undefined
+  value: undefined,
+  title: undefined,
+  // Suggestions next to each other with the same group share a header
+  group: undefined,
+  // Entity to create when picked, with any data to keep on it
+  entityType: undefined,
+  mutability: undefined,
+  data: undefined
 }) { }
 
 export default class Autocomplete extends React.PureComponent {
@@ -20,25 +29,132 @@ export default class Autocomplete extends React.PureComponent {
     super(props);
 
     this.state = {
-      selectedIndex: 0
+      selectedIndex: 0,
+      // Closed with Escape until the query changes
+      dismissed: false,
+      // Where we're anchored on the screen, if we can find the caret
+      position: null
     };
 
+    this.isOpen = this.isOpen.bind(this);
+    this.dismiss = this.dismiss.bind(this);
     this.moveSelection = this.moveSelection.bind(this);
+    this.getSelection = this.getSelection.bind(this);
     this.clickSelection = this.clickSelection.bind(this);
     this.handleSelection = this.handleSelection.bind(this);
     this.handleClick = this.handleClick.bind(this);
+    this.handleWrapRef = this.handleWrapRef.bind(this);
+    this.updatePosition = this.updatePosition.bind(this);
+  }
+
+  /**
+   * Move next to the caret
+   */
+  componentDidMount() {
+    this.updatePosition();
+    this.reportActive();
+  }
+
+  /**
+   * Follow the caret as the query changes
+   */
+  componentDidUpdate() {
+    this.updatePosition();
+    this.reportActive();
+  }
+
+  /**
+   * Let the editor know which suggestion is active so it can point to it
+   * with aria-activedescendant
+   */
+  reportActive() {
+    const open = this.isOpen();
+    const activeId = open && this.props.suggestions && this.props.suggestions.size > 0
+      ? this.getOptionId(this.state.selectedIndex)
+      : null;
+    if (typeof this.props.onActiveChange === 'function' && (open !== this.lastOpen || activeId !== this.lastActiveId)) {
+      this.lastOpen = open;
+      this.lastActiveId = activeId;
+      this.props.onActiveChange(activeId, open);
+    }
+  }
+
+  /**
+   * Get the element id of a suggestion
+   *
+   * @param {number} index
+   * @return {string|undefined}
+   */
+  getOptionId(index) {
+    return this.props.id ? `${this.props.id}-option-${index}` : void 0;
+  }
+
+  /**
+   * Get the element id of the header of a group
+   *
+   * @param {number} index    Of the group's first suggestion
+   * @return {string|undefined}
+   */
+  getGroupId(index) {
+    return this.props.id ? `${this.props.id}-group-${index}` : void 0;
+  }
+
+  /**
+   * Stop following the caret
+   */
+  componentWillUnmount() {
+    this.follow(false);
+  }
+
+  /**
+   * Listen for scrolling and resizing, of the window or anything in it, while
+   * we're open
+   *
+   * @param {boolean} following
+   */
+  follow(following) {
+    if (following === Boolean(this.following) || typeof window === 'undefined') {
+      return;
+    }
+    this.following = following;
+    const method = following ? 'addEventListener' : 'removeEventListener';
+    window[method]('scroll', this.updatePosition, true);
+    window[method]('resize', this.updatePosition);
+  }
+
+  /**
+   * Anchor to the text being completed. Goes above it when there isn't room
+   * below.
+   */
+  updatePosition() {
+    const open = this.isOpen() && typeof this.props.getAnchorRect === 'function';
+    this.follow(open);
+
+    const rect = open ? this.props.getAnchorRect() : null;
+    const position = rect && this.wrap ? getPosition(rect, this.wrap) : null;
+    if (!isSamePosition(position, this.state.position)) {
+      this.setState({
+        position
+      });
+    }
   }
 
   componentWillReceiveProps(nextProps) {
     if (!Immutable.is(nextProps.suggestions, this.props.suggestions)) {
       this.setState({
-        selectedIndex: 0
+        selectedIndex: 0,
+        dismissed: false
+      });
+    } else if (nextProps.query !== this.props.query) {
+      this.setState({
+        dismissed: false
       });
     }
   }
 
   /**
-   * Moves the selected suggestion to the previous or next suggestion
+   * Moves the selected suggestion to the previous or next suggestion. Group
+   * headers aren't suggestions so they're skipped.
    *
    * @param {string} direction Direction can be "up" or "down"
    * @param {Event} event
@@ -79,18 +195,51 @@ export default class Autocomplete extends React.PureComponent {
     });
   }
 
+  /**
+   * Whether the suggestions, or their loading or error state, are shown
+   *
+   * @return {boolean}
+   */
+  isOpen() {
+    return !this.state.dismissed && Boolean(this.props.suggestions || this.props.loading || this.props.error);
+  }
+
+  /**
+   * Close until the suggestions or query change, e.g. on Escape
+   */
+  dismiss() {
+    this.setState({
+      dismissed: true
+    });
+  }
+
+  /**
+   * Get the selected suggestion. There isn't one while we're closed or
+   * loading, since the suggestions shown are for an earlier query.
+   *
+   * @return {AutocompleteSuggestion|null}
+   */
+  getSelection() {
+    const { suggestions, loading } = this.props;
+    if (!this.isOpen() || loading || !suggestions) {
+      return null;
+    }
+    return suggestions.get(this.state.selectedIndex) || null;
+  }
+
   /**
    * Triggers a click on the currently selected suggestion
    *
    * @param {Event} event
+   * @return {boolean} Whether there was one to click
    */
   clickSelection(event) {
-    const { suggestions } = this.props;
-    const { selectedIndex } = this.state;
-    if (!suggestions) {
-      return;
+    const suggestion = this.getSelection();
+    if (!suggestion) {
+      return false;
     }
-    return this.handleClick(suggestions.get(selectedIndex), event);
+    this.handleClick(suggestion, event);
+    return true;
   }
 
   /**
@@ -105,6 +254,24 @@ export default class Autocomplete extends React.PureComponent {
     });
   }
 
+  /**
+   * Keep track of our element to measure it
+   *
+   * @param {HTMLElement} el
+   */
+  handleWrapRef(el) {
+    this.wrap = el;
+  }
+
+  /**
+   * Keep the editor focused when a suggestion is pressed
+   *
+   * @param {Event} event
+   */
+  handleMouseDown(event) {
+    event.preventDefault();
+  }
+
   /**
    * Handles when a suggestion was clicked
    *
@@ -117,70 +284,203 @@ export default class Autocomplete extends React.PureComponent {
     }
   }
 
+  /**
+   * Render a suggestion
+   *
+   * @param {AutocompleteSuggestion} suggestion
+   * @param {number} index
+   * @return {React.ReactNode}
+   */
+  renderSuggestion(suggestion, index) {
+    const { query, renderSuggestion } = this.props;
+    const active = this.state.selectedIndex === index;
+
+    return (
+      <div
+        key={index}
+        id={this.getOptionId(index)}
+        role='option'
+        aria-selected={active}
+        ref={(el) => {
+          if (active) {
+            this.selectedRef = el;
+          }
+        }}
+        className={classNames(css.listItem, {
+          [css.active]: active
+        })}
+        title={suggestion.title}
+        onMouseOver={e => this.handleSelection(index, e)}
+        onMouseDown={this.handleMouseDown}
+        onClick={e => this.handleClick(suggestion, e)}
+      >
+        {typeof renderSuggestion === 'function' ? renderSuggestion(suggestion, { active, query }) : suggestion.label}
+      </div>
+    );
+  }
+
+  /**
+   * Render the suggestions, with each run of suggestions in the same group
+   * under its header
+   *
+   * @return {Array<React.ReactNode>}
+   */
+  renderSuggestions() {
+    // Runs of suggestions next to each other with the same group
+    const runs = this.props.suggestions.reduce((result, suggestion, index) => {
+      const last = result[result.length - 1];
+      if (last && last.group === suggestion.group) {
+        last.items.push(this.renderSuggestion(suggestion, index));
+      } else {
+        result.push({
+          group: suggestion.group,
+          index,
+          items: [this.renderSuggestion(suggestion, index)]
+        });
+      }
+      return result;
+    }, []);
+
+    return runs.map((run) => {
+      if (!run.group) {
+        return run.items;
+      }
+      const groupId = this.getGroupId(run.index);
+      return (
+        <div
+          key={`group-${run.index}`}
+          role='group'
+          aria-labelledby={groupId}
+          aria-label={groupId ? void 0 : run.group}
+        >
+          <div
+            id={groupId}
+            role='presentation'
+            className={classNames(css.groupHeader, 'text-editor--autocomplete-group')}
+          >
+            {run.group}
+          </div>
+          {run.items}
+        </div>
+      );
+    });
+  }
+
+  /**
+   * Render the suggestions, or why there aren't any
+   *
+   * @return {React.ReactNode}
+   */
+  renderContent() {
+    const {
+      suggestions,
+      error,
+      query,
+      renderEmpty
+    } = this.props;
+
+    // show the error, or that we're loading for the first time
+    if (error || !suggestions) {
+      return (
+        <div
+          role='status'
+          className={classNames(css.empty, { [css.error]: error })}
+        >
+          {error ? 'Suggestions could not be loaded.' : 'Loading suggestions...'}
+        </div>
+      );
+    }
+
+    return suggestions.size === 0 ? (
+      <div
+        role='status'
+        className={css.empty}
+      >
+        {typeof renderEmpty === 'function' ? renderEmpty(query) : 'No suggestions available.'}
+      </div>
+    ) : (
+      <div
+        id={this.props.id}
+        role='listbox'
+        className={css.list}
+      >
+        {this.renderSuggestions()}
+      </div>
+    );
+  }
+
   render() {
     // get props
     const {
       className,
-      suggestions
+      loading,
+      portal
     } = this.props;
 
-    // get suggestion props
-    const suggestionsProps = {
-      className: classNames(css.wrap, 'text-editor--autocomplete', className)
-    };
-
     // get state
     const {
-      selectedIndex
+      position
     } = this.state;
 
     // hide if rows are not a list
-    if (!suggestions) {
+    if (!this.isOpen()) {
       return null;
     }
 
-    return (
+    // get suggestion props
+    const suggestionsProps = {
+      ref: this.handleWrapRef,
+      className: classNames(css.wrap, 'text-editor--autocomplete', className, {
+        'text-editor--autocomplete-loading': loading,
+        'text-editor--autocomplete-above': position && position.placement === 'above',
+        [css.anchored]: position
+      }),
+      style: position ? {
+        top: position.top,
+        left: position.left
+      } : void 0
+    };
+
+    const content = (
       <div {...suggestionsProps}>
-        {suggestions.size === 0 ? (
-          <div className={css.empty}>
-            No suggestions available.
-          </div>
-        ) : (
-          <div className={css.list}>
-            {suggestions.entrySeq().map(([index, suggestion]) => (
-              <div
-                key={index}
-                ref={(el) => {
-                  if (selectedIndex === index) {
-                    this.selectedRef = el;
-                  }
-                }}
-                className={classNames(css.listItem, {
-                  [css.active]: selectedIndex === index
-                })}
-                title={suggestion.title}
-                onMouseOver={e => this.handleSelection(index, e)}
-                onClick={e => this.handleClick(suggestion, e)}
-              >
-                {suggestion.label}
-              </div>
-            ))}
-          </div>
-        )}
+        {this.renderContent()}
       </div>
     );
+
+    // render somewhere else so it isn't clipped, e.g. by overflow: hidden
+    if (portal && typeof document !== 'undefined') {
+      return ReactDOM.createPortal(content, portal === true ? document.body : portal);
+    }
+    return content;
   }
 }
 
-
 Autocomplete.propTypes = {
   className: PropTypes.string,
   suggestions: PropTypes.instanceOf(Immutable.List),
-  onClick: PropTypes.func
+  loading: PropTypes.bool,
+  error: PropTypes.any,
+  query: PropTypes.string,
+  renderSuggestion: PropTypes.func,
+  renderEmpty: PropTypes.func,
+  getAnchorRect: PropTypes.func,
+  portal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+  id: PropTypes.string,
+  onClick: PropTypes.func,
+  onActiveChange: PropTypes.func
 };
 
 Autocomplete.defaultProps = {
   className: '',
   suggestions: null,
-  onClick: null
+  loading: false,
+  error: null,
+  query: '',
+  renderSuggestion: null,
+  renderEmpty: null,
+  getAnchorRect: null,
+  portal: false,
+  id: undefined,
+  onClick: null,
+  onActiveChange: null
 };
@@ -0,0 +1,55 @@
+/**
+ * @file Text Editor character or word counter for `maxLength`
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+
+// CSS Module
+import css from './Counter.css';
+
+/**
+ * How much of the limit has to be used before the counter warns
+ * @type    {number}
+ */
+const WARNING_RATIO = 0.9;
+
+export default function Counter(props) {
+  const { count, maxLength, unit } = props;
+  const over = count > maxLength;
+  const warning = !over && count >= maxLength * WARNING_RATIO;
+
+  return (
+    <div
+      className={classNames(css.counter, 'text-editor--counter', {
+        [css.warning]: warning,
+        [css.over]: over,
+        'text-editor--counter-warning': warning,
+        'text-editor--counter-over': over
+      })}
+      title={`${maxLength - count} ${unit} left`}
+      aria-live={warning || over ? 'polite' : 'off'}
+    >
+      {count}/{maxLength}
+    </div>
+  );
+}
+
+/**
+ * Type checking
+ * @type    {Object}
+ */
+Counter.propTypes = {
+  count: PropTypes.number.isRequired,
+  maxLength: PropTypes.number.isRequired,
+  unit: PropTypes.oneOf(['characters', 'words'])
+};
+
+/**
+ * Defaults
+ * @type    {Object}
+ */
+Counter.defaultProps = {
+  unit: 'characters'
+};
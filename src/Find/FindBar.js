@@ -0,0 +1,256 @@
+/**
+ * Find and replace bar shown above the editor
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import StyleButton from '../StyleButton';
+
+// CSS Module
+import css from './FindBar.css';
+
+/**
+ * The search options and their buttons
+ * @type    {Array}
+ */
+const FindOptions = [
+  { option: 'caseSensitive', label: 'Aa', title: 'Match case' },
+  { option: 'wholeWord', label: 'W', title: 'Whole word' },
+  { option: 'regex', label: '.*', title: 'Regular expression' }
+];
+
+export default class FindBar extends Component {
+  constructor(props) {
+    super(props);
+
+    // Binding
+    this.handleQueryChange = this.handleQueryChange.bind(this);
+    this.handleReplacementChange = this.handleReplacementChange.bind(this);
+    this.handleQueryKeyDown = this.handleQueryKeyDown.bind(this);
+    this.handleReplacementKeyDown = this.handleReplacementKeyDown.bind(this);
+  }
+
+  /**
+   * Focus and select the search so it can be typed over
+   * @public
+   */
+  focus() {
+    if (this.queryInput) {
+      this.queryInput.focus();
+      this.queryInput.select();
+    }
+  }
+
+  /**
+   * Change part of the search
+   * @param {Object} changes
+   */
+  change(changes) {
+    this.props.onChange(Object.assign({}, this.props.find, changes));
+  }
+
+  /**
+   * Search as the user types
+   * @param {Event} event
+   */
+  handleQueryChange(event) {
+    this.change({
+      query: event.target.value
+    });
+  }
+
+  /**
+   * Update the replacement as the user types
+   * @param {Event} event
+   */
+  handleReplacementChange(event) {
+    this.change({
+      replacement: event.target.value
+    });
+  }
+
+  /**
+   * Enter goes to the next match, Shift+Enter to the previous one and Escape
+   * closes the bar
+   * @param {Event} event
+   */
+  handleQueryKeyDown(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.props.onPrevious();
+      } else {
+        this.props.onNext();
+      }
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.props.onClose();
+    }
+  }
+
+  /**
+   * Enter replaces the current match and Escape closes the bar
+   * @param {Event} event
+   */
+  handleReplacementKeyDown(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.props.onReplace();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.props.onClose();
+    }
+  }
+
+  /**
+   * Say where we are in the matches
+   * @return {string}
+   */
+  getStatus() {
+    const { find, count, index, error } = this.props;
+    if (error) {
+      return error;
+    } else if (!find.query) {
+      return '';
+    } else if (count === 0) {
+      return 'No results';
+    } else if (index === -1) {
+      // The text changed under the current match
+      return count === 1 ? '1 result' : `${count} results`;
+    }
+    return `${index + 1} of ${count}`;
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const { find, count, error, editable } = this.props;
+    return (
+      <div
+        role='search'
+        aria-label='Find and replace'
+        className={classNames(css.findBar, 'text-editor--find-bar', this.props.className)}
+      >
+        <div className={css.row}>
+          <input
+            ref={(el) => {
+              this.queryInput = el;
+            }}
+            className={classNames(css.input, 'text-editor--find-input')}
+            type='text'
+            aria-label='Find'
+            aria-invalid={Boolean(error)}
+            placeholder='Find'
+            autoFocus
+            value={find.query}
+            onChange={this.handleQueryChange}
+            onKeyDown={this.handleQueryKeyDown}
+          />
+          {FindOptions.map(type =>
+            <StyleButton
+              key={type.option}
+              toggle
+              active={Boolean(find[type.option])}
+              label={type.label}
+              title={type.title}
+              onClick={() => this.change({ [type.option]: !find[type.option] })}
+            />
+          )}
+          <span
+            className={classNames(css.status, 'text-editor--find-status', {
+              [css.error]: error,
+              'text-editor--find-error': error
+            })}
+            aria-live='polite'
+          >
+            {this.getStatus()}
+          </span>
+          <StyleButton
+            label='Previous'
+            active={false}
+            disabled={count === 0}
+            onClick={this.props.onPrevious}
+          />
+          <StyleButton
+            label='Next'
+            active={false}
+            disabled={count === 0}
+            onClick={this.props.onNext}
+          />
+          <StyleButton
+            label='Close'
+            active={false}
+            onClick={this.props.onClose}
+          />
+        </div>
+        {editable ?
+          <div className={css.row}>
+            <input
+              className={classNames(css.input, 'text-editor--replace-input')}
+              type='text'
+              aria-label='Replace with'
+              placeholder='Replace with'
+              value={find.replacement}
+              onChange={this.handleReplacementChange}
+              onKeyDown={this.handleReplacementKeyDown}
+            />
+            <StyleButton
+              label='Replace'
+              active={false}
+              disabled={count === 0}
+              onClick={this.props.onReplace}
+            />
+            <StyleButton
+              label='Replace all'
+              active={false}
+              disabled={count === 0}
+              onClick={this.props.onReplaceAll}
+            />
+          </div>
+        : null}
+      </div>
+    );
+  }
+}
+
+/**
+ * Type checking
+ * @type    {Object}
+ */
+FindBar.propTypes = {
+  find: PropTypes.shape({
+    query: PropTypes.string,
+    replacement: PropTypes.string,
+    caseSensitive: PropTypes.bool,
+    wholeWord: PropTypes.bool,
+    regex: PropTypes.bool
+  }).isRequired,
+  count: PropTypes.number,
+  index: PropTypes.number,
+  error: PropTypes.string,
+  editable: PropTypes.bool,
+  className: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  onNext: PropTypes.func.isRequired,
+  onPrevious: PropTypes.func.isRequired,
+  onReplace: PropTypes.func,
+  onReplaceAll: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+};
+
+/**
+ * Defaults
+ * @type    {Object}
+ */
+FindBar.defaultProps = {
+  count: 0,
+  index: -1,
+  error: null,
+  editable: true,
+  className: undefined,
+  onReplace: undefined,
+  onReplaceAll: undefined
+};
@@ -0,0 +1,26 @@
+/**
+ * Used to highlight a match of the find bar's search
+ */
+
+import React from 'react';
+import classNames from 'classnames';
+
+// CSS Module
+import css from './FindMatch.css';
+
+export default function FindMatch(props) {
+  return (
+    <span
+      className={classNames(css.match, 'text-editor--find-match', {
+        [css.current]: props.current,
+        'text-editor--find-match-current': props.current
+      })}
+    >
+      {props.children}
+    </span>
+  );
+}
+
+FindMatch.defaultProps = {
+  current: false
+};
@@ -0,0 +1,50 @@
+/**
+ * Used to render a hashtag
+ */
+
+import React from 'react';
+import classNames from 'classnames';
+
+// CSS Module
+import css from './Hashtag.css';
+
+export default function Hashtag(props) {
+  // get props
+  const {
+    contentState,
+    entityKey,
+
+    className,
+    title,
+    onClick,
+    children
+  } = props;
+
+  // get span props
+  const spanProps = {
+    className: classNames(css.hashtag, className),
+    title
+  };
+
+  // find entity
+  if (entityKey) {
+    // extract entity title
+    spanProps.title = contentState.getEntity(entityKey).getData().title;
+  }
+
+  // pass the entity data to the click callback
+  if (typeof onClick === 'function') {
+    spanProps.className = classNames(spanProps.className, css.clickable, 'text-editor--hashtag-clickable');
+    spanProps.onClick = event => onClick(entityKey ? contentState.getEntity(entityKey).getData() : {}, event);
+  }
+
+  return (
+    <span {...spanProps}>{children}</span>
+  );
+}
+
+Hashtag.defaultProps = {
+  className: undefined,
+  title: '',
+  onClick: undefined
+};
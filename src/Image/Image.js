@@ -0,0 +1,220 @@
+/**
+ * Used to render an image in an atomic block
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { sanitizeUrl } from '../lib/sanitize';
+import ImageUpload from './ImageUpload';
+
+// CSS Module
+import css from './Image.css';
+
+/**
+ * Smallest width an image can be resized to
+ * @type    {number}
+ */
+const MIN_WIDTH = 24;
+
+export default class Image extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: false,
+      width: null
+    };
+
+    // Binding
+    this.handleClick = this.handleClick.bind(this);
+    this.handleOutsideMouseDown = this.handleOutsideMouseDown.bind(this);
+    this.handleResizeStart = this.handleResizeStart.bind(this);
+    this.handleResizeMove = this.handleResizeMove.bind(this);
+    this.handleResizeEnd = this.handleResizeEnd.bind(this);
+    this.handleRemove = this.handleRemove.bind(this);
+  }
+
+  /**
+   * Clean up any listeners
+   */
+  componentWillUnmount() {
+    document.removeEventListener('mousedown', this.handleOutsideMouseDown);
+    document.removeEventListener('mousemove', this.handleResizeMove);
+    document.removeEventListener('mouseup', this.handleResizeEnd);
+  }
+
+  /**
+   * Get the image entity data
+   * @return {Object}
+   */
+  getData() {
+    const { block, contentState } = this.props;
+    const entityKey = block.getEntityAt(0);
+    return entityKey ? contentState.getEntity(entityKey).getData() : {};
+  }
+
+  /**
+   * Select the image so it can be resized
+   */
+  handleClick() {
+    if (!this.props.blockProps.editable || this.state.selected) {
+      return;
+    }
+    this.setState({
+      selected: true
+    });
+    document.addEventListener('mousedown', this.handleOutsideMouseDown);
+  }
+
+  /**
+   * Deselect when clicking anywhere else
+   * @param {Event} event
+   */
+  handleOutsideMouseDown(event) {
+    if (this.figure && this.figure.contains(event.target)) {
+      return;
+    }
+    document.removeEventListener('mousedown', this.handleOutsideMouseDown);
+    this.setState({
+      selected: false
+    });
+  }
+
+  /**
+   * Start dragging the resize handle
+   * @param {Event} event
+   */
+  handleResizeStart(event) {
+    // Keep the editor from starting a text selection
+    event.preventDefault();
+    event.stopPropagation();
+
+    this.resizeStartX = event.clientX;
+    this.resizeStartWidth = this.image.offsetWidth;
+    this.resizeStartHeight = this.image.offsetHeight;
+
+    document.addEventListener('mousemove', this.handleResizeMove);
+    document.addEventListener('mouseup', this.handleResizeEnd);
+  }
+
+  /**
+   * Resize while dragging
+   * @param {Event} event
+   */
+  handleResizeMove(event) {
+    this.setState({
+      width: Math.max(MIN_WIDTH, Math.round(this.resizeStartWidth + event.clientX - this.resizeStartX))
+    });
+  }
+
+  /**
+   * Save the new size
+   */
+  handleResizeEnd() {
+    document.removeEventListener('mousemove', this.handleResizeMove);
+    document.removeEventListener('mouseup', this.handleResizeEnd);
+
+    const { width } = this.state;
+    if (width === null) {
+      return;
+    }
+
+    // Keep the aspect ratio
+    const dimensions = {
+      width,
+      height: this.resizeStartWidth > 0
+        ? Math.round(this.resizeStartHeight * width / this.resizeStartWidth)
+        : undefined
+    };
+
+    this.setState({
+      width: null
+    });
+
+    if (typeof this.props.blockProps.onResize === 'function') {
+      this.props.blockProps.onResize(this.props.block, dimensions);
+    }
+  }
+
+  /**
+   * Remove the whole block
+   */
+  handleRemove() {
+    if (typeof this.props.blockProps.onRemove === 'function') {
+      this.props.blockProps.onRemove(this.props.block);
+    }
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const { blockProps } = this.props;
+    const { selected } = this.state;
+    const data = this.getData();
+
+    // Images that are still uploading don't have a src yet
+    if (data.upload) {
+      return (
+        <ImageUpload
+          id={data.upload}
+          alt={data.alt}
+          uploads={blockProps.uploads}
+          onRemove={blockProps.editable ? this.handleRemove : void 0}
+        />
+      );
+    }
+
+    // While resizing the height follows the width
+    const width = this.state.width || data.width;
+    const height = this.state.width ? undefined : data.height;
+
+    return (
+      <figure
+        ref={(el) => {
+          this.figure = el;
+        }}
+        className={classNames(css.figure, 'text-editor--image', {
+          'text-editor--image-selected': selected,
+          [css.selected]: selected
+        })}
+        onClick={this.handleClick}
+      >
+        <img
+          ref={(el) => {
+            this.image = el;
+          }}
+          src={sanitizeUrl(data.src, blockProps.sanitizeOptions) || undefined}
+          alt={data.alt || ''}
+          title={data.title}
+          width={width}
+          height={height}
+        />
+        {selected && blockProps.editable ?
+          <span
+            className={classNames(css.handle, 'text-editor--image-handle')}
+            onMouseDown={this.handleResizeStart}
+          />
+        : null}
+      </figure>
+    );
+  }
+}
+
+Image.propTypes = {
+  block: PropTypes.object.isRequired,
+  contentState: PropTypes.object.isRequired,
+  blockProps: PropTypes.shape({
+    editable: PropTypes.bool,
+    sanitizeOptions: PropTypes.object,
+    uploads: PropTypes.object,
+    onResize: PropTypes.func,
+    onRemove: PropTypes.func
+  })
+};
+
+Image.defaultProps = {
+  blockProps: {}
+};
@@ -0,0 +1,105 @@
+/**
+ * @file Modal for image inserting
+ */
+// Modules
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+// Components
+import { Confirm } from 'ship-components-dialog';
+import TextInput from 'ship-components-textinput';
+
+export default class ImageModal extends Component {
+  constructor(props) {
+    super(props);
+
+    // Set state for the first time
+    this.state = {
+      src: this.props.src,
+      alt: this.props.alt,
+      width: this.props.width
+    };
+
+    // Binding
+    this.handleChange = this.handleChange.bind(this);
+    this.handleConfirm = this.handleConfirm.bind(this);
+    this.handleClose = this.handleClose.bind(this);
+  }
+
+  /**
+   * Handle user input for any of the image fields
+   */
+  handleChange(key, event) {
+    // Update state to entered value
+    this.setState({
+      [key]: event.target.value
+    });
+  }
+
+  /**
+   * User clicks confirm
+   */
+  handleConfirm(event) {
+    // Confirm image options callback
+    if (this.props.onConfirm) {
+      this.props.onConfirm(this.state, event);
+    }
+  }
+
+  /**
+   * User clicks close
+   */
+  handleClose(event) {
+    // Cancel image modal callback
+    if (this.props.onClose) {
+      this.props.onClose(this.state, event);
+    }
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    return (
+      <Confirm
+        name={this.props.title}
+        onConfirm={this.handleConfirm}
+        onClose={this.handleClose}
+      >
+        <TextInput
+          placeholder='Image URL'
+          value={this.state.src}
+          onChange={this.handleChange.bind(this, 'src')}
+        />
+        <TextInput
+          placeholder='Alt text'
+          value={this.state.alt}
+          onChange={this.handleChange.bind(this, 'alt')}
+        />
+        <TextInput
+          placeholder='Width (optional)'
+          value={this.state.width}
+          onChange={this.handleChange.bind(this, 'width')}
+        />
+      </Confirm>
+    );
+  }
+}
+
+ImageModal.propTypes = {
+  title: PropTypes.string.isRequired,
+  src: PropTypes.string,
+  alt: PropTypes.string,
+  width: PropTypes.string,
+  onConfirm: PropTypes.func,
+  onClose: PropTypes.func
+};
+
+ImageModal.defaultProps = {
+  src: '',
+  alt: '',
+  width: '',
+  onConfirm: void 0,
+  onClose: void 0
+};
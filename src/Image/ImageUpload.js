@@ -0,0 +1,151 @@
+/**
+ * Placeholder shown in place of an image while it uploads
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+
+// CSS Module
+import css from './Image.css';
+
+export default class ImageUpload extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      upload: props.uploads ? props.uploads.get(props.id) : null
+    };
+
+    // Binding
+    this.handleUploadChange = this.handleUploadChange.bind(this);
+    this.handleRetry = this.handleRetry.bind(this);
+    this.handleRemove = this.handleRemove.bind(this);
+  }
+
+  /**
+   * Follow the upload's progress
+   */
+  componentDidMount() {
+    if (this.props.uploads) {
+      this.unsubscribe = this.props.uploads.subscribe(this.handleUploadChange);
+    }
+  }
+
+  /**
+   * Stop listening
+   */
+  componentWillUnmount() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+  }
+
+  /**
+   * Update when our upload changes
+   * @param {string} id
+   */
+  handleUploadChange(id) {
+    if (id !== this.props.id) {
+      return;
+    }
+    this.setState({
+      upload: this.props.uploads.get(id)
+    });
+  }
+
+  /**
+   * Keep the editor from moving the selection when a button is pressed
+   * @param {Event} event
+   */
+  handleMouseDown(event) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  /**
+   * Try the upload again
+   */
+  handleRetry() {
+    this.props.uploads.retry(this.props.id);
+  }
+
+  /**
+   * Remove the placeholder
+   */
+  handleRemove() {
+    this.props.onRemove();
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const { upload } = this.state;
+    // Uploads don't survive a reload so a missing one has failed
+    const failed = !upload || upload.error !== null;
+    const src = upload ? upload.preview : null;
+
+    return (
+      <figure
+        className={classNames(css.figure, css.upload, 'text-editor--image-upload', {
+          'text-editor--image-upload-error': failed,
+          [css.error]: failed
+        })}
+      >
+        {src ?
+          <img
+            src={src}
+            alt={this.props.alt}
+          />
+        : null}
+        {failed ?
+          <span className={classNames(css.status, 'text-editor--image-upload-status')}>
+            Upload failed
+            {upload ?
+              <button
+                type='button'
+                className='text-editor--image-upload-retry'
+                onMouseDown={this.handleMouseDown}
+                onClick={this.handleRetry}
+              >
+                Retry
+              </button>
+            : null}
+            {this.props.onRemove ?
+              <button
+                type='button'
+                className='text-editor--image-upload-remove'
+                onMouseDown={this.handleMouseDown}
+                onClick={this.handleRemove}
+              >
+                Remove
+              </button>
+            : null}
+          </span>
+        :
+          <span className={classNames(css.progress, 'text-editor--image-upload-progress')}>
+            <span
+              className={css.bar}
+              style={{ width: `${Math.round(upload.progress * 100)}%` }}
+            />
+          </span>
+        }
+      </figure>
+    );
+  }
+}
+
+ImageUpload.propTypes = {
+  id: PropTypes.string.isRequired,
+  alt: PropTypes.string,
+  uploads: PropTypes.object,
+  onRemove: PropTypes.func
+};
+
+ImageUpload.defaultProps = {
+  alt: '',
+  uploads: void 0,
+  onRemove: void 0
+};
@@ -0,0 +1,69 @@
+/**
+ * @file Text Editor code block language picker
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+
+// CSS Module
+import css from './LanguageSelect.css';
+
+export default function LanguageSelect(props) {
+  // Make sure languages that aren't in the list can still be shown
+  const languages = props.languages.some(language => language.value === props.value)
+    ? props.languages
+    : props.languages.concat({
+      label: props.value,
+      value: props.value
+    });
+
+  return (
+    <select
+      className={classNames(props.className, 'text-editor--language', css.select)}
+      value={props.value}
+      title={props.title}
+      tabIndex={props.tabIndex}
+      onFocus={props.onFocus}
+      onChange={event => props.onChange(event.target.value, event)}
+    >
+      {languages.map(language =>
+        <option
+          key={language.value}
+          value={language.value}
+        >
+          {language.label}
+        </option>
+      )}
+    </select>
+  );
+}
+
+/**
+ * Type checking
+ * @type    {Object}
+ */
+LanguageSelect.propTypes = {
+  languages: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired
+  })).isRequired,
+  value: PropTypes.string,
+  className: PropTypes.string,
+  title: PropTypes.string,
+  tabIndex: PropTypes.number,
+  onFocus: PropTypes.func,
+  onChange: PropTypes.func.isRequired
+};
+
+/**
+ * Defaults
+ * @type    {Object}
+ */
+LanguageSelect.defaultProps = {
+  value: '',
+  className: undefined,
+  title: 'Code Language',
+  tabIndex: undefined,
+  onFocus: undefined
+};
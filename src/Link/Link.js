@@ -3,12 +3,14 @@
  */
 
 import React from 'react';
+import { getLinkAttributes } from '../lib/links';
 
 export default function Link(props) {
   // get props
   const {
     contentState,
     entityKey,
+    sanitizeOptions,
 
     href,
     target,
@@ -18,20 +20,15 @@ export default function Link(props) {
     children
   } = props;
 
-  // get anchor props
-  const anchorProps = {
-    href,
-    target,
-    className,
-    title,
-    alt
-  };
-
-  // find entity
-  if (entityKey) {
-    // extract entity href
-    anchorProps.href = contentState.getEntity(entityKey).getData().href;
-  }
+  // use the entity's href, title and target when it's in the editor; never
+  // render disallowed protocols such as javascript:
+  const anchorProps = Object.assign(
+    getLinkAttributes(entityKey ? contentState.getEntity(entityKey).getData() : { href, title, target }, sanitizeOptions),
+    {
+      className,
+      alt
+    }
+  );
 
   return (
     <a {...anchorProps}>{children}</a>
@@ -39,8 +36,9 @@ export default function Link(props) {
 }
 
 Link.defaultProps = {
-  target: '_blank',
+  target: undefined,
   className: undefined,
   title: undefined,
-  alt: ''
+  alt: '',
+  sanitizeOptions: undefined
 };
@@ -5,22 +5,33 @@
 // Modules
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { validateHref } from '../lib/links';
 
 // Components
 import { Confirm } from 'ship-components-dialog';
 import TextInput from 'ship-components-textinput';
 
+// CSS Module
+import css from './LinkModal.css';
+
 export default class LinkModal extends Component {
   constructor(props) {
     super(props);
 
     // Set state for the first time
     this.state = {
-      href: this.props.href
+      href: this.props.href,
+      text: this.props.text,
+      linkTitle: this.props.linkTitle,
+      newTab: this.props.newTab,
+      // Why the url can't be saved, if it can't
+      error: null
     };
 
     // Binding
     this.handleChange = this.handleChange.bind(this);
+    this.handleNewTabChange = this.handleNewTabChange.bind(this);
     this.handleDelete = this.handleDelete.bind(this);
     this.handleConfirm = this.handleConfirm.bind(this);
     this.handleClose = this.handleClose.bind(this);
@@ -31,16 +42,26 @@ export default class LinkModal extends Component {
    */
   shouldComponentUpdate(nextProps, nextState) {
     return nextProps.href !== this.props.href ||
-           nextState.href !== this.state.href;
+           nextState !== this.state;
   }
 
   /**
-   * Handle user input for links
+   * Handle user input for any of the link fields
    */
-  handleChange(event) {
+  handleChange(key, event) {
     // Update state to entered value
     this.setState({
-      href: event.target.value
+      [key]: event.target.value,
+      error: key === 'href' ? null : this.state.error
+    });
+  }
+
+  /**
+   * User toggles opening the link in a new tab
+   */
+  handleNewTabChange(event) {
+    this.setState({
+      newTab: event.target.checked
     });
   }
 
@@ -55,9 +76,16 @@ export default class LinkModal extends Component {
   }
 
   /**
-   * User clicks confirm
+   * User clicks confirm, flag the url if it isn't one
    */
   handleConfirm(event) {
+    const error = validateHref(this.state.href, this.props.sanitizeOptions);
+    if (error) {
+      this.setState({
+        error
+      });
+      return;
+    }
     // Confirm link options callback
     if (this.props.onConfirm) {
       this.props.onConfirm(this.state, event);
@@ -88,8 +116,31 @@ export default class LinkModal extends Component {
         <TextInput
           placeholder='http://'
           value={this.state.href}
-          onChange={this.handleChange}
+          onChange={this.handleChange.bind(this, 'href')}
+        />
+        {this.state.error ?
+          <div role='alert' className={classNames(css.error, 'text-editor--link-modal-error')}>
+            {this.state.error}
+          </div>
+        : null}
+        <TextInput
+          placeholder='Text'
+          value={this.state.text}
+          onChange={this.handleChange.bind(this, 'text')}
         />
+        <TextInput
+          placeholder='Title (optional)'
+          value={this.state.linkTitle}
+          onChange={this.handleChange.bind(this, 'linkTitle')}
+        />
+        <label className={classNames(css.newTab, 'text-editor--link-modal-new-tab')}>
+          <input
+            type='checkbox'
+            checked={this.state.newTab}
+            onChange={this.handleNewTabChange}
+          />
+          Open in a new tab
+        </label>
       </Confirm>
     );
   }
@@ -98,12 +149,20 @@ export default class LinkModal extends Component {
 LinkModal.propTypes = {
   title: PropTypes.string.isRequired,
   href: PropTypes.string,
+  text: PropTypes.string,
+  linkTitle: PropTypes.string,
+  newTab: PropTypes.bool,
+  sanitizeOptions: PropTypes.object,
   onConfirm: PropTypes.func,
   onClose: PropTypes.func
 };
 
 LinkModal.defaultProps = {
   href: '',
+  text: '',
+  linkTitle: '',
+  newTab: false,
+  sanitizeOptions: void 0,
   onConfirm: void 0,
   onClose: void 0
-}
+};
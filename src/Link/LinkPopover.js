@@ -0,0 +1,320 @@
+/**
+ * Shown next to the link under the caret to open, edit or remove it. Editing
+ * happens in the popover itself.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { genKey } from 'draft-js';
+import { getPosition, isSamePosition } from '../lib/position';
+import { validateHref } from '../lib/links';
+
+// CSS Module
+import css from './LinkPopover.css';
+
+export default class LinkPopover extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      // What's being typed while editing
+      href: props.href,
+      // Why the url can't be saved, if it can't
+      error: null,
+      // Where we're anchored on the screen, if we can find the link
+      position: null
+    };
+
+    // Ties the input to its error
+    this.errorId = `text-editor-link-error-${genKey()}`;
+
+    // Binding
+    this.updatePosition = this.updatePosition.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+  }
+
+  /**
+   * Move next to the link
+   */
+  componentDidMount() {
+    this.updatePosition();
+    this.follow(true);
+  }
+
+  /**
+   * Start editing with the current link
+   */
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.editing !== this.props.editing || nextProps.href !== this.props.href) {
+      this.setState({
+        href: nextProps.href,
+        error: null
+      });
+    }
+  }
+
+  /**
+   * Follow the caret as it moves between links
+   */
+  componentDidUpdate() {
+    this.updatePosition();
+  }
+
+  /**
+   * Stop listening when we're closed
+   */
+  componentWillUnmount() {
+    this.follow(false);
+  }
+
+  /**
+   * Listen for scrolling and resizing, of the window or anything in it
+   *
+   * @param {boolean} following
+   */
+  follow(following) {
+    if (typeof window === 'undefined') {
+      return;
+    }
+    const method = following ? 'addEventListener' : 'removeEventListener';
+    window[method]('scroll', this.updatePosition, true);
+    window[method]('resize', this.updatePosition);
+  }
+
+  /**
+   * Anchor to the link. The link can't be found while the input has focus,
+   * so stay where we were.
+   */
+  updatePosition() {
+    const rect = typeof this.props.getAnchorRect === 'function' ? this.props.getAnchorRect() : null;
+    if (!rect || !this.element) {
+      return;
+    }
+    const position = getPosition(rect, this.element);
+    if (!isSamePosition(position, this.state.position)) {
+      this.setState({
+        position
+      });
+    }
+  }
+
+  /**
+   * Check if an element is in the popover
+   *
+   * @param {Node} node
+   * @return {boolean}
+   */
+  contains(node) {
+    return Boolean(this.element && node && this.element.contains(node));
+  }
+
+  /**
+   * Keep the editor focused when a button is pressed
+   * @param {Event} event
+   */
+  handleMouseDown(event) {
+    event.preventDefault();
+  }
+
+  /**
+   * Update the url as the user types
+   * @param {Event} event
+   */
+  handleChange(event) {
+    this.setState({
+      href: event.target.value,
+      error: null
+    });
+  }
+
+  /**
+   * Escape stops editing
+   * @param {Event} event
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.props.onCancel();
+    }
+  }
+
+  /**
+   * Save the edited url, unless it isn't one
+   * @param {Event} event
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+    const error = validateHref(this.state.href, this.props.sanitizeOptions);
+    if (error) {
+      this.setState({
+        error
+      });
+      return;
+    }
+    this.props.onConfirm(this.state.href);
+  }
+
+  /**
+   * Stop editing when focus leaves the popover
+   * @param {Event} event
+   */
+  handleBlur(event) {
+    if (this.contains(event.relatedTarget)) {
+      return;
+    }
+    if (typeof this.props.onLeave === 'function') {
+      this.props.onLeave();
+    }
+    if (this.props.editing) {
+      this.props.onCancel();
+    }
+  }
+
+  /**
+   * Show the url with buttons to open, edit and remove it
+   * @return {React.ReactNode}
+   */
+  renderView() {
+    return [
+      <span
+        key='href'
+        className={classNames(css.href, 'text-editor--link-popover-href')}
+        title={this.props.href}
+      >
+        {this.props.href}
+      </span>,
+      <button
+        key='open'
+        type='button'
+        className={css.button}
+        onMouseDown={this.handleMouseDown}
+        onClick={this.props.onOpen}
+      >
+        Open
+      </button>,
+      <button
+        key='edit'
+        type='button'
+        className={css.button}
+        onMouseDown={this.handleMouseDown}
+        onClick={this.props.onEdit}
+      >
+        Edit
+      </button>,
+      <button
+        key='remove'
+        type='button'
+        className={classNames(css.button, css.remove)}
+        onMouseDown={this.handleMouseDown}
+        onClick={this.props.onRemove}
+      >
+        Remove
+      </button>
+    ];
+  }
+
+  /**
+   * Edit the url in place
+   * @return {React.ReactNode}
+   */
+  renderEdit() {
+    const { error } = this.state;
+    return (
+      <form className={css.form} onSubmit={this.handleSubmit}>
+        <input
+          className={classNames(css.input, 'text-editor--link-popover-input')}
+          type='text'
+          aria-label='Link'
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? this.errorId : void 0}
+          placeholder='http://'
+          autoFocus
+          value={this.state.href}
+          onChange={this.handleChange}
+          onKeyDown={this.handleKeyDown}
+        />
+        <button
+          type='submit'
+          className={css.button}
+        >
+          Save
+        </button>
+        <button
+          type='button'
+          className={css.button}
+          onClick={this.props.onCancel}
+        >
+          Cancel
+        </button>
+        {error ?
+          <div
+            id={this.errorId}
+            role='alert'
+            className={classNames(css.error, 'text-editor--link-popover-error')}
+          >
+            {error}
+          </div>
+        : null}
+      </form>
+    );
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const { position } = this.state;
+    return (
+      <div
+        ref={(el) => {
+          this.element = el;
+        }}
+        role='dialog'
+        aria-label={this.props.editing ? 'Edit link' : 'Link'}
+        className={classNames(css.popover, 'text-editor--link-popover', {
+          [css.anchored]: position,
+          'text-editor--link-popover-editing': this.props.editing,
+          'text-editor--link-popover-above': position && position.placement === 'above'
+        })}
+        style={position ? { top: position.top, left: position.left } : void 0}
+        onBlur={this.handleBlur}
+      >
+        {this.props.editing ? this.renderEdit() : this.renderView()}
+      </div>
+    );
+  }
+}
+
+/**
+ * Type checking
+ * @type    {Object}
+ */
+LinkPopover.propTypes = {
+  href: PropTypes.string,
+  editing: PropTypes.bool,
+  getAnchorRect: PropTypes.func,
+  onOpen: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onLeave: PropTypes.func,
+  sanitizeOptions: PropTypes.object
+};
+
+/**
+ * Defaults
+ * @type    {Object}
+ */
+LinkPopover.defaultProps = {
+  href: '',
+  editing: false,
+  getAnchorRect: undefined,
+  onLeave: undefined,
+  sanitizeOptions: undefined
+};
@@ -16,6 +16,7 @@ export default function Mention(props) {
 
     className,
     title,
+    onClick,
     children
   } = props;
 
@@ -31,6 +32,12 @@ export default function Mention(props) {
     spanProps.title = contentState.getEntity(entityKey).getData().title;
   }
 
+  // pass the entity data to the click callback
+  if (typeof onClick === 'function') {
+    spanProps.className = classNames(spanProps.className, css.clickable, 'text-editor--mention-clickable');
+    spanProps.onClick = event => onClick(entityKey ? contentState.getEntity(entityKey).getData() : {}, event);
+  }
+
   return (
     <span {...spanProps}>{children}</span>
   );
@@ -38,5 +45,6 @@ export default function Mention(props) {
 
 Mention.defaultProps = {
   className: undefined,
-  title: ''
+  title: '',
+  onClick: undefined
 };
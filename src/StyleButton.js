@@ -10,17 +10,41 @@ import classNames from 'classnames';
 // CSS Module
 import css from './StyleButton.css';
 
+/**
+ * Activate the button with Enter or Space like a real one
+ * @param {Object} props
+ * @param {Event} event
+ */
+function handleKeyDown(props, event) {
+  if (event.key !== 'Enter' && event.key !== ' ') {
+    return;
+  }
+  event.preventDefault();
+  if (!props.disabled && typeof props.onClick === 'function') {
+    props.onClick(event);
+  }
+}
+
 export default function StyleButton(props) {
   return (
     <div
+      role='button'
+      tabIndex={props.tabIndex}
+      aria-label={typeof props.iconClass === 'string' ? props.label : void 0}
+      aria-pressed={props.toggle ? props.active : void 0}
+      aria-disabled={props.disabled}
       className={classNames(props.className, 'text-editor---btn', css.btn, props.iconClass, {
         [css.icon]: typeof props.iconClass === 'string',
         'text-editor--btn-active': props.active,
-        [css.active]: props.active
+        'text-editor--btn-disabled': props.disabled,
+        [css.active]: props.active,
+        [css.disabled]: props.disabled
       })}
-      onClick={props.onClick}
+      onClick={props.disabled ? void 0 : props.onClick}
       onMouseDown={props.onMouseDown}
       onMouseUp={props.onMouseUp}
+      onKeyDown={event => handleKeyDown(props, event)}
+      onFocus={props.onFocus}
       title={props.title}
     >
       {typeof props.iconClass !== 'string' ?
@@ -38,11 +62,16 @@ StyleButton.propTypes = {
   iconClass: PropTypes.string,
   label: PropTypes.string.isRequired,
   active: PropTypes.bool.isRequired,
+  // Whether the button turns something on and off, e.g. bold
+  toggle: PropTypes.bool,
+  disabled: PropTypes.bool,
+  tabIndex: PropTypes.number,
   className: PropTypes.string,
   title: PropTypes.string,
   onClick: PropTypes.func,
   onMouseUp: PropTypes.func,
-  onMouseDown: PropTypes.func
+  onMouseDown: PropTypes.func,
+  onFocus: PropTypes.func
 };
 
 /**
@@ -51,9 +80,13 @@ StyleButton.propTypes = {
  */
 StyleButton.defaultProps = {
   iconClass: undefined,
+  toggle: false,
+  disabled: false,
+  tabIndex: 0,
   className: undefined,
   title: undefined,
   onClick: undefined,
   onMouseUp: undefined,
-  onMouseDown: undefined
+  onMouseDown: undefined,
+  onFocus: undefined
 };
@@ -0,0 +1,372 @@
+/**
+ * Used to render a table in an atomic block. Cells are edited with their own
+ * inputs while the editor is read only.
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { insertRow, removeRow, insertColumn, removeColumn, setCell } from '../lib/tables';
+
+// CSS Module
+import css from './Table.css';
+
+/**
+ * Table commands for the focused cell
+ * @type    {Array}
+ */
+const TABLE_COMMANDS = [
+  {
+    label: 'Add row',
+    command: (table, row) => insertRow(table, row + 1),
+    focus: (row, column) => [row + 1, column]
+  },
+  {
+    label: 'Remove row',
+    command: (table, row) => removeRow(table, row),
+    focus: (row, column) => [row - 1, column]
+  },
+  {
+    label: 'Add column',
+    command: (table, row, column) => insertColumn(table, column + 1),
+    focus: (row, column) => [row, column + 1]
+  },
+  {
+    label: 'Remove column',
+    command: (table, row, column) => removeColumn(table, column),
+    focus: (row, column) => [row, column - 1]
+  },
+  {
+    label: 'Header row',
+    command: table => Object.assign({}, table, { header: !table.header }),
+    focus: (row, column) => [row, column]
+  }
+];
+
+export default class Table extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      table: this.getData(props),
+      focus: null
+    };
+
+    // Input elements by row and column
+    this.cells = {};
+
+    // Whether the editor was told a cell is being edited
+    this.editing = false;
+
+    // Binding
+    this.handleFocus = this.handleFocus.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleRemove = this.handleRemove.bind(this);
+  }
+
+  /**
+   * Follow outside changes, e.g. undo, unless the user is typing
+   */
+  componentWillReceiveProps(nextProps) {
+    if (this.state.focus === null) {
+      this.setState({
+        table: this.getData(nextProps)
+      });
+    }
+  }
+
+  /**
+   * Move focus to a cell after a command
+   */
+  componentDidUpdate() {
+    if (this.pendingFocus) {
+      const cell = this.cells[this.pendingFocus];
+      this.pendingFocus = null;
+      if (cell) {
+        cell.focus();
+      }
+    }
+  }
+
+  /**
+   * Give the editor back if the table goes away while a cell is being
+   * edited, e.g. on undo or when the value is replaced
+   */
+  componentWillUnmount() {
+    this.endEdit();
+  }
+
+  /**
+   * Get the table entity data
+   * @param {Object} props
+   * @return {Object}
+   */
+  getData(props) {
+    const { block, contentState } = props;
+    const entityKey = block.getEntityAt(0);
+    return entityKey ? contentState.getEntity(entityKey).getData() : { rows: [['']] };
+  }
+
+  /**
+   * Focus a cell once it has rendered, clamped to the table
+   * @param {Object} table
+   * @param {number} row
+   * @param {number} column
+   */
+  focusCell(table, row, column) {
+    row = Math.min(Math.max(row, 0), table.rows.length - 1);
+    column = Math.min(Math.max(column, 0), table.rows[0].length - 1);
+    this.pendingFocus = `${row}:${column}`;
+  }
+
+  /**
+   * Save the table
+   * @param {Object} table
+   */
+  save(table) {
+    if (typeof this.props.blockProps.onChange === 'function') {
+      this.props.blockProps.onChange(this.props.block, table);
+    }
+  }
+
+  /**
+   * Let the editor be edited again, once per edit
+   */
+  endEdit() {
+    if (this.editing) {
+      this.editing = false;
+      if (typeof this.props.blockProps.onEditEnd === 'function') {
+        this.props.blockProps.onEditEnd();
+      }
+    }
+  }
+
+  /**
+   * Keep the editor read only while a cell is focused
+   * @param {number} row
+   * @param {number} column
+   */
+  handleFocus(row, column) {
+    if (!this.editing) {
+      this.editing = true;
+      if (typeof this.props.blockProps.onEditStart === 'function') {
+        this.props.blockProps.onEditStart();
+      }
+    }
+    this.setState({
+      focus: [row, column]
+    });
+  }
+
+  /**
+   * Save when focus leaves the table
+   * @param {Event} event
+   */
+  handleBlur(event) {
+    if (this.figure && event.relatedTarget && this.figure.contains(event.relatedTarget)) {
+      return;
+    }
+    this.setState({
+      focus: null
+    });
+    if (JSON.stringify(this.state.table) !== JSON.stringify(this.getData(this.props))) {
+      this.save(this.state.table);
+    }
+    this.endEdit();
+  }
+
+  /**
+   * Update a cell as the user types
+   * @param {number} row
+   * @param {number} column
+   * @param {Event} event
+   */
+  handleChange(row, column, event) {
+    this.setState({
+      table: setCell(this.state.table, row, column, event.target.value)
+    });
+  }
+
+  /**
+   * Tab and Shift-Tab move between cells. Tabbing out of the last cell adds
+   * a row.
+   * @param {number} row
+   * @param {number} column
+   * @param {Event} event
+   */
+  handleKeyDown(row, column, event) {
+    if (event.key !== 'Tab') {
+      return;
+    }
+    event.preventDefault();
+
+    const { table } = this.state;
+    const columns = table.rows[0].length;
+    const index = (row * columns) + column + (event.shiftKey ? -1 : 1);
+    if (index < 0) {
+      return;
+    }
+    if (index >= table.rows.length * columns) {
+      const tableWithRow = insertRow(table, table.rows.length);
+      this.focusCell(tableWithRow, table.rows.length, 0);
+      this.save(tableWithRow);
+      this.setState({
+        table: tableWithRow
+      });
+      return;
+    }
+    this.cells[`${Math.floor(index / columns)}:${index % columns}`].focus();
+  }
+
+  /**
+   * Run a row or column command on the focused cell
+   * @param {Object} command
+   * @param {Event} event
+   */
+  handleCommand(command, event) {
+    event.preventDefault();
+    const { focus } = this.state;
+    if (focus === null) {
+      return;
+    }
+    const table = command.command(this.state.table, focus[0], focus[1]);
+    const [row, column] = command.focus(focus[0], focus[1]);
+    this.focusCell(table, row, column);
+    this.save(table);
+    this.setState({
+      table
+    });
+  }
+
+  /**
+   * Remove the whole table
+   * @param {Event} event
+   */
+  handleRemove(event) {
+    event.preventDefault();
+    this.endEdit();
+    if (typeof this.props.blockProps.onRemove === 'function') {
+      this.props.blockProps.onRemove(this.props.block);
+    }
+  }
+
+  /**
+   * Keep clicks from focusing the editor
+   * @param {Event} event
+   */
+  handleClick(event) {
+    event.stopPropagation();
+  }
+
+  /**
+   * Render a cell
+   * @param {string} text
+   * @param {number} row
+   * @param {number} column
+   * @return {React.ReactNode}
+   */
+  renderCell(text, row, column) {
+    const { table } = this.state;
+    const CellTag = table.header && row === 0 ? 'th' : 'td';
+    return (
+      <CellTag
+        key={column}
+        className={classNames(css.cell, 'text-editor--table-cell')}
+      >
+        {this.props.blockProps.editable ?
+          <input
+            ref={(el) => {
+              this.cells[`${row}:${column}`] = el;
+            }}
+            type='text'
+            className={css.input}
+            value={text}
+            onFocus={() => this.handleFocus(row, column)}
+            onBlur={this.handleBlur}
+            onChange={event => this.handleChange(row, column, event)}
+            onKeyDown={event => this.handleKeyDown(row, column, event)}
+          />
+        : text}
+      </CellTag>
+    );
+  }
+
+  /**
+   * Render a row
+   * @param {Array<string>} cells
+   * @param {number} row
+   * @return {React.ReactNode}
+   */
+  renderRow(cells, row) {
+    return (
+      <tr key={row}>
+        {cells.map((text, column) => this.renderCell(text, row, column))}
+      </tr>
+    );
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const { table, focus } = this.state;
+    const rows = table.rows.map((cells, row) => this.renderRow(cells, row));
+
+    return (
+      <figure
+        ref={(el) => {
+          this.figure = el;
+        }}
+        className={classNames(css.figure, 'text-editor--table', {
+          'text-editor--table-focus': focus !== null
+        })}
+        onClick={this.handleClick}
+      >
+        {focus !== null ?
+          <div className={classNames(css.controls, 'text-editor--table-controls')}>
+            {TABLE_COMMANDS.map(command =>
+              <button
+                key={command.label}
+                type='button'
+                className={css.button}
+                onMouseDown={event => this.handleCommand(command, event)}
+              >
+                {command.label}
+              </button>
+            )}
+            <button
+              type='button'
+              className={css.button}
+              onMouseDown={this.handleRemove}
+            >
+              Remove table
+            </button>
+          </div>
+        : null}
+        <table className={css.table}>
+          {table.header ? <thead>{rows[0]}</thead> : null}
+          <tbody>{table.header ? rows.slice(1) : rows}</tbody>
+        </table>
+      </figure>
+    );
+  }
+}
+
+Table.propTypes = {
+  block: PropTypes.object.isRequired,
+  contentState: PropTypes.object.isRequired,
+  blockProps: PropTypes.shape({
+    editable: PropTypes.bool,
+    onChange: PropTypes.func,
+    onEditStart: PropTypes.func,
+    onEditEnd: PropTypes.func,
+    onRemove: PropTypes.func
+  })
+};
+
+Table.defaultProps = {
+  blockProps: {}
+};
@@ -8,61 +8,277 @@ import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
 import Immutable from 'immutable';
-import { Editor, EditorState, RichUtils, CompositeDecorator, Modifier, getDefaultKeyBinding } from 'draft-js';
-import linkifyIt from 'linkify-it';
-import tlds from 'tlds';
+import { Editor, EditorState, SelectionState, RichUtils, CompositeDecorator, Modifier, AtomicBlockUtils, getDefaultKeyBinding, genKey } from 'draft-js';
 
 // Components & Helpers
 import { ModalActions } from 'ship-components-dialog';
 import StyleButton from './StyleButton';
+import Toolbar from './Toolbar';
+import LanguageSelect from './LanguageSelect';
 import Autocomplete from './Autocomplete';
-import Link from './Link/Link';
-import LinkModal from './Link/LinkModal';
-import Mention from './Mention/Mention';
+import LinkPopover from './Link/LinkPopover';
+import FindBar from './Find/FindBar';
+import FindMatch from './Find/FindMatch';
+import Counter from './Counter';
+import Image from './Image/Image';
+import ImageModal from './Image/ImageModal';
+import Table from './Table/Table';
 
 // Lib
 import EntityState from './lib/EntityState';
-import linkStrategy from './lib/decorators/linkStrategy';
-import mentionStrategy from './lib/decorators/mentionStrategy';
-import LinkTypes from './lib/LinkTypes';
+import createEntityStrategy from './lib/decorators/entityStrategy';
+import createFindStrategy from './lib/decorators/findStrategy';
+import ImageTypes from './lib/ImageTypes';
+import TableTypes from './lib/TableTypes';
+import HistoryTypes from './lib/HistoryTypes';
 import BlockTypes from './lib/BlockTypes';
 import InlineStyles from './lib/InlineStyles';
+import CodeLanguages from './lib/CodeLanguages';
 import Entities from './lib/Entities';
 import ChangeEvent from './lib/ChangeEvent';
+import ImageUploads from './lib/ImageUploads';
+import SuggestionRequests from './lib/SuggestionRequests';
+import { findSuggestionQuery } from './lib/suggestionQuery';
+import getSelectionRect from './lib/getSelectionRect';
+import getLinkRect from './lib/getLinkRect';
+import { getLinkDataAt } from './lib/links';
+import { FindDefaults, getFindError, findMatches, getMatchIndex, getMatchAfter, getMatchSelection, replaceMatches } from './lib/find';
+import { convertPastedHTML } from './lib/paste';
+import { getCounts, exceedsLimit, fitPastedText, insertPlainText } from './lib/limits';
+import { getKeyBindings, findKeyCommand, keepDraftCommand, applyKeyCommand } from './lib/keyBindings';
+import { createTable } from './lib/tables';
 import { convertContentFrom, convertContentTo } from './lib/convert';
+import { sanitizeUrl, getSanitizeOptions, SanitizeDefaults } from './lib/sanitize';
 import { convertStyles } from './lib/modifiers/convertStyles';
-import { convertLinks } from './lib/modifiers/convertLinks';
 import { convertEntities } from './lib/modifiers/convertEntities';
+import { replaceContent } from './lib/modifiers/replaceContent';
+import { removeBlock } from './lib/modifiers/removeBlock';
+import { insertEntity } from './lib/modifiers/insertEntity';
+import { setLink } from './lib/modifiers/setLink';
+import { handleWithPlugins, findWithPlugins, changeWithPlugins, collectFromPlugins } from './lib/plugins';
+import { getPlugins } from './plugins';
+import { editLink } from './plugins/linkPlugin';
 
 // CSS Module
 import css from './TextEditor.css';
 
-// Setup Linkify
-const linkify = linkifyIt();
-linkify.tlds(tlds);
-
 /**
- * Helper function to setup any decorators
- * @param    {Object}    props
+ * Helper function to setup any decorators, the plugins' and then any custom
+ * ones from props
+ * @param    {Object}         props
+ * @param    {Object}         api     Plugin api
+ * @param    {Object|null}    find    The search of the find bar, if it's open
  * @return   {Array<import('draft-js').DraftDecorator>}
  */
-function setupDecorators(props) {
-  // Configure custom decorators
-  let decorators = [];
-
-  // Add link component support
-  decorators.push({
-    strategy: linkStrategy,
-    component: Link
+function setupDecorators(props, api, find) {
+  // Plugin decorators, e.g. the built in link and mention ones
+  const pluginDecorators = collectFromPlugins(getPlugins(props), 'decorators', api);
+  const entityTypes = Immutable.Set(pluginDecorators.map(decorator => decorator.entityType));
+
+  // Custom decorators, either draft-js decorators or entity type shorthands
+  const custom = props.decorators || Immutable.List();
+
+  // Custom decorators for a plugin's entity type replace its component and
+  // get its props, e.g. the link sanitize options
+  const overridden = pluginDecorators.map((decorator) => {
+    const override = decorator.entityType ? custom.findLast(item => item.entityType === decorator.entityType) : null;
+    if (!override) {
+      return decorator;
+    }
+    return {
+      strategy: override.strategy || decorator.strategy,
+      component: override.component,
+      props: Object.assign({}, decorator.props, override.props)
+    };
+  });
+
+  // Matches of the find bar's search come last so links, mentions and the
+  // like keep their text. Matches overlapping them aren't highlighted.
+  const findDecorators = Immutable.List([{
+    strategy: createFindStrategy(find, true),
+    component: FindMatch,
+    props: {
+      current: true
+    }
+  }, {
+    strategy: createFindStrategy(find, false),
+    component: FindMatch
+  }]);
+
+  // The rest come first so they can claim text before the plugins do
+  return custom
+    .filter(item => !entityTypes.has(item.entityType))
+    .map(item => ({
+      strategy: item.strategy || createEntityStrategy(item.entityType),
+      component: item.component,
+      props: item.props
+    }))
+    .concat(overridden)
+    .concat(findDecorators)
+    .toArray();
+}
+
+/**
+ * Helper function to run the conversions that happen on every change
+ * @param    {EditorState}    editorState
+ * @param    {Object}         props
+ * @param    {Object}         api    Plugin api
+ * @return   {EditorState}
+ */
+function convertEditorState(editorState, props, api) {
+  // Convert styles if neccessary
+  editorState = convertStyles(editorState, {
+    allowBlock: !props.onlyInline
   });
 
-  // Add mention component support
-  decorators.push({
-    strategy: mentionStrategy,
-    component: Mention
+  // Let plugins change it, e.g. to convert links. Use the props we're given
+  // since they may not be set yet.
+  editorState = changeWithPlugins(getPlugins(props), editorState, Object.assign({}, api, {
+    getProps: () => props
+  }));
+
+  // Convert other entities
+  return convertEntities(editorState, props.convertEntities);
+}
+
+/**
+ * Helper function to check if two values of the editor's type are the same
+ * @param    {any}       value
+ * @param    {any}       otherValue
+ * @param    {string}    type
+ * @return   {boolean}
+ */
+function isSameValue(value, otherValue, type) {
+  if (value === otherValue || (!value && !otherValue)) {
+    return true;
+  } else if (type === 'json') {
+    // Parents often copy objects, e.g. in a redux store
+    return JSON.stringify(value) === JSON.stringify(otherValue);
+  }
+  return Immutable.is(value, otherValue);
+}
+
+/**
+ * Helper function to select the run of consecutive code blocks around the
+ * selection, which are exported together as one <pre>
+ * @param    {import('draft-js').ContentState}      contentState
+ * @param    {SelectionState}    selectionState
+ * @return   {SelectionState}
+ */
+function selectCodeBlocks(contentState, selectionState) {
+  let first = contentState.getBlockForKey(selectionState.getStartKey());
+  let last = contentState.getBlockForKey(selectionState.getEndKey());
+  while (contentState.getBlockBefore(first.getKey()) && contentState.getBlockBefore(first.getKey()).getType() === 'code-block') {
+    first = contentState.getBlockBefore(first.getKey());
+  }
+  while (contentState.getBlockAfter(last.getKey()) && contentState.getBlockAfter(last.getKey()).getType() === 'code-block') {
+    last = contentState.getBlockAfter(last.getKey());
+  }
+  return new SelectionState({
+    anchorKey: first.getKey(),
+    anchorOffset: 0,
+    focusKey: last.getKey(),
+    focusOffset: last.getLength()
+  });
+}
+
+/**
+ * Helper function to insert an entity, e.g. an image or table, in its own
+ * block after the selection
+ * @param    {EditorState}    editorState
+ * @param    {string}         type
+ * @param    {Object}         data
+ * @return   {EditorState}
+ */
+function insertAtomicEntity(editorState, type, data) {
+  const contentWithEntity = editorState.getCurrentContent().createEntity(type, 'IMMUTABLE', data);
+  return AtomicBlockUtils.insertAtomicBlock(
+    EditorState.set(editorState, { currentContent: contentWithEntity }),
+    contentWithEntity.getLastCreatedEntityKey(),
+    ' '
+  );
+}
+
+/**
+ * Helper function to replace the entity data of an atomic block without
+ * moving the selection. Entities are shared between states so a new one is
+ * created to keep undo working.
+ * @param    {EditorState}    editorState
+ * @param    {import('draft-js').ContentBlock}    block
+ * @param    {string}         type
+ * @param    {Object}         data
+ * @return   {EditorState}
+ */
+function setAtomicEntity(editorState, block, type, data) {
+  const selectionState = editorState.getSelection();
+  const contentWithEntity = editorState.getCurrentContent().createEntity(type, 'IMMUTABLE', data);
+  const blockSelection = SelectionState.createEmpty(block.getKey()).merge({
+    focusOffset: block.getLength()
   });
+  const contentWithAtomic = Modifier.applyEntity(contentWithEntity, blockSelection, contentWithEntity.getLastCreatedEntityKey());
+  return EditorState.push(editorState, contentWithAtomic.merge({
+    selectionBefore: selectionState,
+    selectionAfter: selectionState
+  }), 'apply-entity');
+}
+
+/**
+ * Helper function to get the data of the entity created for a suggestion
+ * @param    {import('./Autocomplete').AutocompleteSuggestion}    suggestion
+ * @return   {Object}
+ */
+function getSuggestionData(suggestion) {
+  const data = {
+    text: suggestion.value
+  };
+  if (suggestion.title) {
+    data.title = suggestion.title;
+  }
+  return Object.assign(data, suggestion.data);
+}
+
+/**
+ * Helper function to get the entity to create for a suggestion. Mentions are
+ * created when neither the suggestion nor its source has an entity type.
+ * @param    {import('./Autocomplete').AutocompleteSuggestion}    suggestion
+ * @param    {Object|null}    source    The suggestion source it was fetched from
+ * @return   {Object}
+ */
+function getSuggestionEntity(suggestion, source) {
+  return {
+    type: suggestion.entityType || (source && source.entityType) || Entities.Mention,
+    mutability: suggestion.mutability || (source && source.mutability) || 'IMMUTABLE',
+    text: suggestion.label,
+    data: getSuggestionData(suggestion)
+  };
+}
 
-  return decorators;
+/**
+ * Helper function to check if the props the decorators are made with have
+ * changed, e.g. the link sanitize options. Click callbacks are looked up when
+ * they're called, so only adding or removing one matters.
+ * @param    {Object}    props
+ * @param    {Object}    prevProps
+ * @return   {boolean}
+ */
+function hasNewDecoratorProps(props, prevProps) {
+  return ['decorators', 'plugins', 'linkProtocols', 'htmlElements', 'htmlAttributes', 'sanitizeUrl']
+    .some(name => props[name] !== prevProps[name]) ||
+    ['onMentionClick', 'onHashtagClick']
+      .some(name => (typeof props[name] === 'function') !== (typeof prevProps[name] === 'function'));
+}
+
+/**
+ * Helper function to find the placeholder block of an upload
+ * @param    {import('draft-js').ContentState}    contentState
+ * @param    {string}    uploadId
+ * @return   {import('draft-js').ContentBlock|undefined}
+ */
+function findUploadBlock(contentState, uploadId) {
+  return contentState.getBlockMap().find((block) => {
+    const entityKey = block.getType() === 'atomic' ? block.getEntityAt(0) : null;
+    return Boolean(entityKey) && contentState.getEntity(entityKey).getData().upload === uploadId;
+  });
 }
 
 export default class TextEditor extends Component {
@@ -70,26 +286,29 @@ export default class TextEditor extends Component {
     super(props);
 
     // Convert incoming to somethign draft-js friendly
-    const content = convertContentFrom(props.value, props.type);
+    const content = convertContentFrom(props.value, props.type, getSanitizeOptions(props));
+
+    // What plugins can use to work with the editor
+    this.pluginApi = {
+      getEditorState: () => this.state.editorState,
+      setEditorState: editorState => this.handleEditorChange(editorState),
+      getEntityState: () => this.state.entityState,
+      getProps: () => this.props,
+      getAutocomplete: () => this.refs.autocomplete,
+      openLinkPopover: (selection, href) => this.setState({
+        linkEdit: {
+          selection,
+          href
+        }
+      }),
+      focus: () => this.focus()
+    };
 
     // Setup decorators
-    const decorators = new CompositeDecorator(setupDecorators(props));
+    const decorators = new CompositeDecorator(setupDecorators(props, this.pluginApi, null));
 
     // Create editor state
-    let editorState = EditorState.createWithContent(content, decorators);
-
-    // Convert styles if neccessary
-    editorState = convertStyles(editorState, {
-      allowBlock: !props.onlyInline
-    });
-
-    // Convert links if neccessary
-    if (props.convertLinksInline) {
-      editorState = convertLinks(editorState);
-    }
-
-    // Convert other entities
-    editorState = convertEntities(editorState, props.convertEntities);
+    const editorState = convertEditorState(EditorState.createWithContent(content, decorators), props, this.pluginApi);
 
     // Create entity state
     const currentContent = editorState.getCurrentContent();
@@ -99,22 +318,116 @@ export default class TextEditor extends Component {
     // Set state the first time
     this.state = {
       editorState,
-      entityState
+      entityState,
+      // Whether a block component, e.g. a table, is being edited
+      editingBlock: false,
+      // Suggestions being fetched for the query being typed
+      suggestionRequest: null,
+      // Whether the autocomplete is open and which suggestion is active, for
+      // screen readers
+      autocomplete: {
+        open: false,
+        activeId: null
+      },
+      // The link being edited in the popover, if any
+      linkEdit: null,
+      // Whether focus moved from the editor into the link popover, which keeps
+      // it open for keyboard users
+      linkPopoverFocus: false,
+      // The search of the find bar and its current match, null when it's closed
+      find: null
     };
 
+    // Ties the editor to its autocomplete list
+    this.autocompleteId = `text-editor-${genKey()}-suggestions`;
+
+    // The last value we've been given or emitted, used by controlled mode
+    this.lastValue = props.value;
+
+    // Parsed once here and when the props they come from change
+    this.keyBindings = getKeyBindings(props);
+
     // Binding
     this.forceUpdate = this.forceUpdate.bind(this);
     this.focus = this.focus.bind(this);
     this.handleEditorChange = this.handleEditorChange.bind(this);
     this.handleBeforeInput = this.handleBeforeInput.bind(this);
     this.handleFocus = this.handleFocus.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleLinkPopoverLeave = this.handleLinkPopoverLeave.bind(this);
     this.handleKeyBinding = this.handleKeyBinding.bind(this);
     this.handleKeyCommand = this.handleKeyCommand.bind(this);
     this.handleMouseDown = this.handleMouseDown.bind(this);
     this.handleInlineStyleClick = this.handleInlineStyleClick.bind(this);
     this.handleBlockStyleClick = this.handleBlockStyleClick.bind(this);
-    this.handleLinkClick = this.handleLinkClick.bind(this);
+    this.handleCodeLanguageChange = this.handleCodeLanguageChange.bind(this);
+    this.handleImageClick = this.handleImageClick.bind(this);
+    this.handleImageResize = this.handleImageResize.bind(this);
+    this.handleBlockRemove = this.handleBlockRemove.bind(this);
+    this.handleTableClick = this.handleTableClick.bind(this);
+    this.handleTableChange = this.handleTableChange.bind(this);
+    this.handleBlockEditStart = this.handleBlockEditStart.bind(this);
+    this.handleBlockEditEnd = this.handleBlockEditEnd.bind(this);
+    this.handlePastedText = this.handlePastedText.bind(this);
+    this.handlePastedFiles = this.handlePastedFiles.bind(this);
+    this.handleDroppedFiles = this.handleDroppedFiles.bind(this);
+    this.handleUploadComplete = this.handleUploadComplete.bind(this);
+    this.handleBlockRenderer = this.handleBlockRenderer.bind(this);
+    this.handleHistoryClick = this.handleHistoryClick.bind(this);
     this.handleSuggestionClick = this.handleSuggestionClick.bind(this);
+    this.handleSuggestionRequestChange = this.handleSuggestionRequestChange.bind(this);
+    this.handleAutocompleteActiveChange = this.handleAutocompleteActiveChange.bind(this);
+    this.getSuggestionRect = this.getSuggestionRect.bind(this);
+    this.handleLinkOpen = this.handleLinkOpen.bind(this);
+    this.handleLinkEdit = this.handleLinkEdit.bind(this);
+    this.handleLinkRemove = this.handleLinkRemove.bind(this);
+    this.handleLinkConfirm = this.handleLinkConfirm.bind(this);
+    this.handleLinkCancel = this.handleLinkCancel.bind(this);
+    this.getLinkPopoverRect = this.getLinkPopoverRect.bind(this);
+    this.handleFindChange = this.handleFindChange.bind(this);
+    this.handleFindNext = this.handleFindNext.bind(this);
+    this.handleFindPrevious = this.handleFindPrevious.bind(this);
+    this.handleReplace = this.handleReplace.bind(this);
+    this.handleReplaceAll = this.handleReplaceAll.bind(this);
+    this.handleFindClose = this.handleFindClose.bind(this);
+
+    // Pasted and dropped images being uploaded
+    this.uploads = new ImageUploads({
+      upload: (file, onProgress) => this.props.onUploadFile(file, onProgress),
+      onComplete: this.handleUploadComplete
+    });
+
+    // Suggestions fetched from suggestionSources
+    this.suggestionRequests = new SuggestionRequests({
+      onChange: this.handleSuggestionRequestChange
+    });
+  }
+
+  /**
+   * Update the key bindings. In controlled mode, replace the content when the
+   * parent passes a value that we didn't emit ourselves.
+   */
+  componentWillReceiveProps(nextProps) {
+    if (['keyBindings', 'defaultKeyBindings', 'inlineStyles', 'blockTypes'].some(prop => nextProps[prop] !== this.props[prop])) {
+      this.keyBindings = getKeyBindings(nextProps);
+    }
+    // Compare against what we last emitted rather than the last prop, so a
+    // parent can revert to a value it passed before
+    if (!nextProps.controlled || isSameValue(nextProps.value, this.lastValue, nextProps.type)) {
+      return;
+    }
+    this.lastValue = nextProps.value;
+
+    // Convert incoming to somethign draft-js friendly
+    const content = convertContentFrom(nextProps.value, nextProps.type, getSanitizeOptions(nextProps));
+
+    // Swap the content without firing onChange since the parent already has it
+    const editorState = convertEditorState(replaceContent(this.state.editorState, content), nextProps, this.pluginApi);
+    const entityState = EntityState.create(editorState.getCurrentContent(), editorState.getSelection());
+    this.setState({
+      editorState,
+      entityState
+    });
   }
 
   /**
@@ -123,18 +436,57 @@ export default class TextEditor extends Component {
   shouldComponentUpdate(nextProps, nextState) {
     return nextProps.editable !== this.props.editable ||
            nextProps.suggestions !== this.props.suggestions ||
-           nextState.editorState !== this.state.editorState;
+           nextProps.maxLength !== this.props.maxLength ||
+           nextProps.maxLengthUnit !== this.props.maxLengthUnit ||
+           nextProps.showCounter !== this.props.showCounter ||
+           nextProps.linkEditor !== this.props.linkEditor ||
+           nextState.editorState !== this.state.editorState ||
+           nextState.editingBlock !== this.state.editingBlock ||
+           nextState.suggestionRequest !== this.state.suggestionRequest ||
+           nextState.autocomplete !== this.state.autocomplete ||
+           nextState.linkEdit !== this.state.linkEdit ||
+           nextState.linkPopoverFocus !== this.state.linkPopoverFocus ||
+           nextState.find !== this.state.find ||
+           hasNewDecoratorProps(nextProps, this.props);
+  }
+
+  /**
+   * Make the decorators again when their props change, and keep the current
+   * match of the find bar in view
+   */
+  componentDidUpdate(prevProps, prevState) {
+    if (hasNewDecoratorProps(this.props, prevProps)) {
+      this.updateDecorators();
+    }
+    const { find } = this.state;
+    if (!find || !find.current || (prevState.find && prevState.find.current === find.current) || !this.editorElement) {
+      return;
+    }
+    const element = this.editorElement.querySelector('.text-editor--find-match-current');
+    if (element && typeof element.scrollIntoView === 'function') {
+      element.scrollIntoView({
+        block: 'nearest'
+      });
+    }
+  }
+
+  /**
+   * Ignore any uploads or suggestions that finish after we're gone
+   */
+  componentWillUnmount() {
+    this.uploads.destroy();
+    this.suggestionRequests.destroy();
   }
 
   /**
    * Public method to cause the editor to reread it's props.value. Often used
    * when resetting the form.
    * @public
-   * @example this.refs.editor.forceUpdate();
+   * @example this.refs.editor.forceUpdateState();
    */
   forceUpdateState(props = this.props) {
     // Convert incoming to somethign draft-js friendly
-    const content = convertContentFrom(props.value, props.type);
+    const content = convertContentFrom(props.value, props.type, getSanitizeOptions(props));
 
     // Generate new date
     const updatedEditorState = EditorState.push(this.state.editorState, content);
@@ -159,38 +511,123 @@ export default class TextEditor extends Component {
     this.refs.editor.blur();
   }
 
+  /**
+   * Open the find bar, or focus it when it's already open
+   * @public
+   * @param {string} [query] What to find, defaults to the selected text
+   */
+  openFind(query) {
+    const { editorState } = this.state;
+    if (typeof query !== 'string') {
+      // Search for the selected text, if it's within a block
+      const selectionState = editorState.getSelection();
+      query = selectionState.getStartKey() === selectionState.getEndKey()
+        ? editorState.getCurrentContent().getBlockForKey(selectionState.getStartKey()).getText()
+          .slice(selectionState.getStartOffset(), selectionState.getEndOffset())
+        : '';
+    }
+    const find = this.state.find || Object.assign({}, FindDefaults, { current: null });
+    if (query === '' && this.state.find) {
+      // Keep the last search
+      query = this.state.find.query;
+    }
+    this.updateFind(Object.assign({}, find, { query }));
+    if (this.refs.findBar) {
+      this.refs.findBar.focus();
+    }
+  }
+
+  /**
+   * Close the find bar
+   * @public
+   */
+  closeFind() {
+    if (this.state.find) {
+      this.updateFind(null);
+    }
+  }
+
+  /**
+   * Undo the last change
+   * @public
+   */
+  undo() {
+    if (!this.props.editable || !this.canUndo()) {
+      return;
+    }
+    this.handleEditorChange(EditorState.undo(this.state.editorState));
+  }
+
+  /**
+   * Redo the last undone change
+   * @public
+   */
+  redo() {
+    if (!this.props.editable || !this.canRedo()) {
+      return;
+    }
+    this.handleEditorChange(EditorState.redo(this.state.editorState));
+  }
+
+  /**
+   * Check if there is anything to undo
+   * @public
+   * @return {boolean}
+   */
+  canUndo() {
+    return !this.state.editorState.getUndoStack().isEmpty();
+  }
+
+  /**
+   * Check if there is anything to redo
+   * @public
+   * @return {boolean}
+   */
+  canRedo() {
+    return !this.state.editorState.getRedoStack().isEmpty();
+  }
+
+  /**
+   * Get the plugins to use, ours after any passed in
+   * @return {Immutable.List}
+   */
+  getPlugins() {
+    return getPlugins(this.props);
+  }
+
   /**
    * Text editor change
    * @param {EditorState} editorState
    */
   handleEditorChange(editorState) {
-    // Convert styles if neccessary
-    editorState = convertStyles(editorState, {
-      allowBlock: !this.props.onlyInline
-    });
+    // Convert styles, links and entities
+    editorState = convertEditorState(editorState, this.props, this.pluginApi);
 
-    // Convert links if neccessary
-    if (this.props.convertLinksInline) {
-      editorState = convertLinks(editorState);
+    // Nothing gets past the limit, however it's added, e.g. by dropping text,
+    // picking a suggestion or an IME
+    if (this.exceedsMaxLength(editorState)) {
+      return;
     }
 
-    // Convert other entities
-    editorState = convertEntities(editorState, this.props.convertEntities);
-
     // Entity state
     const currentContent = editorState.getCurrentContent();
     const selectionState = editorState.getSelection();
     const entityState = EntityState.create(currentContent, selectionState);
 
+    // Fetch suggestions for the query being typed, if any
+    this.updateSuggestionRequest(editorState);
+
     this.setState({
       editorState,
       entityState
     }, () => {
       if (typeof this.props.onChange === 'function') {
         // Convert from draft-fs format so it's seamless with the rest of the application.
-        const value = convertContentTo(this.state.editorState.getCurrentContent(), this.props.type);
+        const value = convertContentTo(this.state.editorState.getCurrentContent(), this.props.type, getSanitizeOptions(this.props));
+        this.lastValue = value;
         const event = new ChangeEvent(value, {
-          ref: this
+          ref: this,
+          counts: getCounts(this.state.editorState.getCurrentContent())
         });
         this.props.onChange(event);
       }
@@ -204,9 +641,38 @@ export default class TextEditor extends Component {
         });
         this.props.onEntityChange(event);
       }
+      if (typeof this.props.onHistoryChange === 'function') {
+        // Only when the undo or redo availability changes
+        const canUndo = this.canUndo();
+        const canRedo = this.canRedo();
+        if (!this.lastHistory || this.lastHistory.canUndo !== canUndo || this.lastHistory.canRedo !== canRedo) {
+          this.lastHistory = {
+            canUndo,
+            canRedo
+          };
+          const event = new ChangeEvent(this.lastHistory, {
+            ref: this,
+            canUndo,
+            canRedo
+          });
+          this.props.onHistoryChange(event);
+        }
+      }
     });
   }
 
+  /**
+   * Check if a change takes the text past `maxLength`. Undo and redo can go
+   * back to longer text, e.g. from the value.
+   * @param {EditorState} editorState
+   * @return {boolean}
+   */
+  exceedsMaxLength(editorState) {
+    return typeof this.props.maxLength === 'number' &&
+      ['undo', 'redo'].indexOf(editorState.getLastChangeType()) === -1 &&
+      exceedsLimit(this.state.editorState.getCurrentContent(), editorState.getCurrentContent(), this.props);
+  }
+
   /**
    * Input handling (to fix replaceText issues)
    * @param {string} chars
@@ -214,9 +680,19 @@ export default class TextEditor extends Component {
    * @return {string}
    */
   handleBeforeInput(chars, editorState) {
+    // Don't type past the limit
+    if (typeof this.props.maxLength === 'number') {
+      const currentContent = editorState.getCurrentContent();
+      if (exceedsLimit(currentContent, Modifier.replaceText(currentContent, editorState.getSelection(), chars), this.props)) {
+        return 'handled';
+      }
+    }
+    if (handleWithPlugins(this.getPlugins(), 'handleBeforeInput', chars, editorState, this.pluginApi) === 'handled') {
+      return 'handled';
+    }
     const currentContentState = editorState.getCurrentContent();
     const selectionState = editorState.getSelection();
-    const newEditorState = EditorState.push(editorState, Modifier.replaceText(currentContentState, selectionState, chars));
+    const newEditorState = EditorState.push(editorState, Modifier.replaceText(currentContentState, selectionState, chars), 'insert-characters');
     this.handleEditorChange(newEditorState);
     return 'handled';
   }
@@ -228,6 +704,23 @@ export default class TextEditor extends Component {
     this.focus();
   }
 
+  /**
+   * Handle blur event, noting when focus moves into the link popover, e.g. by
+   * pressing Tab, so it stays open
+   * @param {Event} event
+   */
+  handleBlur(event) {
+    const popover = this.refs.linkPopover;
+    if (popover && popover.contains(event.relatedTarget)) {
+      this.setState({
+        linkPopoverFocus: true
+      });
+    }
+    if (typeof this.props.onBlur === 'function') {
+      this.props.onBlur(event);
+    }
+  }
+
   /**
    * Keyboard events
    * @param {Event} event
@@ -237,23 +730,19 @@ export default class TextEditor extends Component {
     if (typeof this.props.onKeyDown === 'function') {
       this.props.onKeyDown(event);
     }
-    if (this.props.suggestions) {
-      switch (event.keyCode) {
-      case 38:
-        // up arrow
-        this.refs.autocomplete.moveSelection('up', event);
-        return event.preventDefault();
-      case 40:
-        // down arrow
-        this.refs.autocomplete.moveSelection('down', event);
-        return event.preventDefault();
-      case 13:
-        // enter
-        this.refs.autocomplete.clickSelection(event);
-        return event.preventDefault();
-      }
+    const command = findWithPlugins(this.getPlugins(), 'keyBindingFn', event, this.pluginApi);
+    if (command === 'handled') {
+      // A plugin dealt with the key itself
+      return null;
+    } else if (command) {
+      return command;
     }
-    return getDefaultKeyBinding(event);
+    const boundCommand = findKeyCommand(this.keyBindings, event);
+    if (typeof boundCommand !== 'undefined') {
+      return boundCommand;
+    }
+    const defaultCommand = getDefaultKeyBinding(event);
+    return keepDraftCommand(defaultCommand, this.props) ? defaultCommand : null;
   }
 
   /**
@@ -266,6 +755,22 @@ export default class TextEditor extends Component {
     let editor;
     let { editorState } = this.state;
 
+    if (handleWithPlugins(this.getPlugins(), 'handleKeyCommand', command, editorState, this.pluginApi) === 'handled') {
+      return 'handled';
+    }
+
+    if (command === 'find') {
+      this.openFind();
+      return 'handled';
+    }
+
+    // Commands from the key bindings, e.g. toggling a block type
+    const boundEditorState = applyKeyCommand(editorState, command);
+    if (boundEditorState) {
+      this.handleEditorChange(boundEditorState);
+      return 'handled';
+    }
+
     const newEditorStatue = RichUtils.handleKeyCommand(editorState, command);
 
     // Split the selected block into two blocks on 'Enter' command.
@@ -329,88 +834,430 @@ export default class TextEditor extends Component {
   }
 
   /**
-   * Toggle a link element
-   * @param {string} linkAction
+   * Change the language of the code block under the cursor
+   * @param {string} language
    * @param {Event} event
    */
-  handleLinkClick(linkAction, event) {
+  handleCodeLanguageChange(language, event) {
     if (!this.props.editable) {
       return;
     }
 
-    let editorState = this.state.editorState;
+    const { editorState } = this.state;
     const currentContent = editorState.getCurrentContent();
-    const entityState = this.state.entityState;
+    const selectionState = editorState.getSelection();
 
-    // Find current link, if any
-    const currentLinkEntity = entityState.isEntityType(Entities.Link)
-      ? entityState.getEntity()
+    // Set the language on the whole code block
+    const codeSelection = selectCodeBlocks(currentContent, selectionState);
+    const contentWithLanguage = Modifier.mergeBlockData(currentContent, codeSelection, Immutable.Map({
+      language
+    }));
+
+    // Put the cursor back where it was since the select took focus
+    let updatedEditorState = EditorState.push(editorState, contentWithLanguage, 'change-block-data');
+    updatedEditorState = EditorState.forceSelection(updatedEditorState, selectionState);
+
+    // Update
+    this.handleEditorChange(updatedEditorState);
+  }
+
+  /**
+   * Undo or redo
+   * @param {string} historyAction
+   * @param {Event} event
+   */
+  handleHistoryClick(historyAction, event) {
+    if (historyAction === 'UNDO') {
+      this.undo();
+    } else if (historyAction === 'REDO') {
+      this.redo();
+    }
+  }
+
+  /**
+   * Ask for an image and insert it in its own block
+   * @param {string} imageAction
+   * @param {Event} event
+   */
+  handleImageClick(imageAction, event) {
+    if (!this.props.editable) {
+      return;
+    }
+
+    ModalActions.open(
+      <ImageModal
+        title='Insert Image'
+      />
+    ).then((modalState) => {
+      const src = sanitizeUrl(modalState.src.trim(), getSanitizeOptions(this.props));
+      if (!src) {
+        // Nothing entered or the protocol isn't allowed
+        return;
+      }
+
+      const data = {
+        src,
+        alt: modalState.alt
+      };
+      const width = parseInt(modalState.width, 10);
+      if (width > 0) {
+        data.width = width;
+      }
+
+      this.handleEditorChange(insertAtomicEntity(this.state.editorState, Entities.Image, data));
+    }).catch(() => {
+      // User cancelled, do nothing
+    });
+  }
+
+  /**
+   * Save new dimensions for a resized image
+   * @param {ContentBlock} block
+   * @param {Object} dimensions
+   */
+  handleImageResize(block, dimensions) {
+    const editorState = this.state.editorState;
+    const entityKey = block.getEntityAt(0);
+    if (!this.props.editable || !entityKey) {
+      return;
+    }
+
+    const data = editorState.getCurrentContent().getEntity(entityKey).getData();
+    this.handleEditorChange(setAtomicEntity(editorState, block, Entities.Image, Object.assign({}, data, dimensions)));
+  }
+
+  /**
+   * Remove an image or table block, cancelling its upload if it has one
+   * @param {ContentBlock} block
+   */
+  handleBlockRemove(block) {
+    const editorState = this.state.editorState;
+    const entityKey = block.getEntityAt(0);
+    if (!this.props.editable) {
+      return;
+    }
+
+    if (entityKey) {
+      const uploadId = editorState.getCurrentContent().getEntity(entityKey).getData().upload;
+      if (uploadId) {
+        this.uploads.remove(uploadId);
+      }
+    }
+    this.handleEditorChange(removeBlock(editorState, block.getKey()));
+  }
+
+  /**
+   * Let plugins handle pasted text, otherwise draft-js does
+   * @param {string} text
+   * @param {string} html
+   * @param {EditorState} editorState
+   * @return {string}
+   */
+  handlePastedText(text, html, editorState) {
+    if (typeof this.props.maxLength === 'number' && this.handlePastedTextOverLimit(text, editorState) === 'handled') {
+      return 'handled';
+    }
+    if (handleWithPlugins(this.getPlugins(), 'handlePastedText', text, html, editorState, this.pluginApi) === 'handled') {
+      return 'handled';
+    }
+    return this.pasteHTML(html, editorState);
+  }
+
+  /**
+   * Paste html keeping only the formatting the editor allows
+   * @param {string} html
+   * @param {EditorState} editorState
+   * @return {string}
+   */
+  pasteHTML(html, editorState) {
+    // Copied from this editor, so draft-js can use its own clipboard
+    const editorKey = this.refs.editor ? this.refs.editor.getEditorKey() : null;
+    if (!html || this.props.stripPastedStyles || (editorKey && html.indexOf(editorKey) !== -1)) {
+      return 'not-handled';
+    }
+
+    const pastedContent = convertPastedHTML(html, this.props);
+    if (!pastedContent.hasText() && pastedContent.getBlockMap().size <= 1) {
+      return 'not-handled';
+    }
+    const contentWithPaste = Modifier.replaceWithFragment(editorState.getCurrentContent(), editorState.getSelection(), pastedContent.getBlockMap());
+    this.handleEditorChange(EditorState.push(editorState, contentWithPaste, 'insert-fragment'));
+    return 'handled';
+  }
+
+  /**
+   * Truncate or reject pasted text that doesn't fit in `maxLength`
+   * @param {string} text
+   * @param {EditorState} editorState
+   * @return {string}
+   */
+  handlePastedTextOverLimit(text, editorState) {
+    const currentContent = editorState.getCurrentContent();
+    const selectionState = editorState.getSelection();
+    if (!text || !exceedsLimit(currentContent, insertPlainText(currentContent, selectionState, text), this.props)) {
+      return 'not-handled';
+    }
+    const fittedContent = this.props.maxLengthOverflow === 'truncate'
+      ? fitPastedText(currentContent, selectionState, text, this.props)
       : null;
+    if (fittedContent) {
+      this.handleEditorChange(EditorState.push(editorState, fittedContent, 'insert-fragment'));
+    }
+    return 'handled';
+  }
 
-    // If selection is collapsed, find selection around full link
-    let selectionState = editorState.getSelection();
-    if (currentLinkEntity && selectionState.isCollapsed()) {
-      selectionState = entityState.getEntitySelection();
-    }
-
-    let title = 'Add Link';
-    let defaultUrl = '';
-
-    switch (linkAction) {
-    case 'DELETE':
-        // Delete a link
-      editorState = RichUtils.toggleLink(editorState, selectionState, null);
-      this.handleEditorChange(editorState);
-      break;
-
-    case 'EDIT':
-    default:
-        // Find current link
-      if (currentLinkEntity) {
-          // Set default to current link href
-        title = 'Edit Link';
-        defaultUrl = currentLinkEntity.getData().href;
+  /**
+   * Upload pasted image files
+   * @param {Array<Blob>} files
+   * @return {string}
+   */
+  handlePastedFiles(files) {
+    if (handleWithPlugins(this.getPlugins(), 'handlePastedFiles', files, this.pluginApi) === 'handled') {
+      return 'handled';
+    }
+    return this.uploadFiles(this.state.editorState, files);
+  }
+
+  /**
+   * Upload image files dropped into the editor
+   * @param {SelectionState} selectionState
+   * @param {Array<Blob>} files
+   * @return {string}
+   */
+  handleDroppedFiles(selectionState, files) {
+    return this.uploadFiles(EditorState.forceSelection(this.state.editorState, selectionState), files);
+  }
+
+  /**
+   * Insert a placeholder for each image file and start uploading them
+   * @param {EditorState} editorState
+   * @param {Array<Blob>} files
+   * @return {string} Whether draft-js should handle the files itself
+   */
+  uploadFiles(editorState, files) {
+    const images = Array.prototype.filter.call(files, file => /^image\//.test(file.type));
+    if (!this.props.editable || typeof this.props.onUploadFile !== 'function' || images.length === 0 ||
+      this.props.onlyInline || !this.props.blockTypes.has('atomic')) {
+      return 'not-handled';
+    }
+
+    images.forEach((file) => {
+      editorState = insertAtomicEntity(editorState, Entities.Image, {
+        upload: this.uploads.start(file),
+        alt: ''
+      });
+    });
+    this.handleEditorChange(editorState);
+    return 'handled';
+  }
+
+  /**
+   * Swap an upload's placeholder for the uploaded image
+   * @param {string} uploadId
+   * @param {Object} result
+   * @return {Error|null} Why the upload failed, if it did
+   */
+  handleUploadComplete(uploadId, result) {
+    const editorState = this.state.editorState;
+    const block = findUploadBlock(editorState.getCurrentContent(), uploadId);
+    if (!block) {
+      // The placeholder was deleted while uploading
+      return null;
+    }
+
+    const src = sanitizeUrl(result && result.src, getSanitizeOptions(this.props));
+    if (!src) {
+      return new Error('Upload did not return an allowed src');
+    }
+
+    const data = {
+      src,
+      alt: result.alt || ''
+    };
+    ['width', 'height'].forEach((dimension) => {
+      if (result[dimension] > 0) {
+        data[dimension] = result[dimension];
       }
+    });
+    this.handleEditorChange(setAtomicEntity(editorState, block, Entities.Image, data));
+    return null;
+  }
 
-    case 'ADD':
-        // Ask for link URL
-      ModalActions.open(
-        <LinkModal
-          title={title}
-          href={defaultUrl}
-        />
-        ).then((modalState) => {
-          // Check if href was entered
-          const enteredHref = modalState.href;
-          if (enteredHref.trim() !== '') {
-            // Parse link href
-            const links = linkify.match(enteredHref);
-            const newHref = (links !== null) ? links[0].url : enteredHref;
-            // Set link entity
-            const contentWithEntity = currentContent.createEntity(Entities.Link, 'MUTABLE', {
-              href: newHref,
-              created: 'insert'
-            });
-            const entityKey = contentWithEntity.getLastCreatedEntityKey();
-            if (selectionState.isCollapsed()) {
-              // No selection, create link
-              const contentWithEntityText = Modifier.insertText(currentContent, selectionState, newHref, null, entityKey);
-              editorState = EditorState.push(editorState, contentWithEntityText, 'create-entity');
-            } else {
-              // Convert selection into link
-              editorState = EditorState.push(editorState, contentWithEntity, 'create-entity');
-            }
-            editorState = RichUtils.toggleLink(editorState, selectionState, entityKey);
-          } else {
-            // Used entered empty string - remove link
-            editorState = RichUtils.toggleLink(editorState, selectionState, null);
-          }
-          // Update editor with changes
-          this.handleEditorChange(editorState);
-        }).catch(() => {
-          // User cancelled, do nothing
-        });
+  /**
+   * Insert an empty table with a header row
+   * @param {string} tableAction
+   * @param {Event} event
+   */
+  handleTableClick(tableAction, event) {
+    if (!this.props.editable || !this.props.blockTypes.has('table')) {
+      return;
     }
+    this.handleEditorChange(insertAtomicEntity(this.state.editorState, Entities.Table, createTable(3, 3, true)));
+  }
+
+  /**
+   * Save an edited table
+   * @param {ContentBlock} block
+   * @param {Object} table
+   */
+  handleTableChange(block, table) {
+    if (!this.props.editable) {
+      return;
+    }
+    this.handleEditorChange(setAtomicEntity(this.state.editorState, block, Entities.Table, table));
+  }
+
+  /**
+   * Make the editor read only while a block component has focus so draft-js
+   * doesn't handle its input
+   */
+  handleBlockEditStart() {
+    this.setState({
+      editingBlock: true
+    });
+  }
+
+  /**
+   * Hand input back to draft-js
+   */
+  handleBlockEditEnd() {
+    this.setState({
+      editingBlock: false
+    });
+  }
+
+  /**
+   * Render atomic image and table blocks with our own components, unless a
+   * plugin renders the block
+   * @param {ContentBlock} block
+   * @return {Object|null}
+   */
+  handleBlockRenderer(block) {
+    const rendered = findWithPlugins(this.getPlugins(), 'blockRendererFn', block, this.pluginApi);
+    if (rendered) {
+      return rendered;
+    }
+    if (block.getType() !== 'atomic') {
+      return null;
+    }
+    const entityKey = block.getEntityAt(0);
+    const entityType = entityKey ? this.state.editorState.getCurrentContent().getEntity(entityKey).getType() : null;
+    if (entityType === Entities.Image) {
+      return {
+        component: Image,
+        editable: false,
+        props: {
+          editable: this.props.editable,
+          sanitizeOptions: getSanitizeOptions(this.props),
+          uploads: this.uploads,
+          onResize: this.handleImageResize,
+          onRemove: this.handleBlockRemove
+        }
+      };
+    }
+    if (entityType === Entities.Table) {
+      // Tables already in the value are kept, but can't be edited unless
+      // tables are allowed
+      return {
+        component: Table,
+        editable: false,
+        props: {
+          editable: this.props.editable && this.props.blockTypes.has('table'),
+          onChange: this.handleTableChange,
+          onEditStart: this.handleBlockEditStart,
+          onEditEnd: this.handleBlockEditEnd,
+          onRemove: this.handleBlockRemove
+        }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Fetch suggestions when a query for one of the suggestion sources is
+   * being typed, and stop when it isn't
+   * @param {EditorState} editorState
+   */
+  updateSuggestionRequest(editorState) {
+    const suggestionQuery = findSuggestionQuery(editorState, this.props.suggestionSources);
+    if (suggestionQuery) {
+      this.suggestionRequests.request(suggestionQuery.source, suggestionQuery.query);
+    } else {
+      this.suggestionRequests.cancel();
+    }
+  }
+
+  /**
+   * Get the text the suggestions are for, without the trigger when they're
+   * fetched
+   * @return {string}
+   */
+  getSuggestionQuery() {
+    if (this.state.suggestionRequest) {
+      return this.state.suggestionRequest.query;
+    }
+    const entity = this.state.entityState.getEntity();
+    return entity && entity.getData().text ? entity.getData().text : '';
+  }
+
+  /**
+   * Get where the text being completed is on the screen, so the suggestions
+   * can be shown next to it
+   * @return {Object|null}
+   */
+  getSuggestionRect() {
+    const { suggestionRequest, editorState, entityState } = this.state;
+    let length = 0;
+    if (suggestionRequest) {
+      length = suggestionRequest.source.trigger.length + suggestionRequest.query.length;
+    } else if (entityState.getEntitySelection()) {
+      // Up to the caret
+      length = editorState.getSelection().getEndOffset() - entityState.getEntitySelection().getStartOffset();
+    }
+    return getSelectionRect(this.editorElement, length);
+  }
+
+  /**
+   * Show the fetched suggestions, or their loading and error states
+   * @param {Object|null} suggestionRequest
+   */
+  handleSuggestionRequestChange(suggestionRequest) {
+    this.setState({
+      suggestionRequest
+    });
+  }
+
+  /**
+   * Keep track of the active suggestion so the editor can announce it
+   * @param {string|null} activeId
+   * @param {boolean} open
+   */
+  handleAutocompleteActiveChange(activeId, open) {
+    this.setState({
+      autocomplete: {
+        open,
+        activeId
+      }
+    });
+  }
+
+  /**
+   * Get the combobox attributes for the editor when it has suggestions
+   * @return {Object}
+   */
+  getAutocompleteAria() {
+    if (!this.props.suggestionSources && this.props.suggestions === undefined) {
+      return {};
+    }
+    const { open, activeId } = this.state.autocomplete;
+    return {
+      role: 'combobox',
+      ariaAutoComplete: 'list',
+      ariaExpanded: open,
+      ariaControls: this.autocompleteId,
+      ariaActiveDescendantID: activeId || void 0,
+      ariaMultiline: true
+    };
   }
 
   /**
@@ -418,6 +1265,19 @@ export default class TextEditor extends Component {
    * @param {import('./Autocomplete').AutocompleteSuggestion} suggestion
    */
   handleSuggestionClick(suggestion) {
+    // Suggestions that were fetched or have an entity type replace the query
+    // with their entity right away
+    const suggestionQuery = findSuggestionQuery(this.state.editorState, this.props.suggestionSources);
+    const source = suggestionQuery && this.state.suggestionRequest ? suggestionQuery.source : null;
+    if (source || suggestion.entityType) {
+      const selectionState = source
+        ? suggestionQuery.selection
+        : this.state.entityState.getEntitySelection() || this.state.editorState.getSelection();
+      this.focus();
+      this.handleEditorChange(insertEntity(this.state.editorState, selectionState, getSuggestionEntity(suggestion, source)));
+      return;
+    }
+
     let editorState = this.state.editorState;
     const currentContent = this.state.editorState.getCurrentContent();
     const entitySelection = this.state.entityState.getEntitySelection();
@@ -434,16 +1294,287 @@ export default class TextEditor extends Component {
     this.handleEditorChange(editorState);
   }
 
+  /**
+   * Get where the link under the caret is on the screen, so the link popover
+   * can be shown next to it
+   * @return {Object|null}
+   */
+  getLinkPopoverRect() {
+    return getLinkRect(this.editorElement);
+  }
+
+  /**
+   * Open the link under the caret in a new window
+   */
+  handleLinkOpen() {
+    const entity = this.state.entityState.getEntity();
+    const href = entity ? sanitizeUrl(entity.getData().href, getSanitizeOptions(this.props)) : null;
+    if (!href) {
+      return;
+    }
+    const linkWindow = window.open(href, '_blank');
+    if (linkWindow) {
+      // Don't let the page we opened navigate ours
+      linkWindow.opener = null;
+    }
+  }
+
+  /**
+   * Edit the link under the caret in the popover
+   */
+  handleLinkEdit() {
+    const { entityState } = this.state;
+    this.setState({
+      linkEdit: {
+        selection: entityState.getEntitySelection(),
+        href: entityState.getEntity().getData().href
+      }
+    });
+  }
+
+  /**
+   * Remove the link under the caret, keeping its text
+   */
+  handleLinkRemove() {
+    editLink('DELETE', this.pluginApi);
+  }
+
+  /**
+   * Save the url entered in the popover
+   * @param {string} href
+   */
+  handleLinkConfirm(href) {
+    const { editorState, linkEdit } = this.state;
+    this.setState({
+      linkEdit: null
+    });
+    // Keep the title and target of the link being edited
+    const link = linkEdit
+      ? Object.assign({}, getLinkDataAt(editorState.getCurrentContent(), linkEdit.selection), { href })
+      : null;
+    const newEditorState = link ? setLink(editorState, linkEdit.selection, link, getSanitizeOptions(this.props)) : null;
+    if (newEditorState) {
+      this.handleEditorChange(newEditorState);
+    }
+    this.focus();
+  }
+
+  /**
+   * Focus left the link popover for somewhere other than the editor
+   */
+  handleLinkPopoverLeave() {
+    this.setState({
+      linkPopoverFocus: false
+    });
+  }
+
+  /**
+   * Stop editing the link and go back to the text
+   */
+  handleLinkCancel() {
+    this.setState({
+      linkEdit: null
+    });
+    this.focus();
+  }
+
+  /**
+   * Show the link popover while the caret is in a link or a link is being
+   * edited
+   * @return {React.ReactNode}
+   */
+  renderLinkPopover() {
+    const { editable, inlineStyles, linkEditor } = this.props;
+    const { editorState, entityState, linkEdit, linkPopoverFocus } = this.state;
+    if (!editable || linkEditor !== 'popover' || !inlineStyles.has(Entities.Link)) {
+      return null;
+    }
+    const selectionState = editorState.getSelection();
+    const inLink = entityState.isEntityType(Entities.Link) &&
+      selectionState.isCollapsed() &&
+      (selectionState.getHasFocus() || linkPopoverFocus);
+    if (!linkEdit && !inLink) {
+      return null;
+    }
+    return (
+      <LinkPopover
+        ref='linkPopover'
+        href={linkEdit ? linkEdit.href : entityState.getEntity().getData().href}
+        editing={Boolean(linkEdit)}
+        getAnchorRect={this.getLinkPopoverRect}
+        onOpen={this.handleLinkOpen}
+        onEdit={this.handleLinkEdit}
+        onRemove={this.handleLinkRemove}
+        onConfirm={this.handleLinkConfirm}
+        onCancel={this.handleLinkCancel}
+        onLeave={this.handleLinkPopoverLeave}
+        sanitizeOptions={getSanitizeOptions(this.props)}
+      />
+    );
+  }
+
+  /**
+   * Replace the decorators with ones made from the current props
+   */
+  updateDecorators() {
+    this.setState({
+      editorState: EditorState.set(this.state.editorState, {
+        decorator: new CompositeDecorator(setupDecorators(this.props, this.pluginApi, this.state.find))
+      })
+    });
+  }
+
+  /**
+   * Search again and highlight the matches. The decorators are replaced so
+   * draft-js looks for the matches again.
+   * @param {Object|null} find
+   * @param {EditorState} [editorState] With the content the search is for
+   * @return {EditorState} With the new decorators
+   */
+  updateFind(find, editorState = this.state.editorState) {
+    if (find && find.query && !getFindError(find)) {
+      // Stay on the current match, or go to the first one after the caret
+      const matches = findMatches(editorState.getCurrentContent(), find);
+      if (getMatchIndex(matches, find.current) === -1) {
+        const selectionState = editorState.getSelection();
+        find = Object.assign({}, find, {
+          current: getMatchAfter(editorState.getCurrentContent(), matches, selectionState.getStartKey(), selectionState.getStartOffset())
+        });
+      }
+    } else if (find && find.current) {
+      find = Object.assign({}, find, { current: null });
+    }
+    const newEditorState = EditorState.set(editorState, {
+      decorator: new CompositeDecorator(setupDecorators(this.props, this.pluginApi, find))
+    });
+    this.setState({
+      find,
+      editorState: newEditorState
+    });
+    return newEditorState;
+  }
+
+  /**
+   * Go to a match of the search, selecting it in the editor without taking
+   * focus from the find bar
+   * @param {Object} match
+   */
+  selectMatch(match) {
+    const editorState = EditorState.acceptSelection(this.state.editorState, getMatchSelection(match));
+    this.updateFind(Object.assign({}, this.state.find, { current: match }), editorState);
+  }
+
+  /**
+   * Search as the user types or changes the options
+   * @param {Object} find
+   */
+  handleFindChange(find) {
+    this.updateFind(find);
+  }
+
+  /**
+   * Go to the next match, wrapping around to the first
+   */
+  handleFindNext() {
+    const matches = findMatches(this.state.editorState.getCurrentContent(), this.state.find);
+    if (matches.length > 0) {
+      this.selectMatch(matches[(getMatchIndex(matches, this.state.find.current) + 1) % matches.length]);
+    }
+  }
+
+  /**
+   * Go to the previous match, wrapping around to the last
+   */
+  handleFindPrevious() {
+    const matches = findMatches(this.state.editorState.getCurrentContent(), this.state.find);
+    if (matches.length > 0) {
+      const index = getMatchIndex(matches, this.state.find.current);
+      this.selectMatch(matches[((index <= 0 ? matches.length : index) - 1)]);
+    }
+  }
+
+  /**
+   * Replace some matches, then go to the match after the first one
+   * @param {Array<Object>} matches
+   */
+  replace(matches) {
+    const { editorState, find } = this.state;
+    if (!this.props.editable || matches.length === 0) {
+      return;
+    }
+    const replacedEditorState = replaceMatches(editorState, matches, find);
+    if (typeof this.props.maxLength === 'number' &&
+        exceedsLimit(editorState.getCurrentContent(), replacedEditorState.getCurrentContent(), this.props)) {
+      // Don't replace past the limit
+      return;
+    }
+    this.handleEditorChange(this.updateFind(Object.assign({}, find, { current: null }), replacedEditorState));
+  }
+
+  /**
+   * Replace the current match
+   */
+  handleReplace() {
+    const matches = findMatches(this.state.editorState.getCurrentContent(), this.state.find);
+    const index = getMatchIndex(matches, this.state.find.current);
+    this.replace(index !== -1 ? [matches[index]] : matches.slice(0, 1));
+  }
+
+  /**
+   * Replace every match in a single undo step
+   */
+  handleReplaceAll() {
+    this.replace(findMatches(this.state.editorState.getCurrentContent(), this.state.find));
+  }
+
+  /**
+   * Close the find bar and go back to the text, with the current match
+   * selected
+   */
+  handleFindClose() {
+    this.closeFind();
+    this.focus();
+  }
+
+  /**
+   * Show the find bar while there's a search
+   * @return {React.ReactNode}
+   */
+  renderFindBar() {
+    const { editorState, find } = this.state;
+    if (!find) {
+      return null;
+    }
+    const error = getFindError(find);
+    const matches = error ? [] : findMatches(editorState.getCurrentContent(), find);
+    return (
+      <FindBar
+        ref='findBar'
+        find={find}
+        count={matches.length}
+        index={getMatchIndex(matches, find.current)}
+        error={error}
+        editable={this.props.editable}
+        onChange={this.handleFindChange}
+        onNext={this.handleFindNext}
+        onPrevious={this.handleFindPrevious}
+        onReplace={this.handleReplace}
+        onReplaceAll={this.handleReplaceAll}
+        onClose={this.handleFindClose}
+      />
+    );
+  }
+
   /**
    * Make it all happen
    * @return {React.ReactNode}
    */
   render() {
     // Grab the props
-    const { noStyleButtons, onlyInline, editable, suggestions } = this.props;
+    const { noStyleButtons, onlyInline, editable, suggestions, historyButtons } = this.props;
 
     // Grab the state of the editor, part of draft-fs
-    const { editorState, entityState } = this.state;
+    const { editorState, suggestionRequest } = this.state;
 
     // Get the current selection so we can see if we have active focus
     const selectionState = editorState.getSelection();
@@ -456,10 +1587,8 @@ export default class TextEditor extends Component {
 
     // Determing the current block type
     const currentContent = editorState.getCurrentContent();
-    const blockType = currentContent.getBlockForKey(selectionState.getStartKey()).getType();
-
-    // Determining if a link is selected
-    const currentIsLink = entityState.isEntityType(Entities.Link);
+    const currentBlock = currentContent.getBlockForKey(selectionState.getStartKey());
+    const blockType = currentBlock.getType();
 
     return (
       <div className={classNames(css.container, this.props.className, 'text-editor', {
@@ -470,7 +1599,19 @@ export default class TextEditor extends Component {
       })}
       >
         {editable && !noStyleButtons ?
-          <div className={css.controls}>
+          <Toolbar className={css.controls}>
+            {historyButtons ? HistoryTypes
+              .map(type =>
+                <StyleButton
+                  className={this.props.buttonClass}
+                  key={type.action}
+                  active={false}
+                  disabled={type.action === 'UNDO' ? !this.canUndo() : !this.canRedo()}
+                  onMouseDown={this.handleMouseDown}
+                  onClick={() => this.handleHistoryClick(type.action)}
+                  {...type}
+                />
+              ) : null}
             {InlineStyles
               // Allow user to select styles to show
               .filter(type => this.props.inlineStyles.has(type.style))
@@ -478,6 +1619,7 @@ export default class TextEditor extends Component {
                 <StyleButton
                   className={this.props.buttonClass}
                   key={type.style}
+                  toggle
                   // Determine if the style is active or not
                   active={selectionState.getHasFocus() && currentInlineStyle.has(type.style)}
                   onMouseDown={this.handleMouseDown}
@@ -485,18 +1627,14 @@ export default class TextEditor extends Component {
                   {...type}
                 />
               )}
-            {LinkTypes
-              // Allow user to create links
-              .filter(type => this.props.inlineStyles.has(Entities.Link) && type.whenLink === currentIsLink)
-              .map(type =>
+            {collectFromPlugins(this.getPlugins(), 'toolbarButtons', this.pluginApi)
+              .map(button =>
                 <StyleButton
                   className={this.props.buttonClass}
-                  key={type.action}
-                  // Determine if the style is active or not
-                  active={selectionState.getHasFocus() && currentIsLink}
+                  key={button.key}
+                  active={false}
                   onMouseDown={this.handleMouseDown}
-                  onClick={() => this.handleLinkClick(type.action)}
-                  {...type}
+                  {...button}
                 />
               )}
             {!onlyInline ? BlockTypes
@@ -506,40 +1644,97 @@ export default class TextEditor extends Component {
                 <StyleButton
                   className={this.props.buttonClass}
                   key={type.style}
+                  toggle
                   active={type.style === blockType}
                   onMouseDown={this.handleMouseDown}
                   onClick={() => this.handleBlockStyleClick(type.style)}
                   {...type}
                 />
               ) : null}
-          </div>
+            {!onlyInline && this.props.blockTypes.has('atomic') ? ImageTypes
+              .map(type =>
+                <StyleButton
+                  className={this.props.buttonClass}
+                  key={type.action}
+                  active={false}
+                  onMouseDown={this.handleMouseDown}
+                  onClick={() => this.handleImageClick(type.action)}
+                  {...type}
+                />
+              ) : null}
+            {!onlyInline && this.props.blockTypes.has('table') ? TableTypes
+              .map(type =>
+                <StyleButton
+                  className={this.props.buttonClass}
+                  key={type.action}
+                  active={false}
+                  onMouseDown={this.handleMouseDown}
+                  onClick={() => this.handleTableClick(type.action)}
+                  {...type}
+                />
+              ) : null}
+            {!onlyInline && blockType === 'code-block' && this.props.codeLanguages.length > 0 ?
+              <LanguageSelect
+                languages={this.props.codeLanguages}
+                value={currentBlock.getData().get('language') || ''}
+                onChange={this.handleCodeLanguageChange}
+              />
+            : null}
+          </Toolbar>
         : null}
+        {this.renderFindBar()}
         <div
+          ref={(el) => {
+            this.editorElement = el;
+          }}
           onClick={this.handleFocus}
           className={classNames(css.editor, 'text-editor--editor')}
         >
           <Editor
             ref='editor'
             editorState={editorState}
+            blockRendererFn={this.handleBlockRenderer}
+            handlePastedText={this.handlePastedText}
+            handlePastedFiles={this.handlePastedFiles}
+            handleDroppedFiles={this.handleDroppedFiles}
             keyBindingFn={this.handleKeyBinding}
             handleBeforeInput={this.handleBeforeInput}
             handleKeyCommand={this.handleKeyCommand}
             onUpArrow={this.handleKeyBinding}
             onDownArrow={this.handleKeyBinding}
-            onBlur={this.props.onBlur}
+            onEscape={this.handleKeyBinding}
+            onBlur={this.handleBlur}
             onChange={this.handleEditorChange}
             onFocus={this.props.onFocus}
             placeholder={editable ? this.props.placeholder : void 0}
-            readOnly={!editable}
+            readOnly={!editable || this.state.editingBlock}
             stripPastedStyles={this.props.stripPastedStyles}
             spellCheck={this.props.spellCheck}
             tabIndex={this.props.tabIndex}
+            {...this.getAutocompleteAria()}
           />
         </div>
+        {typeof this.props.maxLength === 'number' && this.props.showCounter ?
+          <Counter
+            count={getCounts(currentContent)[this.props.maxLengthUnit]}
+            maxLength={this.props.maxLength}
+            unit={this.props.maxLengthUnit}
+          />
+        : null}
+        {this.renderLinkPopover()}
         <Autocomplete
           ref='autocomplete'
-          suggestions={suggestions}
+          id={this.autocompleteId}
+          suggestions={suggestionRequest ? suggestionRequest.suggestions : suggestions}
+          loading={Boolean(suggestionRequest) && suggestionRequest.loading}
+          error={suggestionRequest ? suggestionRequest.error : null}
+          query={this.getSuggestionQuery()}
+          renderSuggestion={this.props.renderSuggestion}
+          renderEmpty={this.props.renderEmpty}
+          getAnchorRect={this.getSuggestionRect}
+          portal={this.props.autocompletePortal}
           onClick={this.handleSuggestionClick}
+          onActiveChange={this.handleAutocompleteActiveChange}
         />
       </div>
     );
@@ -555,25 +1750,54 @@ TextEditor.Entities = Entities;
 TextEditor.propTypes = {
   inlineStyles: PropTypes.instanceOf(Immutable.Set),
   blockTypes: PropTypes.instanceOf(Immutable.Set),
+  codeLanguages: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired
+  })),
   tabIndex: PropTypes.number,
   className: PropTypes.string,
   buttonClass: PropTypes.string,
   editable: PropTypes.bool,
+  controlled: PropTypes.bool,
   value: PropTypes.any.isRequired,
   placeholder: PropTypes.string,
-  type: PropTypes.oneOf(['html', 'text', 'json', 'Immutable']),
+  type: PropTypes.oneOf(['html', 'text', 'json', 'markdown', 'Immutable']),
   suggestions: PropTypes.instanceOf(Immutable.List),
+  suggestionSources: PropTypes.instanceOf(Immutable.List),
+  renderSuggestion: PropTypes.func,
+  renderEmpty: PropTypes.func,
+  autocompletePortal: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
   convertLinksInline: PropTypes.bool,
+  linkPatterns: PropTypes.instanceOf(Immutable.List),
+  inputRules: PropTypes.bool,
+  maxLength: PropTypes.number,
+  maxLengthUnit: PropTypes.oneOf(['characters', 'words']),
+  maxLengthOverflow: PropTypes.oneOf(['truncate', 'reject']),
+  showCounter: PropTypes.bool,
   convertEntities: PropTypes.instanceOf(Immutable.List),
+  plugins: PropTypes.instanceOf(Immutable.List),
+  decorators: PropTypes.instanceOf(Immutable.List),
+  keyBindings: PropTypes.instanceOf(Immutable.Map),
+  defaultKeyBindings: PropTypes.bool,
   noStyleButtons: PropTypes.bool,
+  historyButtons: PropTypes.bool,
   onlyInline: PropTypes.bool,
   spellCheck: PropTypes.bool,
   stripPastedStyles: PropTypes.bool,
+  linkEditor: PropTypes.oneOf(['popover', 'modal']),
+  linkProtocols: PropTypes.instanceOf(Immutable.Set),
+  htmlElements: PropTypes.instanceOf(Immutable.Set),
+  htmlAttributes: PropTypes.instanceOf(Immutable.Set),
+  sanitizeUrl: PropTypes.func,
+  onUploadFile: PropTypes.func,
   onChange: PropTypes.func,
   onKeyDown: PropTypes.func,
   onFocus: PropTypes.func,
   onBlur: PropTypes.func,
-  onEntityChange: PropTypes.func
+  onEntityChange: PropTypes.func,
+  onHistoryChange: PropTypes.func,
+  onMentionClick: PropTypes.func,
+  onHashtagClick: PropTypes.func
 };
 
 /**
@@ -583,22 +1807,48 @@ TextEditor.propTypes = {
 TextEditor.defaultProps = {
   inlineStyles: new Immutable.Set(['BOLD', 'ITALIC', 'UNDERLINE', 'STRIKETHROUGH', 'LINK', 'CODE']),
   blockTypes: new Immutable.Set(['blockquote', 'code-block', 'unordered-list-item', 'ordered-list-item', 'header-one', 'header-two', 'header-three', 'header-four', 'header-five', 'header-six']),
+  codeLanguages: CodeLanguages,
   tabIndex: undefined,
   className: undefined,
   buttonClass: undefined,
   editable: true,
+  controlled: false,
   placeholder: undefined,
   type: 'html',
   suggestions: undefined,
+  suggestionSources: undefined,
+  renderSuggestion: undefined,
+  renderEmpty: undefined,
+  autocompletePortal: false,
   convertLinksInline: true,
+  linkPatterns: undefined,
+  inputRules: false,
+  maxLength: undefined,
+  maxLengthUnit: 'characters',
+  maxLengthOverflow: 'truncate',
+  showCounter: true,
   convertEntities: undefined,
+  plugins: undefined,
+  decorators: undefined,
+  keyBindings: undefined,
+  defaultKeyBindings: true,
   noStyleButtons: false,
+  historyButtons: false,
   onlyInline: false,
   spellCheck: true,
   stripPastedStyles: true,
+  linkEditor: 'modal',
+  linkProtocols: SanitizeDefaults.protocols,
+  htmlElements: SanitizeDefaults.elements,
+  htmlAttributes: SanitizeDefaults.attributes,
+  sanitizeUrl: undefined,
+  onUploadFile: undefined,
   onChange: undefined,
   onKeyDown: undefined,
   onFocus: undefined,
   onBlur: undefined,
-  onEntityChange: undefined
+  onEntityChange: undefined,
+  onHistoryChange: undefined,
+  onMentionClick: undefined,
+  onHashtagClick: undefined
 };
@@ -0,0 +1,121 @@
+/**
+ * @file Text Editor toolbar with a roving tabindex, so it's one tab stop and
+ * the arrow keys move between its buttons
+ * @see https://www.w3.org/TR/wai-aria-practices/#toolbar
+ */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+export default class Toolbar extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      // The item that's in the tab order
+      activeIndex: 0
+    };
+
+    // Binding
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Get the item elements, one for each child
+   * @return {Array<HTMLElement>}
+   */
+  getItems() {
+    return this.element ? Array.prototype.slice.call(this.element.children) : [];
+  }
+
+  /**
+   * Keep the focused item in the tab order
+   * @param {number} index
+   */
+  handleFocus(index) {
+    if (index !== this.state.activeIndex) {
+      this.setState({
+        activeIndex: index
+      });
+    }
+  }
+
+  /**
+   * Move between items with the arrow keys, Home and End
+   * @param {Event} event
+   */
+  handleKeyDown(event) {
+    const items = this.getItems();
+    const index = items.indexOf(event.target);
+    if (index === -1) {
+      return;
+    }
+
+    let nextIndex;
+    switch (event.key) {
+    case 'ArrowRight':
+      nextIndex = (index + 1) % items.length;
+      break;
+    case 'ArrowLeft':
+      nextIndex = (index - 1 + items.length) % items.length;
+      break;
+    case 'Home':
+      nextIndex = 0;
+      break;
+    case 'End':
+      nextIndex = items.length - 1;
+      break;
+    default:
+      return;
+    }
+    event.preventDefault();
+    items[nextIndex].focus();
+  }
+
+  /**
+   * Make it all happen
+   * @return {React.ReactNode}
+   */
+  render() {
+    const children = React.Children.toArray(this.props.children);
+    // The active item may have gone, e.g. the link buttons swap
+    const activeIndex = this.state.activeIndex < children.length ? this.state.activeIndex : 0;
+
+    return (
+      <div
+        ref={(el) => {
+          this.element = el;
+        }}
+        role='toolbar'
+        aria-label={this.props.label}
+        className={this.props.className}
+        onKeyDown={this.handleKeyDown}
+      >
+        {children.map((child, index) => React.cloneElement(child, {
+          tabIndex: index === activeIndex ? 0 : -1,
+          onFocus: () => this.handleFocus(index)
+        }))}
+      </div>
+    );
+  }
+}
+
+/**
+ * Type checking
+ * @type    {Object}
+ */
+Toolbar.propTypes = {
+  label: PropTypes.string,
+  className: PropTypes.string,
+  children: PropTypes.node
+};
+
+/**
+ * Defaults
+ * @type    {Object}
+ */
+Toolbar.defaultProps = {
+  label: 'Formatting',
+  className: undefined,
+  children: undefined
+};
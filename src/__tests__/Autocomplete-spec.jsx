@@ -71,4 +71,277 @@ describe('Autocomplete', () => {
 
     expect(toJson(wrapper)).toMatchSnapshot();
   });
+
+  it('should show that suggestions are loading', () => {
+    const wrapper = mount(<Autocomplete loading />);
+
+    expect(wrapper.instance().isOpen()).toBe(true);
+    expect(wrapper.text()).toBe('Loading suggestions...');
+  });
+
+  it('should show an error when suggestions could not be loaded', () => {
+    const wrapper = mount(<Autocomplete error={new Error('Nope')} />);
+
+    expect(wrapper.text()).toBe('Suggestions could not be loaded.');
+  });
+
+  it('should keep showing suggestions while new ones load', () => {
+    const suggestions = new Immutable.List([{label: 'Rick', value: 'rick'}]);
+    const wrapper = mount(<Autocomplete suggestions={suggestions} loading />);
+
+    expect(wrapper.text()).toBe('Rick');
+    expect(wrapper.find('.text-editor--autocomplete-loading').length).toBe(1);
+  });
+
+  it('should render suggestions with renderSuggestion', () => {
+    const suggestions = new Immutable.List([
+      {label: 'Rick', value: '@rick', data: {email: 'rick@example.com'}},
+      {label: 'Morty', value: '@morty', data: {email: 'morty@example.com'}}
+    ]);
+    const renderSuggestion = jest.fn((suggestion, { active }) => (
+      <span className={active ? 'active-suggestion' : 'suggestion'}>{suggestion.data.email}</span>
+    ));
+    const wrapper = mount(
+      <Autocomplete
+        suggestions={suggestions}
+        query='r'
+        renderSuggestion={renderSuggestion}
+      />
+    );
+
+    expect(wrapper.find('.active-suggestion').text()).toBe('rick@example.com');
+    expect(wrapper.find('.suggestion').text()).toBe('morty@example.com');
+    expect(renderSuggestion.mock.calls[0][1]).toEqual({active: true, query: 'r'});
+  });
+
+  it('should render no suggestions with renderEmpty', () => {
+    const wrapper = mount(
+      <Autocomplete
+        suggestions={new Immutable.List()}
+        query='zz'
+        renderEmpty={query => `Nobody called ${query}`}
+      />
+    );
+
+    expect(wrapper.text()).toBe('Nobody called zz');
+  });
+
+  it('should group suggestions under headers and skip them when moving', () => {
+    const suggestions = new Immutable.List([
+      {label: 'Rick', value: '@rick', group: 'People'},
+      {label: 'Morty', value: '@morty', group: 'People'},
+      {label: 'Council', value: '@council', group: 'Teams'}
+    ]);
+    const onClick = jest.fn();
+    // jsdom doesn't scroll
+    Element.prototype.scrollIntoView = jest.fn();
+    const wrapper = mount(
+      <Autocomplete
+        id='suggestions'
+        suggestions={suggestions}
+        onClick={onClick}
+      />
+    );
+
+    const headers = wrapper.find('.text-editor--autocomplete-group');
+    expect(headers.map(header => header.text())).toEqual(['People', 'Teams']);
+    const groups = wrapper.find('[role="group"]').hostNodes();
+    expect(groups.map(group => group.find('[role="option"]').length)).toEqual([2, 1]);
+    expect(groups.at(0).prop('aria-labelledby')).toBe(headers.at(0).prop('id'));
+
+    wrapper.instance().moveSelection('down');
+    wrapper.instance().moveSelection('down');
+    wrapper.instance().clickSelection();
+    expect(onClick.mock.calls[0][0].label).toBe('Council');
+
+    wrapper.instance().moveSelection('down');
+    wrapper.instance().clickSelection();
+    expect(onClick.mock.calls[1][0].label).toBe('Rick');
+  });
+
+  it('has no selection to click while loading or empty', () => {
+    const onClick = jest.fn();
+    const suggestions = new Immutable.List([{label: 'Rick', value: '@rick'}]);
+    const wrapper = mount(<Autocomplete suggestions={suggestions} loading onClick={onClick} />);
+
+    expect(wrapper.instance().clickSelection()).toBe(false);
+    wrapper.setProps({suggestions: new Immutable.List(), loading: false});
+    expect(wrapper.instance().clickSelection()).toBe(false);
+    expect(onClick).not.toHaveBeenCalled();
+
+    wrapper.setProps({suggestions});
+    expect(wrapper.instance().clickSelection()).toBe(true);
+    expect(onClick.mock.calls[0][0].label).toBe('Rick');
+  });
+
+  describe('anchoring', () => {
+    const suggestions = new Immutable.List([{label: 'Rick', value: '@rick'}]);
+    let offsetHeight;
+
+    beforeEach(() => {
+      // jsdom doesn't lay anything out
+      offsetHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get: () => 100
+      });
+    });
+
+    afterEach(() => {
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeight);
+    });
+
+    it('should show below the anchor', () => {
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={suggestions}
+          getAnchorRect={() => ({top: 100, bottom: 120, left: 50, right: 80})}
+        />
+      );
+
+      wrapper.update();
+      const style = wrapper.find('.text-editor--autocomplete').prop('style');
+      expect(style).toEqual({top: 120, left: 50});
+      expect(wrapper.find('.text-editor--autocomplete-above').length).toBe(0);
+    });
+
+    it('should flip above the anchor when there is no room below', () => {
+      const bottom = window.innerHeight - 10;
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={suggestions}
+          getAnchorRect={() => ({top: bottom - 20, bottom, left: 50, right: 80})}
+        />
+      );
+
+      wrapper.update();
+      expect(wrapper.find('.text-editor--autocomplete').prop('style')).toEqual({top: bottom - 120, left: 50});
+      expect(wrapper.find('.text-editor--autocomplete-above').length).toBe(1);
+    });
+
+    it('should follow scrolling', () => {
+      let top = 100;
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={suggestions}
+          getAnchorRect={() => ({top, bottom: top + 20, left: 50, right: 80})}
+        />
+      );
+
+      top = 40;
+      window.dispatchEvent(new Event('scroll'));
+      wrapper.update();
+      expect(wrapper.find('.text-editor--autocomplete').prop('style').top).toBe(60);
+
+      wrapper.unmount();
+      expect(() => window.dispatchEvent(new Event('scroll'))).not.toThrow();
+    });
+
+    it('should stay below the editor without an anchor', () => {
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={suggestions}
+          getAnchorRect={() => null}
+        />
+      );
+
+      wrapper.update();
+      expect(wrapper.find('.text-editor--autocomplete').prop('style')).toBe(undefined);
+    });
+
+    it('should render into a portal', () => {
+      const target = document.createElement('div');
+      document.body.appendChild(target);
+      const wrapper = mount(
+        <div className='clipped'>
+          <Autocomplete
+            suggestions={suggestions}
+            portal={target}
+          />
+        </div>
+      );
+
+      expect(target.querySelector('.text-editor--autocomplete').textContent).toBe('Rick');
+      wrapper.unmount();
+      expect(target.querySelector('.text-editor--autocomplete')).toBe(null);
+      document.body.removeChild(target);
+    });
+  });
+  describe('accessibility', () => {
+    const suggestions = new Immutable.List([
+      {
+        label: 'Rick',
+        value: 'rick'
+      },
+      {
+        label: 'Morty',
+        value: 'morty'
+      }
+    ]);
+
+    beforeEach(() => {
+      Element.prototype.scrollIntoView = jest.fn();
+    });
+
+    it('should render a listbox of options', () => {
+      const wrapper = mount(
+        <Autocomplete
+          id='list'
+          suggestions={suggestions}
+        />
+      );
+
+      expect(wrapper.find('[role="listbox"]').prop('id')).toBe('list');
+      const options = wrapper.find('[role="option"]');
+      expect(options.map(option => option.prop('id'))).toEqual(['list-option-0', 'list-option-1']);
+      expect(options.map(option => option.prop('aria-selected'))).toEqual([true, false]);
+    });
+
+    it('should report the active option', () => {
+      const onActiveChange = jest.fn();
+      const wrapper = mount(
+        <Autocomplete
+          id='list'
+          suggestions={suggestions}
+          onActiveChange={onActiveChange}
+        />
+      );
+
+      expect(onActiveChange).toHaveBeenLastCalledWith('list-option-0', true);
+      wrapper.instance().moveSelection('down');
+      expect(onActiveChange).toHaveBeenLastCalledWith('list-option-1', true);
+      wrapper.setProps({ suggestions: null });
+      expect(onActiveChange).toHaveBeenLastCalledWith(null, false);
+      expect(onActiveChange).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stay closed once dismissed until the query changes', () => {
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={suggestions}
+          query='r'
+        />
+      );
+
+      wrapper.instance().dismiss();
+      wrapper.update();
+      expect(wrapper.instance().isOpen()).toBe(false);
+      expect(wrapper.find('[role="option"]').length).toBe(0);
+
+      wrapper.setProps({ query: 'ri' });
+      expect(wrapper.instance().isOpen()).toBe(true);
+      expect(wrapper.find('[role="option"]').length).toBe(2);
+    });
+
+    it('should announce messages', () => {
+      const wrapper = mount(
+        <Autocomplete
+          suggestions={null}
+          loading
+        />
+      );
+
+      expect(wrapper.find('[role="status"]').text()).toBe('Loading suggestions...');
+    });
+  });
 });
@@ -0,0 +1,71 @@
+/**
+ * Test the find bar
+ */
+
+import React from 'react';
+import {mount} from 'enzyme';
+
+describe('FindBar', () => {
+  const FindBar = require('../Find/FindBar').default;
+  const {FindDefaults} = require('../lib/find');
+
+  function renderFindBar(findBarProps) {
+    const handlers = {
+      onChange: jest.fn(),
+      onNext: jest.fn(),
+      onPrevious: jest.fn(),
+      onReplace: jest.fn(),
+      onReplaceAll: jest.fn(),
+      onClose: jest.fn()
+    };
+    const find = Object.assign({}, FindDefaults, {query: 'rick'});
+    const wrapper = mount(<FindBar find={find} count={3} index={0} {...handlers} {...findBarProps} />);
+    return {wrapper, handlers, find};
+  }
+
+  it('shows where the current match is', () => {
+    const {wrapper} = renderFindBar();
+    expect(wrapper.find('.text-editor--find-bar').prop('role')).toBe('search');
+    expect(wrapper.find('.text-editor--find-status').text()).toBe('1 of 3');
+
+    wrapper.setProps({count: 0, index: -1});
+    expect(wrapper.find('.text-editor--find-status').text()).toBe('No results');
+
+    wrapper.setProps({error: 'Invalid regular expression'});
+    expect(wrapper.find('.text-editor--find-error').text()).toBe('Invalid regular expression');
+  });
+
+  it('changes the search and its options', () => {
+    const {wrapper, handlers, find} = renderFindBar();
+
+    wrapper.find('.text-editor--find-input').simulate('change', {target: {value: 'morty'}});
+    expect(handlers.onChange).toHaveBeenLastCalledWith(Object.assign({}, find, {query: 'morty'}));
+
+    wrapper.find('[title="Match case"]').hostNodes().simulate('click');
+    expect(handlers.onChange).toHaveBeenLastCalledWith(Object.assign({}, find, {caseSensitive: true}));
+  });
+
+  it('moves through the matches with Enter and closes with Escape', () => {
+    const {wrapper, handlers} = renderFindBar();
+    const input = wrapper.find('.text-editor--find-input');
+
+    input.simulate('keyDown', {key: 'Enter'});
+    expect(handlers.onNext).toHaveBeenCalled();
+    input.simulate('keyDown', {key: 'Enter', shiftKey: true});
+    expect(handlers.onPrevious).toHaveBeenCalled();
+    input.simulate('keyDown', {key: 'Escape'});
+    expect(handlers.onClose).toHaveBeenCalled();
+  });
+
+  it('replaces only when editable', () => {
+    const {wrapper, handlers} = renderFindBar();
+
+    wrapper.find('.text-editor--replace-input').simulate('keyDown', {key: 'Enter'});
+    expect(handlers.onReplace).toHaveBeenCalled();
+    wrapper.find('[role="button"]').hostNodes().filterWhere(button => button.text() === 'Replace all').simulate('click');
+    expect(handlers.onReplaceAll).toHaveBeenCalled();
+
+    wrapper.setProps({editable: false});
+    expect(wrapper.find('.text-editor--replace-input').length).toBe(0);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Test Hashtag component
+ */
+
+import React from 'react';
+import TestUtils from 'react-dom/test-utils';
+import {mount} from 'enzyme';
+import { ContentState } from 'draft-js';
+
+describe('Hashtag', () => {
+  const Hashtag = require('../Hashtag/Hashtag').default;
+
+  it('should render without error', () => {
+    let element = React.createElement(Hashtag, {}, 'test');
+
+    expect(() => TestUtils.renderIntoDocument(element)).not.toThrow();
+  });
+
+  it('should pass the entity data to onClick', () => {
+    const contentState = ContentState.createFromText('#morty')
+      .createEntity('HASHTAG', 'IMMUTABLE', {text: '#morty', id: 7});
+    const entityKey = contentState.getLastCreatedEntityKey();
+    const onClick = jest.fn();
+    const wrapper = mount(
+      <Hashtag
+        contentState={contentState}
+        entityKey={entityKey}
+        onClick={onClick}
+      >
+        #morty
+      </Hashtag>
+    );
+
+    wrapper.find('span').simulate('click');
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(onClick.mock.calls[0][0]).toEqual({text: '#morty', id: 7});
+    expect(wrapper.find('span').hasClass('text-editor--hashtag-clickable')).toBe(true);
+  });
+});
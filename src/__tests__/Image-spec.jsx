@@ -0,0 +1,94 @@
+/**
+ * Test Image component
+ */
+
+import React from 'react';
+import {mount} from 'enzyme';
+import {convertFromRaw} from 'draft-js';
+
+describe('Image', () => {
+  const Image = require('../Image/Image').default;
+
+  /**
+   * Content with a single image block
+   */
+  function createContent(data) {
+    return convertFromRaw({
+      blocks: [{
+        key: 'image',
+        text: ' ',
+        type: 'atomic',
+        inlineStyleRanges: [],
+        entityRanges: [{offset: 0, length: 1, key: 0}]
+      }],
+      entityMap: {
+        0: {type: 'IMAGE', mutability: 'IMMUTABLE', data}
+      }
+    });
+  }
+
+  it('should render the image with its alt text and dimensions', () => {
+    const contentState = createContent({src: 'https://example.com/rick.png', alt: 'Pickle Rick', width: 200, height: 100});
+    const wrapper = mount(
+      <Image
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+        blockProps={{editable: true}}
+      />
+    );
+
+    const img = wrapper.find('img');
+    expect(img.prop('src')).toBe('https://example.com/rick.png');
+    expect(img.prop('alt')).toBe('Pickle Rick');
+    expect(img.prop('width')).toBe(200);
+    expect(img.prop('height')).toBe(100);
+  });
+
+  it('should not render javascript urls', () => {
+    const contentState = createContent({src: 'javascript:alert(1)'});
+    const wrapper = mount(
+      <Image
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+      />
+    );
+
+    expect(wrapper.find('img').prop('src')).toBeUndefined();
+  });
+
+  it('should only show the resize handle when selected', () => {
+    const contentState = createContent({src: '/rick.png'});
+    const wrapper = mount(
+      <Image
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+        blockProps={{editable: true}}
+      />
+    );
+
+    expect(wrapper.find('.text-editor--image-handle')).toHaveLength(0);
+    wrapper.find('figure').simulate('click');
+    expect(wrapper.find('.text-editor--image-handle')).toHaveLength(1);
+  });
+
+  it('should report the new size after resizing', () => {
+    const contentState = createContent({src: '/rick.png'});
+    const onResize = jest.fn();
+    const wrapper = mount(
+      <Image
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+        blockProps={{editable: true, onResize}}
+      />
+    );
+
+    const instance = wrapper.instance();
+    wrapper.find('figure').simulate('click');
+    instance.image = {offsetWidth: 100, offsetHeight: 50};
+    wrapper.find('.text-editor--image-handle').simulate('mousedown', {clientX: 10});
+    instance.handleResizeMove({clientX: 60});
+    instance.handleResizeEnd();
+
+    expect(onResize).toHaveBeenCalledWith(contentState.getFirstBlock(), {width: 150, height: 75});
+  });
+});
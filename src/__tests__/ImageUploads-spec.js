@@ -0,0 +1,133 @@
+import ImageUploads from '../lib/ImageUploads';
+
+describe('ImageUploads', () => {
+
+	/**
+	 * Wait for pending promise callbacks to run
+	 */
+	function flushPromises() {
+		return new Promise(resolve => setTimeout(resolve));
+	}
+
+	const file = {name: 'screenshot.png', type: 'image/png'};
+
+	it('reports progress to its listeners', () => {
+		let reportProgress;
+		let uploads = new ImageUploads({
+			upload: (uploadFile, onProgress) => {
+				reportProgress = onProgress;
+				return new Promise(() => {});
+			},
+			onComplete: jest.fn()
+		});
+		let listener = jest.fn();
+		uploads.subscribe(listener);
+
+		let id = uploads.start(file);
+		expect(uploads.get(id).file).toBe(file);
+		return flushPromises().then(() => {
+			reportProgress(0.5);
+			expect(uploads.get(id).progress).toBe(0.5);
+			reportProgress(2);
+			expect(uploads.get(id).progress).toBe(1);
+			expect(listener).toHaveBeenCalledWith(id);
+		});
+	});
+
+	it('passes the result to onComplete and forgets the upload', () => {
+		let onComplete = jest.fn();
+		let uploads = new ImageUploads({
+			upload: () => Promise.resolve({src: '/screenshot.png'}),
+			onComplete
+		});
+
+		let id = uploads.start(file);
+		let listener = jest.fn();
+		uploads.subscribe(listener);
+		return flushPromises().then(() => {
+			expect(onComplete).toHaveBeenCalledWith(id, {src: '/screenshot.png'});
+			expect(uploads.get(id)).toBe(null);
+			expect(listener).toHaveBeenCalledWith(id);
+		});
+	});
+
+	it('revokes the preview of finished uploads', () => {
+		let createObjectURL = URL.createObjectURL;
+		let revokeObjectURL = URL.revokeObjectURL;
+		URL.createObjectURL = jest.fn(() => 'blob:screenshot');
+		URL.revokeObjectURL = jest.fn();
+		let uploads = new ImageUploads({
+			upload: () => Promise.resolve({src: '/screenshot.png'}),
+			onComplete: jest.fn()
+		});
+
+		let id = uploads.start(file);
+		expect(uploads.get(id).preview).toBe('blob:screenshot');
+		return flushPromises().then(() => {
+			let revoked = URL.revokeObjectURL;
+			URL.createObjectURL = createObjectURL;
+			URL.revokeObjectURL = revokeObjectURL;
+			expect(revoked).toHaveBeenCalledWith('blob:screenshot');
+		});
+	});
+
+	it('does not bring back uploads removed by onComplete', () => {
+		let uploads = new ImageUploads({
+			upload: () => Promise.resolve({src: '/screenshot.png'}),
+			onComplete: id => uploads.remove(id)
+		});
+
+		let id = uploads.start(file);
+		return flushPromises().then(() => {
+			expect(uploads.get(id)).toBe(null);
+		});
+	});
+
+	it('fails the upload when onComplete returns an error', () => {
+		let uploads = new ImageUploads({
+			upload: () => Promise.resolve({src: 'javascript:alert(1)'}),
+			onComplete: () => new Error('Not allowed')
+		});
+
+		let id = uploads.start(file);
+		return flushPromises().then(() => {
+			expect(uploads.get(id).error.message).toBe('Not allowed');
+		});
+	});
+
+	it('retries failed uploads', () => {
+		let upload = jest.fn()
+			.mockReturnValueOnce(Promise.reject(new Error('Server error')))
+			.mockReturnValueOnce(Promise.resolve({src: '/screenshot.png'}));
+		let uploads = new ImageUploads({
+			upload,
+			onComplete: jest.fn()
+		});
+
+		let id = uploads.start(file);
+		return flushPromises().then(() => {
+			expect(uploads.get(id).error.message).toBe('Server error');
+			uploads.retry(id);
+			expect(uploads.get(id).error).toBe(null);
+			return flushPromises();
+		}).then(() => {
+			expect(upload).toHaveBeenCalledTimes(2);
+			expect(uploads.get(id)).toBe(null);
+		});
+	});
+
+	it('ignores uploads that finish after being removed', () => {
+		let onComplete = jest.fn();
+		let uploads = new ImageUploads({
+			upload: () => Promise.resolve({src: '/screenshot.png'}),
+			onComplete
+		});
+
+		let id = uploads.start(file);
+		uploads.remove(id);
+		return flushPromises().then(() => {
+			expect(onComplete).not.toHaveBeenCalled();
+			expect(uploads.get(id)).toBe(null);
+		});
+	});
+});
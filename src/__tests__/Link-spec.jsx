@@ -6,6 +6,7 @@ import React from 'react';
 import TestUtils from 'react-dom/test-utils';
 import {mount} from 'enzyme';
 import toJson from 'enzyme-to-json';
+import {ContentState} from 'draft-js';
 
 describe('Link', () => {
   const Link = require('../Link/Link').default;
@@ -35,4 +36,33 @@ describe('Link', () => {
 
     expect(toJson(wrapper)).toMatchSnapshot();
   });
+
+  it('should render the title and target of its entity', () => {
+    const contentState = ContentState.createFromText('').createEntity('LINK', 'MUTABLE', {
+      href: '/docs',
+      title: 'Docs',
+      target: '_blank'
+    });
+    const wrapper = mount(
+      <Link contentState={contentState} entityKey={contentState.getLastCreatedEntityKey()}>
+        Docs
+      </Link>
+    );
+    const anchor = wrapper.find('a');
+
+    expect(anchor.prop('href')).toBe('/docs');
+    expect(anchor.prop('title')).toBe('Docs');
+    expect(anchor.prop('target')).toBe('_blank');
+    expect(anchor.prop('rel')).toBeUndefined();
+  });
+
+  it('should not render javascript urls', () => {
+    const wrapper = mount(
+      <Link href='javascript:alert(1)'>
+        Wubba lubba dub dub!
+      </Link>
+    );
+
+    expect(wrapper.find('a').prop('href')).toBeUndefined();
+  });
 });
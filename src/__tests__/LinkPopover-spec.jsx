@@ -0,0 +1,102 @@
+/**
+ * Test the link popover
+ */
+
+import React from 'react';
+import {mount} from 'enzyme';
+
+describe('LinkPopover', () => {
+  const LinkPopover = require('../Link/LinkPopover').default;
+
+  function renderPopover(popoverProps) {
+    const handlers = {
+      onOpen: jest.fn(),
+      onEdit: jest.fn(),
+      onRemove: jest.fn(),
+      onConfirm: jest.fn(),
+      onCancel: jest.fn()
+    };
+    const wrapper = mount(<LinkPopover href='http://rick.com/' {...handlers} {...popoverProps} />);
+    return {wrapper, handlers};
+  }
+
+  it('shows the url with open, edit and remove buttons', () => {
+    const {wrapper, handlers} = renderPopover();
+    const buttons = wrapper.find('button');
+
+    expect(wrapper.find('.text-editor--link-popover-href').text()).toBe('http://rick.com/');
+    expect(buttons.map(button => button.text())).toEqual(['Open', 'Edit', 'Remove']);
+    buttons.at(0).simulate('click');
+    buttons.at(1).simulate('click');
+    buttons.at(2).simulate('click');
+    expect(handlers.onOpen).toHaveBeenCalled();
+    expect(handlers.onEdit).toHaveBeenCalled();
+    expect(handlers.onRemove).toHaveBeenCalled();
+  });
+
+  it('keeps the editor focused when a button is pressed', () => {
+    const {wrapper} = renderPopover();
+    const preventDefault = jest.fn();
+
+    wrapper.find('button').at(0).simulate('mouseDown', {preventDefault});
+    expect(preventDefault).toHaveBeenCalled();
+  });
+
+  it('saves the edited url', () => {
+    const {wrapper, handlers} = renderPopover({editing: true});
+    const input = wrapper.find('input');
+
+    expect(input.prop('value')).toBe('http://rick.com/');
+    input.simulate('change', {target: {value: 'morty.com'}});
+    wrapper.find('form').simulate('submit');
+    expect(handlers.onConfirm).toHaveBeenCalledWith('morty.com');
+  });
+
+  it('flags urls that are not valid before saving', () => {
+    const {wrapper, handlers} = renderPopover({editing: true});
+
+    wrapper.find('input').simulate('change', {target: {value: 'not a link'}});
+    wrapper.find('form').simulate('submit');
+    expect(handlers.onConfirm).not.toHaveBeenCalled();
+    expect(wrapper.find('[role="alert"]').text()).toBe('Enter a web address, email address or phone number');
+    expect(wrapper.find('input').prop('aria-invalid')).toBe(true);
+
+    wrapper.find('input').simulate('change', {target: {value: 'tel:555-1234'}});
+    expect(wrapper.find('[role="alert"]').length).toBe(0);
+    wrapper.find('form').simulate('submit');
+    expect(handlers.onConfirm).toHaveBeenCalledWith('tel:555-1234');
+  });
+
+  it('cancels editing with Escape', () => {
+    const {wrapper, handlers} = renderPopover({editing: true});
+
+    wrapper.find('input').simulate('keyDown', {key: 'Escape'});
+    expect(handlers.onCancel).toHaveBeenCalled();
+    expect(handlers.onConfirm).not.toHaveBeenCalled();
+  });
+
+  it('tells when focus leaves it, but not when it moves between its buttons', () => {
+    const onLeave = jest.fn();
+    const {wrapper, handlers} = renderPopover({onLeave});
+    const dialog = wrapper.find('[role="dialog"]');
+
+    dialog.simulate('blur', {relatedTarget: wrapper.find('button').at(1).getDOMNode()});
+    expect(onLeave).not.toHaveBeenCalled();
+    dialog.simulate('blur', {relatedTarget: null});
+    expect(onLeave).toHaveBeenCalled();
+    expect(handlers.onCancel).not.toHaveBeenCalled();
+  });
+
+  it('anchors to the link', () => {
+    const rect = {top: 10, bottom: 30, left: 40, right: 80, width: 40, height: 20};
+    const {wrapper} = renderPopover({getAnchorRect: () => rect});
+    const element = wrapper.find('.text-editor--link-popover');
+
+    expect(element.prop('role')).toBe('dialog');
+    expect(wrapper.state('position')).not.toBe(null);
+    expect(element.prop('style')).toEqual({
+      top: wrapper.state('position').top,
+      left: wrapper.state('position').left
+    });
+  });
+});
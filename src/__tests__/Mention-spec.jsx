@@ -6,6 +6,7 @@ import React from 'react';
 import TestUtils from 'react-dom/test-utils';
 import {mount} from 'enzyme';
 import toJson from 'enzyme-to-json';
+import { ContentState } from 'draft-js';
 
 describe('Mention', () => {
   const Mention = require('../Mention/Mention').default;
@@ -28,4 +29,23 @@ describe('Mention', () => {
 
     expect(toJson(wrapper)).toMatchSnapshot();
   });
+
+  it('should pass the entity data to onClick', () => {
+    const contentState = ContentState.createFromText('@morty')
+      .createEntity('MENTION', 'SEGMENTED', {text: '@morty', title: 'Morty'});
+    const entityKey = contentState.getLastCreatedEntityKey();
+    const onClick = jest.fn();
+    const wrapper = mount(
+      <Mention
+        contentState={contentState}
+        entityKey={entityKey}
+        onClick={onClick}
+      >
+        @morty
+      </Mention>
+    );
+
+    wrapper.find('span').simulate('click');
+    expect(onClick.mock.calls[0][0]).toEqual({text: '@morty', title: 'Morty'});
+  });
 });
@@ -0,0 +1,134 @@
+import Immutable from 'immutable';
+import { EditorState, ContentState, SelectionState } from 'draft-js';
+import SuggestionRequests from '../lib/SuggestionRequests';
+import { findSuggestionQuery } from '../lib/suggestionQuery';
+
+describe('SuggestionRequests', () => {
+
+	/**
+	 * Wait for the debounce and pending promise callbacks to run
+	 */
+	function flushPromises() {
+		return new Promise(resolve => setTimeout(resolve, 5));
+	}
+
+	it('fetches suggestions after the debounce', () => {
+		const source = {trigger: '@', debounce: 0, fetch: jest.fn(() => Promise.resolve([{label: 'Rick', value: '@rick'}]))};
+		const onChange = jest.fn();
+		const requests = new SuggestionRequests({onChange});
+
+		requests.request(source, 'ri');
+		expect(requests.get().loading).toBe(true);
+		expect(source.fetch).not.toHaveBeenCalled();
+		return flushPromises().then(() => {
+			expect(source.fetch.mock.calls[0][0]).toBe('ri');
+			expect(requests.get().loading).toBe(false);
+			expect(Immutable.List.isList(requests.get().suggestions)).toBe(true);
+			expect(requests.get().suggestions.first().label).toBe('Rick');
+			expect(onChange).toHaveBeenLastCalledWith(requests.get());
+		});
+	});
+
+	it('only fetches the last query while typing', () => {
+		const source = {trigger: '@', debounce: 1, fetch: jest.fn(() => Promise.resolve([]))};
+		const requests = new SuggestionRequests({onChange: jest.fn()});
+
+		requests.request(source, 'r');
+		requests.request(source, 'ri');
+		requests.request(source, 'ri');
+		return flushPromises().then(() => {
+			expect(source.fetch).toHaveBeenCalledTimes(1);
+			expect(source.fetch.mock.calls[0][0]).toBe('ri');
+		});
+	});
+
+	it('ignores the results of stale requests', () => {
+		const resolvers = [];
+		const source = {trigger: '@', debounce: 0, fetch: () => new Promise(resolve => resolvers.push(resolve))};
+		const requests = new SuggestionRequests({onChange: jest.fn()});
+
+		requests.request(source, 'r');
+		return flushPromises()
+			.then(() => {
+				requests.request(source, 'ri');
+				return flushPromises();
+			})
+			.then(() => {
+				resolvers[1]([{label: 'Rick', value: '@rick'}]);
+				resolvers[0]([{label: 'Morty', value: '@morty'}]);
+				return flushPromises();
+			})
+			.then(() => {
+				expect(requests.get().query).toBe('ri');
+				expect(requests.get().suggestions.first().label).toBe('Rick');
+			});
+	});
+
+	it('keeps the error when fetching fails', () => {
+		const error = new Error('Offline');
+		const source = {trigger: '@', debounce: 0, fetch: () => Promise.reject(error)};
+		const requests = new SuggestionRequests({onChange: jest.fn()});
+
+		requests.request(source, 'ri');
+		return flushPromises().then(() => {
+			expect(requests.get().loading).toBe(false);
+			expect(requests.get().error).toBe(error);
+		});
+	});
+
+	it('cancels pending requests', () => {
+		const source = {trigger: '@', debounce: 0, fetch: jest.fn(() => Promise.resolve([]))};
+		const onChange = jest.fn();
+		const requests = new SuggestionRequests({onChange});
+
+		requests.request(source, 'ri');
+		requests.cancel();
+		expect(requests.get()).toBe(null);
+		expect(onChange).toHaveBeenLastCalledWith(null);
+		return flushPromises().then(() => {
+			expect(source.fetch).not.toHaveBeenCalled();
+		});
+	});
+});
+
+describe('findSuggestionQuery', () => {
+	const mentions = {trigger: '@', entityType: 'MENTION'};
+	const hashtags = {trigger: '#', entityType: 'HASHTAG'};
+	const sources = Immutable.List([mentions, hashtags]);
+
+	/**
+	 * Create an editor state with the caret at an offset
+	 */
+	function createEditorState(text, offset = text.length) {
+		const editorState = EditorState.createWithContent(ContentState.createFromText(text));
+		const blockKey = editorState.getCurrentContent().getFirstBlock().getKey();
+		return EditorState.acceptSelection(editorState, SelectionState.createEmpty(blockKey).merge({
+			anchorOffset: offset,
+			focusOffset: offset
+		}));
+	}
+
+	it('finds the query after a trigger', () => {
+		const result = findSuggestionQuery(createEditorState('Hi @ri'), sources);
+		expect(result.source).toBe(mentions);
+		expect(result.query).toBe('ri');
+		expect(result.selection.getStartOffset()).toBe(3);
+		expect(result.selection.getEndOffset()).toBe(6);
+	});
+
+	it('finds an empty query right after the trigger', () => {
+		const result = findSuggestionQuery(createEditorState('#'), sources);
+		expect(result.source).toBe(hashtags);
+		expect(result.query).toBe('');
+	});
+
+	it('only finds triggers that start a word', () => {
+		expect(findSuggestionQuery(createEditorState('rick@example'), sources)).toBe(null);
+		expect(findSuggestionQuery(createEditorState('@rick sanchez'), sources)).toBe(null);
+		expect(findSuggestionQuery(createEditorState('@rick', 2), sources).query).toBe('r');
+	});
+
+	it('needs sources', () => {
+		expect(findSuggestionQuery(createEditorState('@ri'), undefined)).toBe(null);
+	});
+});
@@ -0,0 +1,137 @@
+/**
+ * Test Table component
+ */
+
+import React from 'react';
+import {mount} from 'enzyme';
+import {convertFromRaw} from 'draft-js';
+
+describe('Table', () => {
+  const Table = require('../Table/Table').default;
+
+  /**
+   * Content with a single table block
+   */
+  function createContent(data) {
+    return convertFromRaw({
+      blocks: [{
+        key: 'table',
+        text: ' ',
+        type: 'atomic',
+        inlineStyleRanges: [],
+        entityRanges: [{offset: 0, length: 1, key: 0}]
+      }],
+      entityMap: {
+        0: {type: 'TABLE', mutability: 'IMMUTABLE', data}
+      }
+    });
+  }
+
+  /**
+   * Mount an editable table
+   */
+  function mountTable(data, blockProps) {
+    const contentState = createContent(data);
+    return mount(
+      <Table
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+        blockProps={Object.assign({editable: true}, blockProps)}
+      />,
+      {attachTo: document.body.appendChild(document.createElement('div'))}
+    );
+  }
+
+  const data = {
+    rows: [['Name', 'Value'], ['Rick', 'Sanchez']],
+    header: true
+  };
+
+  it('should render the header row and cells', () => {
+    const contentState = createContent(data);
+    const wrapper = mount(
+      <Table
+        block={contentState.getFirstBlock()}
+        contentState={contentState}
+      />
+    );
+
+    expect(wrapper.find('th').map(cell => cell.text())).toEqual(['Name', 'Value']);
+    expect(wrapper.find('td').map(cell => cell.text())).toEqual(['Rick', 'Sanchez']);
+    expect(wrapper.find('input')).toHaveLength(0);
+  });
+
+  it('should move between cells with tab and shift tab', () => {
+    const wrapper = mountTable(data);
+    const inputs = wrapper.find('input');
+
+    inputs.at(0).getDOMNode().focus();
+    inputs.at(0).simulate('keydown', {key: 'Tab'});
+    expect(document.activeElement).toBe(inputs.at(1).getDOMNode());
+
+    inputs.at(1).simulate('keydown', {key: 'Tab', shiftKey: true});
+    expect(document.activeElement).toBe(inputs.at(0).getDOMNode());
+    wrapper.detach();
+  });
+
+  it('should add a row when tabbing out of the last cell', () => {
+    const onChange = jest.fn();
+    const wrapper = mountTable(data, {onChange});
+
+    wrapper.find('input').at(3).simulate('keydown', {key: 'Tab'});
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][1].rows).toEqual([['Name', 'Value'], ['Rick', 'Sanchez'], ['', '']]);
+    expect(document.activeElement).toBe(wrapper.find('input').at(4).getDOMNode());
+    wrapper.detach();
+  });
+
+  it('should keep the editor read only while editing and save on blur', () => {
+    const onChange = jest.fn();
+    const onEditStart = jest.fn();
+    const onEditEnd = jest.fn();
+    const wrapper = mountTable(data, {onChange, onEditStart, onEditEnd});
+    const input = wrapper.find('input').at(2);
+
+    input.simulate('focus');
+    expect(onEditStart).toHaveBeenCalledTimes(1);
+    input.simulate('change', {target: {value: 'Morty'}});
+    expect(onChange).not.toHaveBeenCalled();
+
+    input.simulate('blur');
+    expect(onEditEnd).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][1].rows[1]).toEqual(['Morty', 'Sanchez']);
+    wrapper.detach();
+  });
+
+  it('should give the editor back when unmounted while editing', () => {
+    const onEditEnd = jest.fn();
+    const wrapper = mountTable(data, {onEditStart: jest.fn(), onEditEnd});
+
+    wrapper.find('input').at(0).simulate('focus');
+    wrapper.unmount();
+    expect(onEditEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not end editing twice when the table is removed', () => {
+    const onEditEnd = jest.fn();
+    const wrapper = mountTable(data, {onEditEnd, onRemove: jest.fn()});
+
+    wrapper.find('input').at(0).simulate('focus');
+    wrapper.find('button').filterWhere(button => button.text() === 'Remove table').simulate('mousedown');
+    wrapper.unmount();
+    expect(onEditEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run row and column commands on the focused cell', () => {
+    const onChange = jest.fn();
+    const wrapper = mountTable(data, {onChange});
+
+    wrapper.find('input').at(0).simulate('focus');
+    wrapper.find('button').filterWhere(button => button.text() === 'Add column').simulate('mousedown');
+    expect(onChange.mock.calls[0][1].rows).toEqual([['Name', '', 'Value'], ['Rick', '', 'Sanchez']]);
+
+    wrapper.find('button').filterWhere(button => button.text() === 'Remove row').simulate('mousedown');
+    expect(onChange.mock.calls[1][1].rows).toEqual([['Rick', '', 'Sanchez']]);
+    wrapper.detach();
+  });
+});
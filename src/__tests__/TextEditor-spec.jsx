@@ -10,6 +10,7 @@ import React from 'react';
 import TestUtils from 'react-dom/test-utils';
 import Immutable from 'immutable';
 import {mount} from 'enzyme';
+import {ContentState, EditorState, Modifier} from 'draft-js';
 
 describe('TextEditor', () => {
   let props = {
@@ -62,4 +63,1110 @@ describe('TextEditor', () => {
 
     expect(comp).toBeDefined();
   });
+
+  describe('controlled mode', () => {
+    it('replaces the content when the value changes', () => {
+      const wrapper = mount(
+        <TextEditor
+          controlled
+          type='text'
+          value='first'
+        />
+      );
+
+      wrapper.setProps({ value: 'second' });
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('second');
+    });
+
+    it('does not replace the content with its own value', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          controlled
+          type='text'
+          value='first'
+          onChange={handleChange}
+        />
+      );
+
+      const reactEl = wrapper.instance();
+      const content = ContentState.createFromText('typed');
+      reactEl.handleEditorChange(EditorState.push(wrapper.state('editorState'), content));
+      const editorState = wrapper.state('editorState');
+      const value = handleChange.mock.calls[0][0].value;
+      expect(value).toBe('typed');
+
+      wrapper.setProps({ value });
+      expect(wrapper.state('editorState')).toBe(editorState);
+      expect(handleChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('reverts to the value the parent keeps passing', () => {
+      const wrapper = mount(
+        <TextEditor
+          controlled
+          type='text'
+          value='first'
+          onChange={jest.fn()}
+        />
+      );
+
+      const content = ContentState.createFromText('typed');
+      wrapper.instance().handleEditorChange(EditorState.push(wrapper.state('editorState'), content));
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('typed');
+
+      wrapper.setProps({ value: 'first' });
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('first');
+    });
+
+    it('ignores value changes when not controlled', () => {
+      const wrapper = mount(
+        <TextEditor
+          type='text'
+          value='first'
+        />
+      );
+
+      wrapper.setProps({ value: 'second' });
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('first');
+    });
+  });
+
+  describe('history', () => {
+    it('undoes and redoes changes', () => {
+      const wrapper = mount(
+        <TextEditor
+          type='text'
+          value='first'
+        />
+      );
+      const reactEl = wrapper.instance();
+      expect(reactEl.canUndo()).toBe(false);
+      expect(reactEl.canRedo()).toBe(false);
+
+      reactEl.handleEditorChange(EditorState.push(wrapper.state('editorState'), ContentState.createFromText('second')));
+      expect(reactEl.canUndo()).toBe(true);
+
+      reactEl.undo();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('first');
+      expect(reactEl.canRedo()).toBe(true);
+
+      reactEl.redo();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('second');
+      expect(reactEl.canRedo()).toBe(false);
+    });
+
+    it('reports history changes', () => {
+      const handleHistoryChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          type='text'
+          value='first'
+          onHistoryChange={handleHistoryChange}
+        />
+      );
+      const reactEl = wrapper.instance();
+
+      reactEl.handleEditorChange(EditorState.push(wrapper.state('editorState'), ContentState.createFromText('second')));
+      expect(handleHistoryChange).toHaveBeenCalledTimes(1);
+      expect(handleHistoryChange.mock.calls[0][0].canUndo).toBe(true);
+      expect(handleHistoryChange.mock.calls[0][0].canRedo).toBe(false);
+
+      reactEl.handleEditorChange(EditorState.push(wrapper.state('editorState'), ContentState.createFromText('third')));
+      expect(handleHistoryChange).toHaveBeenCalledTimes(1);
+
+      reactEl.undo();
+      expect(handleHistoryChange).toHaveBeenCalledTimes(2);
+      expect(handleHistoryChange.mock.calls[1][0].canRedo).toBe(true);
+    });
+
+    it('renders disabled history buttons when there is nothing to do', () => {
+      const wrapper = mount(
+        <TextEditor
+          historyButtons
+          value='first'
+        />
+      );
+
+      expect(wrapper.find('.text-editor--btn-disabled').hostNodes()).toHaveLength(2);
+    });
+  });
+
+  describe('image uploads', () => {
+    /**
+     * Uploader stub that can be resolved or rejected by the test
+     */
+    function createUploader() {
+      const uploader = jest.fn(() => new Promise((resolve, reject) => {
+        uploader.resolve = resolve;
+        uploader.reject = reject;
+      }));
+      return uploader;
+    }
+
+    /**
+     * Wait for pending promise callbacks to run
+     */
+    function flushPromises() {
+      return new Promise(resolve => setTimeout(resolve));
+    }
+
+    /**
+     * Find the image entity data of the atomic blocks
+     */
+    function getImages(wrapper) {
+      const content = wrapper.state('editorState').getCurrentContent();
+      return content.getBlocksAsArray()
+        .filter(block => block.getType() === 'atomic')
+        .map(block => content.getEntity(block.getEntityAt(0)).getData());
+    }
+
+    const file = {
+      name: 'screenshot.png',
+      type: 'image/png'
+    };
+
+    it('ignores files without an upload handler', () => {
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+        />
+      );
+
+      expect(wrapper.instance().handlePastedFiles([file])).toBe('not-handled');
+      expect(getImages(wrapper)).toHaveLength(0);
+    });
+
+    it('ignores files unless images are allowed', () => {
+      const uploader = createUploader();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          onUploadFile={uploader}
+        />
+      );
+
+      expect(wrapper.instance().handlePastedFiles([file])).toBe('not-handled');
+      expect(uploader).not.toHaveBeenCalled();
+    });
+
+    it('ignores files that are not images', () => {
+      const uploader = createUploader();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          blockTypes={Immutable.Set(['atomic'])}
+          onUploadFile={uploader}
+        />
+      );
+
+      expect(wrapper.instance().handlePastedFiles([{name: 'notes.txt', type: 'text/plain'}])).toBe('not-handled');
+      expect(uploader).not.toHaveBeenCalled();
+    });
+
+    it('replaces the placeholder with the uploaded image', () => {
+      const uploader = createUploader();
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          blockTypes={Immutable.Set(['atomic'])}
+          onUploadFile={uploader}
+          onChange={handleChange}
+        />
+      );
+
+      expect(wrapper.instance().handlePastedFiles([file])).toBe('handled');
+      expect(getImages(wrapper)).toHaveLength(1);
+      expect(getImages(wrapper)[0].upload).toBeDefined();
+      wrapper.update();
+      expect(wrapper.find('.text-editor--image-upload-progress').hostNodes()).toHaveLength(1);
+      // Placeholders aren't part of the value
+      expect(handleChange.mock.calls[0][0].target.value).not.toContain('<img');
+
+      return flushPromises().then(() => {
+        expect(uploader).toHaveBeenCalledWith(file, jasmine.any(Function));
+        uploader.resolve({src: 'https://example.com/screenshot.png', width: 300});
+        return flushPromises();
+      }).then(() => {
+        expect(getImages(wrapper)).toEqual([{
+          src: 'https://example.com/screenshot.png',
+          alt: '',
+          width: 300
+        }]);
+        expect(handleChange.mock.calls[handleChange.mock.calls.length - 1][0].target.value).toContain('<img src="https://example.com/screenshot.png"');
+
+        // The finished upload is gone, so undoing doesn't bring back its progress
+        wrapper.instance().undo();
+        wrapper.update();
+        expect(getImages(wrapper)[0].upload).toBeDefined();
+        expect(wrapper.find('.text-editor--image-upload-progress').hostNodes()).toHaveLength(0);
+      });
+    });
+
+    it('fails uploads that return a src that is not allowed', () => {
+      const uploader = createUploader();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          blockTypes={Immutable.Set(['atomic'])}
+          onUploadFile={uploader}
+        />
+      );
+
+      wrapper.instance().handlePastedFiles([file]);
+      return flushPromises().then(() => {
+        uploader.resolve({src: 'javascript:alert(1)'});
+        return flushPromises();
+      }).then(() => {
+        wrapper.update();
+        expect(wrapper.find('.text-editor--image-upload-error').hostNodes()).toHaveLength(1);
+        expect(getImages(wrapper)[0].src).toBeUndefined();
+      });
+    });
+
+    it('lets the user retry or remove a failed upload', () => {
+      const uploader = createUploader();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          blockTypes={Immutable.Set(['atomic'])}
+          onUploadFile={uploader}
+        />
+      );
+
+      wrapper.instance().handlePastedFiles([file]);
+      return flushPromises().then(() => {
+        uploader.reject(new Error('Server error'));
+        return flushPromises();
+      }).then(() => {
+        wrapper.update();
+        expect(wrapper.find('.text-editor--image-upload-error').hostNodes()).toHaveLength(1);
+
+        wrapper.find('.text-editor--image-upload-retry').hostNodes().simulate('click');
+        return flushPromises();
+      }).then(() => {
+        expect(uploader).toHaveBeenCalledTimes(2);
+        uploader.reject(new Error('Server error'));
+        return flushPromises();
+      }).then(() => {
+        wrapper.update();
+        wrapper.find('.text-editor--image-upload-remove').hostNodes().simulate('click');
+        expect(getImages(wrapper)).toHaveLength(0);
+      });
+    });
+  });
+
+  describe('tables', () => {
+    const blockTypes = Immutable.Set(['table']);
+
+    it('shows the table button only when tables are allowed', () => {
+      const findTableButton = wrapper => wrapper.find('StyleButton').filterWhere(button => button.prop('label') === 'Table');
+      expect(findTableButton(mount(<TextEditor value='first' />))).toHaveLength(0);
+      expect(findTableButton(mount(<TextEditor value='first' blockTypes={blockTypes} />))).toHaveLength(1);
+    });
+
+    it('inserts a table from the toolbar', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='first'
+          blockTypes={blockTypes}
+          onChange={handleChange}
+        />
+      );
+
+      wrapper.instance().handleTableClick('INSERT');
+      expect(handleChange.mock.calls[0][0].target.value).toContain('<table><thead><tr><th></th><th></th><th></th></tr></thead>');
+      wrapper.update();
+      expect(wrapper.find('.text-editor--table').hostNodes()).toHaveLength(1);
+    });
+
+    it('makes the editor read only while a cell is edited', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='<table><tr><td>Rick</td></tr></table>'
+          blockTypes={blockTypes}
+          onChange={handleChange}
+        />
+      );
+      const input = wrapper.find('.text-editor--table input');
+
+      input.simulate('focus');
+      expect(wrapper.find('.public-DraftEditor-content').prop('contentEditable')).toBe(false);
+      input.simulate('change', {target: {value: 'Morty'}});
+      input.simulate('blur');
+      wrapper.update();
+      expect(wrapper.find('.public-DraftEditor-content').prop('contentEditable')).toBe(true);
+      expect(handleChange.mock.calls[handleChange.mock.calls.length - 1][0].target.value).toBe('<table><tbody><tr><td>Morty</td></tr></tbody></table>');
+    });
+
+    it('keeps tables in the value read only unless tables are allowed', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='<table><tr><td>Rick</td></tr></table>'
+          onChange={handleChange}
+        />
+      );
+
+      expect(wrapper.find('Table').prop('blockProps').editable).toBe(false);
+      expect(wrapper.find('.text-editor--table input').length).toBe(0);
+      wrapper.instance().handleTableClick('INSERT');
+      expect(handleChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('entities', () => {
+    it('keeps the data of imported hashtags', () => {
+      const wrapper = mount(
+        <TextEditor
+          value='<p><span data-hashtag="#morty" data-id="7">#morty</span></p>'
+          convertEntities={Immutable.List([{
+            regex: /\B#(?:[a-z0-9_]+\b)?/gi,
+            convert: text => ({text, type: 'HASHTAG', mutability: 'IMMUTABLE'})
+          }])}
+        />
+      );
+      const content = wrapper.state('editorState').getCurrentContent();
+      const entity = content.getEntity(content.getFirstBlock().getEntityAt(0));
+      expect(entity.getType()).toBe('HASHTAG');
+      expect(entity.getData()).toEqual({text: '#morty', id: '7'});
+    });
+
+    it('passes the entity data to onHashtagClick and onMentionClick', () => {
+      const onHashtagClick = jest.fn();
+      const onMentionClick = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='<p><span data-mention="@rick" data-id="42">Rick</span> <span data-hashtag="#morty">#morty</span></p>'
+          onHashtagClick={onHashtagClick}
+          onMentionClick={onMentionClick}
+        />
+      );
+      wrapper.find('Hashtag').childAt(0).simulate('click');
+      wrapper.find('Mention').childAt(0).simulate('click');
+      expect(onHashtagClick.mock.calls[0][0]).toEqual({text: '#morty'});
+      expect(onMentionClick.mock.calls[0][0]).toEqual({text: '@rick', id: '42'});
+    });
+
+    it('calls click callbacks added after mounting', () => {
+      const onHashtagClick = jest.fn();
+      const onMentionClick = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          value='<p><span data-mention="@rick">Rick</span> <span data-hashtag="#morty">#morty</span></p>'
+        />
+      );
+
+      wrapper.setProps({onHashtagClick, onMentionClick});
+      wrapper.update();
+      wrapper.find('Hashtag').childAt(0).simulate('click');
+      wrapper.find('Mention').childAt(0).simulate('click');
+      expect(onHashtagClick.mock.calls[0][0]).toEqual({text: '#morty'});
+      expect(onMentionClick.mock.calls[0][0]).toEqual({text: '@rick'});
+    });
+
+    it('sanitizes links with the latest sanitize props', () => {
+      const wrapper = mount(<TextEditor value='<p><a href="blob:https://example.com/1">Rick</a></p>' sanitizeUrl={url => url} />);
+      expect(wrapper.find('Link').find('a').prop('href')).toBe('blob:https://example.com/1');
+
+      wrapper.setProps({sanitizeUrl: () => null});
+      wrapper.update();
+      expect(wrapper.find('Link').find('a').prop('href')).toBeUndefined();
+    });
+
+    it('renders custom entity types with the decorators prop', () => {
+      const Ticker = props => <b className='ticker'>{props.children}</b>;
+      const wrapper = mount(
+        <TextEditor
+          value='<p>Buy $ACME now</p>'
+          convertEntities={Immutable.List([{
+            regex: /\$[A-Z]+/g,
+            convert: text => ({text, type: 'TICKER', mutability: 'IMMUTABLE'})
+          }])}
+          decorators={Immutable.List([{entityType: 'TICKER', component: Ticker}])}
+        />
+      );
+      expect(wrapper.find('.ticker').text()).toBe('$ACME');
+    });
+
+    it('overrides the built in components with the decorators prop', () => {
+      const onMentionClick = jest.fn();
+      const CustomMention = props => <a className='custom-mention' onClick={props.onClick}>{props.children}</a>;
+      const wrapper = mount(
+        <TextEditor
+          value='<p><span data-mention="@rick">Rick</span></p>'
+          onMentionClick={onMentionClick}
+          decorators={Immutable.List([{entityType: 'MENTION', component: CustomMention}])}
+        />
+      );
+      expect(wrapper.find('Mention').length).toBe(0);
+      expect(wrapper.find('.custom-mention').text()).toBe('Rick');
+      expect(typeof wrapper.find('CustomMention').prop('onClick')).toBe('function');
+    });
+  });
+
+  describe('plugins', () => {
+    it('renders the built in link button', () => {
+      const wrapper = mount(<TextEditor {...props} />);
+      expect(wrapper.find('StyleButton').filterWhere(button => button.prop('label') === 'Link').length).toBe(1);
+    });
+
+    it('adds toolbar buttons from plugins', () => {
+      const onClick = jest.fn();
+      const plugin = {
+        toolbarButtons: api => [{
+          key: 'count',
+          label: `Count ${api.getEditorState().getCurrentContent().getPlainText().length}`,
+          onClick
+        }]
+      };
+      const wrapper = mount(<TextEditor {...props} plugins={Immutable.List([plugin])} />);
+      const button = wrapper.find('StyleButton').filterWhere(item => item.prop('label') === 'Count 4');
+      expect(button.length).toBe(1);
+      button.simulate('click');
+      expect(onClick).toHaveBeenCalled();
+    });
+
+    it('lets plugins handle key commands before the editor', () => {
+      const plugin = {
+        handleKeyCommand: jest.fn(command => (command === 'bold' ? 'handled' : 'not-handled'))
+      };
+      const wrapper = mount(<TextEditor {...props} plugins={Immutable.List([plugin])} />);
+      const editorState = wrapper.state('editorState');
+      expect(wrapper.instance().handleKeyCommand('bold')).toBe('handled');
+      expect(plugin.handleKeyCommand.mock.calls[0][1]).toBe(editorState);
+      expect(wrapper.state('editorState')).toBe(editorState);
+    });
+
+    it('runs plugin changes on every change', () => {
+      const plugin = {
+        onChange: (editorState) => {
+          const content = editorState.getCurrentContent();
+          return content.getPlainText() === 'Test' ? editorState : EditorState.push(editorState, ContentState.createFromText('Changed'));
+        }
+      };
+      const handleChange = jest.fn();
+      const wrapper = mount(<TextEditor {...props} plugins={Immutable.List([plugin])} onChange={handleChange} />);
+      wrapper.instance().handleEditorChange(EditorState.push(wrapper.state('editorState'), ContentState.createFromText('Other')));
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Changed');
+      expect(handleChange.mock.calls[0][0].target.value).toBe('<p>Changed</p>');
+    });
+
+    it('links what the link patterns match', () => {
+      const linkPatterns = Immutable.List([{regex: /\bPROJ-\d+/, href: match => `/browse/${match[0]}`}]);
+      const wrapper = mount(<TextEditor {...props} linkPatterns={linkPatterns} />);
+      wrapper.instance().handleEditorChange(EditorState.push(wrapper.state('editorState'), ContentState.createFromText('Fixed PROJ-9'), 'insert-characters'));
+      const content = wrapper.state('editorState').getCurrentContent();
+      expect(content.getEntity(content.getFirstBlock().getEntityAt(6)).getData()).toEqual({href: '/browse/PROJ-9', created: 'match'});
+    });
+
+    it('lets plugins render blocks', () => {
+      const Quote = () => <div className='custom-quote' />;
+      const plugin = {
+        blockRendererFn: block => (block.getType() === 'blockquote' ? {component: Quote, editable: false} : null)
+      };
+      const wrapper = mount(<TextEditor {...props} value='<blockquote>Quote</blockquote>' plugins={Immutable.List([plugin])} />);
+      expect(wrapper.find('.custom-quote').length).toBe(1);
+    });
+  });
+
+  describe('link popover', () => {
+    const value = '<p>Go <a href="http://rick.com/">here</a></p>';
+
+    function focusLink(wrapper) {
+      const editorState = wrapper.state('editorState');
+      const selection = editorState.getSelection().merge({
+        anchorOffset: 5,
+        focusOffset: 5,
+        hasFocus: true
+      });
+      wrapper.instance().handleEditorChange(EditorState.forceSelection(editorState, selection));
+      wrapper.update();
+    }
+
+    function getLinkHref(wrapper) {
+      const content = wrapper.state('editorState').getCurrentContent();
+      const entityKey = content.getFirstBlock().getEntityAt(4);
+      return entityKey ? content.getEntity(entityKey).getData().href : null;
+    }
+
+    it('shows the link under the caret', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} linkEditor='popover' />);
+      expect(wrapper.find('LinkPopover').length).toBe(0);
+
+      focusLink(wrapper);
+      const popover = wrapper.find('LinkPopover');
+      expect(popover.length).toBe(1);
+      expect(popover.prop('href')).toBe('http://rick.com/');
+      expect(popover.prop('editing')).toBe(false);
+    });
+
+    it('edits the link in place', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} linkEditor='popover' />);
+      focusLink(wrapper);
+
+      wrapper.find('LinkPopover').prop('onEdit')();
+      wrapper.update();
+      expect(wrapper.find('LinkPopover').prop('editing')).toBe(true);
+
+      wrapper.find('LinkPopover').prop('onConfirm')('morty.com');
+      wrapper.update();
+      expect(getLinkHref(wrapper)).toBe('http://morty.com');
+      expect(wrapper.state('linkEdit')).toBe(null);
+    });
+
+    it('keeps the title and target of the edited link', () => {
+      const wrapper = mount(<TextEditor {...props} value='<p>Go <a href="http://rick.com/" title="Rick" target="_blank">here</a></p>' linkEditor='popover' />);
+      focusLink(wrapper);
+
+      wrapper.find('LinkPopover').prop('onEdit')();
+      wrapper.find('LinkPopover').prop('onConfirm')('morty.com');
+      const content = wrapper.state('editorState').getCurrentContent();
+      const data = content.getEntity(content.getFirstBlock().getEntityAt(4)).getData();
+      expect(data).toEqual({href: 'http://morty.com', created: 'insert', title: 'Rick', target: '_blank'});
+    });
+
+    it('removes the link and keeps its text', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} linkEditor='popover' />);
+      focusLink(wrapper);
+
+      wrapper.find('LinkPopover').prop('onRemove')();
+      expect(getLinkHref(wrapper)).toBe(null);
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Go here');
+    });
+
+    it('opens the popover to add a link from the shortcut', () => {
+      const wrapper = mount(<TextEditor {...props} linkEditor='popover' />);
+      expect(wrapper.instance().handleKeyCommand('link')).toBe('handled');
+      wrapper.update();
+
+      const popover = wrapper.find('LinkPopover');
+      expect(popover.prop('editing')).toBe(true);
+      expect(popover.prop('href')).toBe('');
+    });
+
+    it('stays open when focus moves into it', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} linkEditor='popover' />);
+      focusLink(wrapper);
+
+      const button = wrapper.find('LinkPopover').find('button').first().getDOMNode();
+      // What draft-js does when the editor loses focus
+      const editorState = wrapper.state('editorState');
+      wrapper.instance().handleBlur({relatedTarget: button});
+      wrapper.instance().handleEditorChange(EditorState.acceptSelection(editorState, editorState.getSelection().set('hasFocus', false)));
+      wrapper.update();
+      expect(wrapper.find('LinkPopover').length).toBe(1);
+
+      wrapper.find('LinkPopover').find('[role="dialog"]').simulate('blur', {relatedTarget: null});
+      wrapper.update();
+      expect(wrapper.find('LinkPopover').length).toBe(0);
+    });
+
+    it('leaves links to the modal by default', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} />);
+      focusLink(wrapper);
+      expect(wrapper.find('LinkPopover').length).toBe(0);
+    });
+  });
+
+  describe('key bindings', () => {
+    const ctrl = (keyCode, modifiers) => Object.assign({keyCode, ctrlKey: true}, modifiers);
+
+    it('toggles block types and inline styles from the default shortcuts', () => {
+      const wrapper = mount(<TextEditor {...props} />);
+      const editor = wrapper.instance();
+
+      expect(editor.handleKeyBinding(ctrl(75))).toBe('link');
+      const command = editor.handleKeyBinding(ctrl(49, {altKey: true}));
+      expect(command).toBe('block-type:header-one');
+      expect(editor.handleKeyCommand(command)).toBe('handled');
+      expect(wrapper.state('editorState').getCurrentContent().getFirstBlock().getType()).toBe('header-one');
+    });
+
+    it('passes custom commands to the plugins', () => {
+      const plugin = {
+        handleKeyCommand: jest.fn(() => 'handled')
+      };
+      const wrapper = mount(
+        <TextEditor
+          {...props}
+          keyBindings={Immutable.Map({'Mod+S': 'save', 'Mod+I': null})}
+          plugins={Immutable.List([plugin])}
+        />
+      );
+      const editor = wrapper.instance();
+
+      expect(editor.handleKeyBinding(ctrl(83))).toBe('save');
+      expect(editor.handleKeyBinding(ctrl(73))).toBe(null);
+      expect(editor.handleKeyBinding(ctrl(66))).toBe('bold');
+      expect(editor.handleKeyCommand('save')).toBe('handled');
+      expect(plugin.handleKeyCommand.mock.calls[0][0]).toBe('save');
+    });
+
+    it('follows key bindings passed after mounting', () => {
+      const wrapper = mount(<TextEditor {...props} />);
+      expect(wrapper.instance().handleKeyBinding(ctrl(83))).not.toBe('save');
+
+      wrapper.setProps({keyBindings: Immutable.Map({'Mod+S': 'save'})});
+      expect(wrapper.instance().handleKeyBinding(ctrl(83))).toBe('save');
+    });
+
+    it('turns off the default shortcuts', () => {
+      const wrapper = mount(<TextEditor {...props} defaultKeyBindings={false} />);
+      const editor = wrapper.instance();
+
+      expect(editor.handleKeyBinding(ctrl(66))).toBe(null);
+      expect(editor.handleKeyBinding(ctrl(49, {altKey: true}))).toBe(null);
+      expect(editor.handleKeyBinding(ctrl(90))).toBe('undo');
+    });
+  });
+
+  describe('input rules', () => {
+    /**
+     * Type text at the end of the editor one character at a time
+     */
+    function typeChars(wrapper, text) {
+      wrapper.setState({editorState: EditorState.moveFocusToEnd(wrapper.state('editorState'))});
+      text.split('').forEach(char => wrapper.instance().handleBeforeInput(char, wrapper.state('editorState')));
+    }
+
+    it('turns typed markdown into styles that one undo brings back', () => {
+      const wrapper = mount(<TextEditor {...props} value='' inputRules />);
+
+      typeChars(wrapper, '## ');
+      let block = wrapper.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getType()).toBe('header-two');
+      expect(block.getText()).toBe('');
+
+      wrapper.instance().undo();
+      block = wrapper.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getType()).toBe('unstyled');
+      expect(block.getText()).toBe('## ');
+    });
+
+    it('is off by default and in plain text editors', () => {
+      const wrapper = mount(<TextEditor {...props} value='' />);
+      typeChars(wrapper, '> ');
+      expect(wrapper.state('editorState').getCurrentContent().getFirstBlock().getType()).toBe('unstyled');
+
+      const text = mount(<TextEditor {...props} value='' type='text' inputRules />);
+      typeChars(text, '# **hi**');
+      const block = text.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getType()).toBe('unstyled');
+      expect(block.getText()).toBe('# **hi**');
+    });
+
+    it('does not create blocks in an inline only editor', () => {
+      const wrapper = mount(<TextEditor {...props} value='' onlyInline inputRules />);
+      typeChars(wrapper, '# **hi**');
+      const block = wrapper.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getType()).toBe('unstyled');
+      expect(block.getText()).toBe('# hi');
+      expect(block.getInlineStyleAt(2).has('BOLD')).toBe(true);
+    });
+  });
+
+  describe('max length', () => {
+    const atEnd = wrapper => EditorState.moveFocusToEnd(wrapper.state('editorState'));
+
+    it('stops typing past the limit', () => {
+      const wrapper = mount(<TextEditor {...props} type='text' value='Rick' maxLength={5} />);
+
+      wrapper.instance().handleBeforeInput('y', atEnd(wrapper));
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Ricky');
+      expect(wrapper.instance().handleBeforeInput('!', atEnd(wrapper))).toBe('handled');
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Ricky');
+    });
+
+    it('truncates or rejects pasted text', () => {
+      const wrapper = mount(<TextEditor {...props} type='text' value='Rick' maxLength={2} maxLengthUnit='words' />);
+
+      expect(wrapper.instance().handlePastedText(' and', null, atEnd(wrapper))).toBe('not-handled');
+      expect(wrapper.instance().handlePastedText(' and Morty', null, atEnd(wrapper))).toBe('handled');
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick and');
+
+      wrapper.setProps({maxLengthOverflow: 'reject'});
+      expect(wrapper.instance().handlePastedText(' Morty', null, atEnd(wrapper))).toBe('handled');
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick and');
+    });
+
+    it('ignores any other change past the limit, but not undo', () => {
+      const wrapper = mount(<TextEditor {...props} type='text' value='Rick and Morty' maxLength={5} />);
+      const editorState = wrapper.state('editorState');
+      const insert = (state, text) => EditorState.push(state, Modifier.insertText(state.getCurrentContent(), state.getSelection(), text), 'insert-characters');
+
+      // Shortening text that's already too long is fine
+      const shortened = EditorState.push(editorState, ContentState.createFromText('Rick'), 'remove-range');
+      wrapper.instance().handleEditorChange(shortened);
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick');
+
+      wrapper.instance().handleEditorChange(insert(EditorState.moveFocusToEnd(shortened), ' and'));
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick');
+
+      wrapper.instance().undo();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick and Morty');
+    });
+
+    it('shows a counter that warns near the limit', () => {
+      const wrapper = mount(<TextEditor {...props} type='text' value='Rick' maxLength={5} />);
+      expect(wrapper.find('.text-editor--counter').text()).toBe('4/5');
+      expect(wrapper.find('.text-editor--counter-warning').length).toBe(0);
+
+      wrapper.instance().handleBeforeInput('y', atEnd(wrapper));
+      wrapper.update();
+      expect(wrapper.find('.text-editor--counter').text()).toBe('5/5');
+      expect(wrapper.find('.text-editor--counter-warning').length).toBe(1);
+
+      wrapper.setProps({showCounter: false});
+      expect(wrapper.find('.text-editor--counter').length).toBe(0);
+    });
+
+    it('includes the counts on change events', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(<TextEditor {...props} type='text' value='Rick' onChange={handleChange} />);
+      wrapper.instance().handleBeforeInput(' C', atEnd(wrapper));
+      expect(handleChange.mock.calls[0][0].counts).toEqual({characters: 6, words: 2});
+    });
+  });
+
+  describe('paste', () => {
+    it('keeps the formatting the editor allows', () => {
+      const wrapper = mount(<TextEditor {...props} inlineStyles={Immutable.Set(['BOLD'])} blockTypes={Immutable.Set(['header-one'])} stripPastedStyles={false} value='' />);
+      const html = '<h1>Title</h1><h4>Small</h4><p><b>Bold</b> <i>italic</i></p>';
+
+      expect(wrapper.instance().handlePastedText('Title', html, wrapper.state('editorState'))).toBe('handled');
+      const blocks = wrapper.state('editorState').getCurrentContent().getBlocksAsArray();
+      expect(blocks.map(block => block.getType())).toEqual(['header-one', 'unstyled', 'unstyled']);
+      expect(blocks[2].getInlineStyleAt(0).has('BOLD')).toBe(true);
+      expect(blocks[2].getInlineStyleAt(5).size).toBe(0);
+    });
+
+    it('leaves plain text and stripPastedStyles to draft-js', () => {
+      const wrapper = mount(<TextEditor {...props} stripPastedStyles={false} value='' />);
+      expect(wrapper.instance().handlePastedText('Text', null, wrapper.state('editorState'))).toBe('not-handled');
+
+      wrapper.setProps({stripPastedStyles: undefined});
+      expect(wrapper.instance().handlePastedText('Title', '<h1>Title</h1>', wrapper.state('editorState'))).toBe('not-handled');
+    });
+  });
+
+  describe('suggestion sources', () => {
+    /**
+     * Type text into an empty editor
+     */
+    function type(wrapper, text) {
+      const editorState = wrapper.state('editorState');
+      const content = ContentState.createFromText(text);
+      const selection = content.getSelectionAfter().merge({
+        anchorKey: content.getFirstBlock().getKey(),
+        anchorOffset: text.length,
+        focusKey: content.getFirstBlock().getKey(),
+        focusOffset: text.length
+      });
+      wrapper.instance().handleEditorChange(EditorState.forceSelection(EditorState.push(editorState, content), selection));
+    }
+
+    /**
+     * Wait for the debounce and the fetch
+     */
+    function flushPromises() {
+      return new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    it('fetches suggestions for the query and inserts the picked one as an entity', () => {
+      const source = {
+        trigger: '@',
+        entityType: 'MENTION',
+        mutability: 'SEGMENTED',
+        debounce: 0,
+        fetch: jest.fn(() => Promise.resolve([{label: 'Rick Sanchez', value: '@rick'}]))
+      };
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} />);
+
+      type(wrapper, 'Hi @ri');
+      wrapper.update();
+      expect(wrapper.find('Autocomplete').prop('loading')).toBe(true);
+
+      return flushPromises().then(() => {
+        wrapper.update();
+        expect(source.fetch.mock.calls[0][0]).toBe('ri');
+        const autocomplete = wrapper.find('Autocomplete');
+        expect(autocomplete.prop('loading')).toBe(false);
+        expect(autocomplete.prop('suggestions').first().label).toBe('Rick Sanchez');
+
+        autocomplete.instance().clickSelection();
+        const content = wrapper.state('editorState').getCurrentContent();
+        const block = content.getFirstBlock();
+        expect(block.getText()).toBe('Hi Rick Sanchez ');
+        const entity = content.getEntity(block.getEntityAt(3));
+        expect(entity.getType()).toBe('MENTION');
+        expect(entity.getMutability()).toBe('SEGMENTED');
+        expect(entity.getData()).toEqual({text: '@rick'});
+        expect(block.getEntityAt(15)).toBe(null);
+        expect(wrapper.state('suggestionRequest')).toBe(null);
+      });
+    });
+
+    it('creates mentions for sources without an entity type', () => {
+      const source = {
+        trigger: '@',
+        debounce: 0,
+        fetch: () => Promise.resolve([{label: 'Rick Sanchez', value: '@rick'}])
+      };
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} />);
+
+      type(wrapper, '@ri');
+      return flushPromises().then(() => {
+        wrapper.update();
+        wrapper.find('Autocomplete').instance().clickSelection();
+        const content = wrapper.state('editorState').getCurrentContent();
+        expect(content.getEntity(content.getFirstBlock().getEntityAt(0)).getType()).toBe('MENTION');
+      });
+    });
+
+    it('renders fetched suggestions with renderSuggestion', () => {
+      const source = {
+        trigger: '@',
+        entityType: 'MENTION',
+        debounce: 0,
+        fetch: () => Promise.resolve([{label: 'Rick Sanchez', value: '@rick', group: 'People'}])
+      };
+      const renderSuggestion = jest.fn(suggestion => suggestion.label.toUpperCase());
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} renderSuggestion={renderSuggestion} />);
+
+      type(wrapper, '@ri');
+      return flushPromises().then(() => {
+        wrapper.update();
+        expect(wrapper.find('Autocomplete').text()).toBe('PeopleRICK SANCHEZ');
+        expect(renderSuggestion.mock.calls[0][1].query).toBe('ri');
+      });
+    });
+
+    it('describes the suggestions to screen readers', () => {
+      Element.prototype.scrollIntoView = jest.fn();
+      const source = {
+        trigger: '@',
+        entityType: 'MENTION',
+        debounce: 0,
+        fetch: () => Promise.resolve([{label: 'Rick Sanchez', value: '@rick'}])
+      };
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} />);
+      const combobox = () => wrapper.find('[role="combobox"]').hostNodes();
+      const listId = wrapper.find('Autocomplete').prop('id');
+
+      expect(combobox().prop('aria-expanded')).toBe(false);
+      expect(combobox().prop('aria-controls')).toBe(listId);
+
+      type(wrapper, '@ri');
+      return flushPromises().then(() => {
+        wrapper.update();
+        expect(combobox().prop('aria-expanded')).toBe(true);
+        expect(combobox().prop('aria-activedescendant')).toBe(`${listId}-option-0`);
+        expect(wrapper.find(`#${listId}-option-0`).hostNodes().prop('role')).toBe('option');
+
+        // Escape closes the list without changing the content
+        wrapper.instance().handleKeyBinding({keyCode: 27, preventDefault: jest.fn()});
+        wrapper.update();
+        expect(combobox().prop('aria-expanded')).toBe(false);
+        expect(wrapper.find('[role="option"]').length).toBe(0);
+        expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('@ri');
+      });
+    });
+
+    it('leaves Enter to the editor while loading or without suggestions', () => {
+      const source = {
+        trigger: '@',
+        entityType: 'MENTION',
+        debounce: 0,
+        fetch: () => Promise.resolve([])
+      };
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} />);
+      const enter = {keyCode: 13, preventDefault: jest.fn()};
+
+      type(wrapper, '@ri');
+      expect(wrapper.instance().handleKeyBinding(enter)).toBe('split-block');
+      return flushPromises().then(() => {
+        wrapper.update();
+        expect(wrapper.find('Autocomplete').prop('suggestions').size).toBe(0);
+        expect(wrapper.instance().handleKeyBinding(enter)).toBe('split-block');
+        expect(enter.preventDefault).not.toHaveBeenCalled();
+        expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('@ri');
+      });
+    });
+
+    it('shows when suggestions could not be loaded', () => {
+      const source = {
+        trigger: '#',
+        entityType: 'HASHTAG',
+        debounce: 0,
+        fetch: () => Promise.reject(new Error('Offline'))
+      };
+      const wrapper = mount(<TextEditor {...props} value='' suggestionSources={Immutable.List([source])} />);
+
+      type(wrapper, '#mor');
+      return flushPromises().then(() => {
+        wrapper.update();
+        expect(wrapper.find('Autocomplete').text()).toBe('Suggestions could not be loaded.');
+        type(wrapper, '#mor ');
+        wrapper.update();
+        expect(wrapper.find('Autocomplete').instance().isOpen()).toBe(false);
+      });
+    });
+  });
+
+  describe('suggestions', () => {
+    const convertEntities = Immutable.List([{
+      regex: /\B@([a-z0-9-_.]+\b)?/gi,
+      convert: (text, isSelected) => (isSelected ? {text, type: 'SUGGESTION', mutability: 'MUTABLE'} : undefined)
+    }]);
+
+    /**
+     * Type a suggestion query at the caret
+     */
+    function typeQuery(wrapper, text) {
+      const editorState = EditorState.moveFocusToEnd(wrapper.state('editorState'));
+      const content = Modifier.insertText(editorState.getCurrentContent(), editorState.getSelection(), text);
+      wrapper.instance().handleEditorChange(EditorState.forceSelection(EditorState.push(editorState, content), content.getSelectionAfter()));
+    }
+
+    it('creates the entity of a suggestion with its data', () => {
+      const handleChange = jest.fn();
+      const wrapper = mount(
+        <TextEditor
+          {...props}
+          type='json'
+          value=''
+          convertEntities={convertEntities}
+          onChange={handleChange}
+          suggestions={Immutable.List([
+            {label: 'Rick', value: '@rick', entityType: 'MENTION', mutability: 'SEGMENTED', data: {id: 1, email: 'rick@example.com'}},
+            {label: 'Rick', value: '@rick', entityType: 'MENTION', mutability: 'SEGMENTED', data: {id: 2, email: 'other.rick@example.com'}}
+          ])}
+        />
+      );
+
+      typeQuery(wrapper, 'Hi @ri');
+      wrapper.find('Autocomplete').instance().handleClick(wrapper.find('Autocomplete').prop('suggestions').get(0));
+      typeQuery(wrapper, 'and @ri');
+      wrapper.update();
+      wrapper.find('Autocomplete').instance().handleClick(wrapper.find('Autocomplete').prop('suggestions').get(1));
+
+      const block = wrapper.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getText()).toBe('Hi Rick and Rick ');
+      const raw = handleChange.mock.calls[handleChange.mock.calls.length - 1][0].target.value;
+      const entities = Object.keys(raw.entityMap).map(key => raw.entityMap[key]);
+      expect(entities.map(entity => entity.type)).toEqual(['MENTION', 'MENTION']);
+      expect(entities.map(entity => entity.data)).toEqual([
+        {text: '@rick', id: 1, email: 'rick@example.com'},
+        {text: '@rick', id: 2, email: 'other.rick@example.com'}
+      ]);
+    });
+
+    it('still inserts the value of suggestions without an entity type', () => {
+      const wrapper = mount(
+        <TextEditor
+          {...props}
+          value=''
+          convertEntities={convertEntities}
+          suggestions={Immutable.List([{label: 'Rick', value: '@rick '}])}
+        />
+      );
+
+      typeQuery(wrapper, '@ri');
+      wrapper.find('Autocomplete').instance().clickSelection();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('@rick ');
+    });
+  });
+
+  describe('find and replace', () => {
+    const value = '<p>Rick and <strong>rick</strong></p><p>rick rolls</p>';
+
+    function openFind(wrapper, query) {
+      expect(wrapper.instance().handleKeyBinding({keyCode: 70, ctrlKey: true})).toBe('find');
+      wrapper.instance().handleKeyCommand('find');
+      wrapper.update();
+      wrapper.find('FindBar').prop('onChange')(Object.assign({}, wrapper.state('find'), {query, replacement: 'morty'}));
+      wrapper.update();
+    }
+
+    it('opens with Mod+F and highlights every match', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} />);
+      expect(wrapper.find('FindBar').length).toBe(0);
+
+      openFind(wrapper, 'rick');
+      expect(wrapper.find('FindBar').prop('count')).toBe(3);
+      expect(wrapper.find('FindBar').prop('index')).toBe(0);
+      expect(wrapper.find('.text-editor--find-match').hostNodes().length).toBe(3);
+      expect(wrapper.find('.text-editor--find-match-current').hostNodes().text()).toBe('Rick');
+
+      wrapper.instance().closeFind();
+      wrapper.update();
+      expect(wrapper.find('FindBar').length).toBe(0);
+      expect(wrapper.find('.text-editor--find-match').hostNodes().length).toBe(0);
+    });
+
+    it('leaves links to their own decorator', () => {
+      const wrapper = mount(<TextEditor {...props} value='<p>rick <a href="https://example.com">rick</a></p>' />);
+      openFind(wrapper, 'rick');
+
+      expect(wrapper.find('FindBar').prop('count')).toBe(2);
+      expect(wrapper.find('.text-editor--find-match').hostNodes().length).toBe(1);
+      expect(wrapper.find('Link').text()).toBe('rick');
+    });
+
+    it('moves through the matches and selects the current one', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} />);
+      openFind(wrapper, 'rick');
+
+      wrapper.find('FindBar').prop('onNext')();
+      wrapper.find('FindBar').prop('onNext')();
+      wrapper.update();
+      expect(wrapper.find('FindBar').prop('index')).toBe(2);
+      expect(wrapper.state('editorState').getSelection().getAnchorKey())
+        .toBe(wrapper.state('editorState').getCurrentContent().getLastBlock().getKey());
+
+      wrapper.find('FindBar').prop('onNext')();
+      wrapper.update();
+      expect(wrapper.find('FindBar').prop('index')).toBe(0);
+      wrapper.find('FindBar').prop('onPrevious')();
+      wrapper.update();
+      expect(wrapper.find('FindBar').prop('index')).toBe(2);
+    });
+
+    it('replaces the current match keeping its style', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} />);
+      openFind(wrapper, 'rick');
+
+      wrapper.find('FindBar').prop('onNext')();
+      wrapper.find('FindBar').prop('onReplace')();
+      wrapper.update();
+      const block = wrapper.state('editorState').getCurrentContent().getFirstBlock();
+      expect(block.getText()).toBe('Rick and morty');
+      expect(block.getInlineStyleAt(9).has('BOLD')).toBe(true);
+      expect(wrapper.find('FindBar').prop('count')).toBe(2);
+    });
+
+    it('undoes replace all in one step', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} />);
+      openFind(wrapper, 'rick');
+
+      wrapper.find('FindBar').prop('onReplaceAll')();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('morty and morty\nmorty rolls');
+      wrapper.instance().undo();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick and rick\nrick rolls');
+    });
+
+    it('does not replace in read only editors', () => {
+      const wrapper = mount(<TextEditor {...props} value={value} editable={false} />);
+      wrapper.instance().openFind('rick');
+      wrapper.update();
+
+      expect(wrapper.find('FindBar').prop('editable')).toBe(false);
+      wrapper.instance().handleReplaceAll();
+      expect(wrapper.state('editorState').getCurrentContent().getPlainText()).toBe('Rick and rick\nrick rolls');
+    });
+  });
 });
@@ -0,0 +1,90 @@
+/**
+ * Test Toolbar and StyleButton keyboard support
+ */
+
+import React from 'react';
+import {mount} from 'enzyme';
+
+describe('Toolbar', () => {
+  const Toolbar = require('../Toolbar').default;
+  const StyleButton = require('../StyleButton').default;
+
+  function renderToolbar(onClick) {
+    return mount(
+      <Toolbar>
+        <StyleButton label='Bold' active toggle onClick={onClick} />
+        <StyleButton label='Italic' active={false} toggle />
+        <StyleButton label='Link' iconClass='icon-link' active={false} />
+      </Toolbar>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  }
+
+  it('should be a single tab stop', () => {
+    const wrapper = renderToolbar();
+    const buttons = wrapper.find('[role="button"]');
+
+    expect(wrapper.find('[role="toolbar"]').prop('aria-label')).toBe('Formatting');
+    expect(buttons.map(button => button.prop('tabIndex'))).toEqual([0, -1, -1]);
+    wrapper.detach();
+  });
+
+  it('should move focus with the arrow keys, Home and End', () => {
+    const wrapper = renderToolbar();
+    const elements = wrapper.getDOMNode().children;
+
+    elements[0].focus();
+    wrapper.find('[role="button"]').at(0).simulate('keyDown', { key: 'ArrowRight' });
+    expect(document.activeElement).toBe(elements[1]);
+
+    wrapper.find('[role="button"]').at(1).simulate('focus');
+    expect(wrapper.find('[role="button"]').map(button => button.prop('tabIndex'))).toEqual([-1, 0, -1]);
+
+    wrapper.find('[role="button"]').at(1).simulate('keyDown', { key: 'End' });
+    expect(document.activeElement).toBe(elements[2]);
+
+    wrapper.find('[role="button"]').at(2).simulate('keyDown', { key: 'ArrowRight' });
+    expect(document.activeElement).toBe(elements[0]);
+
+    wrapper.find('[role="button"]').at(0).simulate('keyDown', { key: 'ArrowLeft' });
+    expect(document.activeElement).toBe(elements[2]);
+
+    wrapper.find('[role="button"]').at(2).simulate('keyDown', { key: 'Home' });
+    expect(document.activeElement).toBe(elements[0]);
+    wrapper.detach();
+  });
+
+  it('should describe the buttons', () => {
+    const wrapper = renderToolbar();
+    const buttons = wrapper.find('[role="button"]');
+
+    expect(buttons.at(0).prop('aria-pressed')).toBe(true);
+    expect(buttons.at(1).prop('aria-pressed')).toBe(false);
+    expect(buttons.at(2).prop('aria-pressed')).toBe(undefined);
+    expect(buttons.at(2).prop('aria-label')).toBe('Link');
+    wrapper.detach();
+  });
+
+  it('should activate buttons with Enter and Space', () => {
+    const onClick = jest.fn();
+    const wrapper = renderToolbar(onClick);
+    const button = wrapper.find('[role="button"]').at(0);
+
+    button.simulate('keyDown', { key: 'Enter' });
+    button.simulate('keyDown', { key: ' ' });
+    button.simulate('keyDown', { key: 'a' });
+    expect(onClick).toHaveBeenCalledTimes(2);
+    wrapper.detach();
+  });
+
+  it('should not activate disabled buttons', () => {
+    const onClick = jest.fn();
+    const wrapper = mount(
+      <StyleButton label='Undo' active={false} disabled onClick={onClick} />
+    );
+
+    wrapper.simulate('keyDown', { key: 'Enter' });
+    expect(onClick).not.toHaveBeenCalled();
+    expect(wrapper.find('[role="button"]').prop('aria-disabled')).toBe(true);
+  });
+});
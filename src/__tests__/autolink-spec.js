@@ -0,0 +1,107 @@
+/**
+ * Test turning urls and custom link patterns into links
+ */
+
+import Immutable from 'immutable';
+import { ContentState, EditorState, Modifier, SelectionState } from 'draft-js';
+import { findLinks, convertLinks } from '../lib/modifiers/convertLinks';
+import { convertPastedHTML } from '../lib/paste';
+
+describe('autolink', () => {
+	const linkPatterns = Immutable.List([
+		{ regex: /\b[A-Z][A-Z0-9]+-\d+\b/, href: match => `https://jira.example.com/browse/${match[0]}` },
+		{ regex: /\b[0-9a-f]{7,40}\b/, href: match => `https://git.example.com/commit/${match[0]}` },
+		{ regex: /\bgo\/([\w-]+)/, href: match => `https://go.example.com/${match[1]}` }
+	]);
+
+	/**
+	 * Get the links of the first block as [text, href, created]
+	 */
+	function getLinks(editorState) {
+		const content = editorState.getCurrentContent();
+		const block = content.getFirstBlock();
+		const links = [];
+		block.findEntityRanges(character => character.getEntity() !== null, (start, end) => {
+			const data = content.getEntity(block.getEntityAt(start)).getData();
+			links.push([block.getText().slice(start, end), data.href, data.created]);
+		});
+		return links;
+	}
+
+	it('finds urls and what the link patterns match', () => {
+		const links = findLinks('Fixed PROJ-123 in 1a2b3c4d, see go/release-notes and example.com', linkPatterns);
+
+		expect(links.map(link => link.url)).toEqual([
+			'https://jira.example.com/browse/PROJ-123',
+			'https://git.example.com/commit/1a2b3c4d',
+			'https://go.example.com/release-notes',
+			'http://example.com'
+		]);
+		expect(links[0]).toEqual({ index: 6, lastIndex: 14, url: 'https://jira.example.com/browse/PROJ-123' });
+	});
+
+	it('only finds urls without link patterns', () => {
+		expect(findLinks('PROJ-123 example.com').map(link => link.url)).toEqual(['http://example.com']);
+	});
+
+	it('prefers link patterns over urls they overlap', () => {
+		const patterns = Immutable.List([
+			{ regex: /docs\.example\.com\/(\w+)/, href: match => `/docs/${match[1]}` }
+		]);
+		expect(findLinks('docs.example.com/intro', patterns).map(link => link.url)).toEqual(['/docs/intro']);
+	});
+
+	it('keeps the flags of the link patterns', () => {
+		const unicode = Immutable.List([
+			{ regex: new RegExp('@\\p{L}+', 'u'), href: match => `https://example.com/${match[0].slice(1)}` },
+			{ regex: new RegExp('#\\d+', 'y'), href: match => `https://example.com/issues/${match[0].slice(1)}` }
+		]);
+
+		expect(findLinks('Ask @Émile about #42', unicode).map(link => link.url)).toEqual([
+			'https://example.com/Émile',
+			'https://example.com/issues/42'
+		]);
+	});
+
+	it('skips matches without an href', () => {
+		const patterns = Immutable.List([
+			{ regex: /#(\d+)/, href: match => (match[1] === '0' ? null : `/issues/${match[1]}`) }
+		]);
+		expect(findLinks('#0 #12', patterns).map(link => link.url)).toEqual(['/issues/12']);
+	});
+
+	it('links the matches and unlinks them when they stop matching', () => {
+		let editorState = convertLinks(EditorState.createWithContent(ContentState.createFromText('See PROJ-123')), linkPatterns);
+		expect(getLinks(editorState)).toEqual([['PROJ-123', 'https://jira.example.com/browse/PROJ-123', 'match']]);
+
+		// Break the ticket key
+		const block = editorState.getCurrentContent().getFirstBlock();
+		const selection = SelectionState.createEmpty(block.getKey()).merge({ anchorOffset: 8, focusOffset: 9 });
+		const content = Modifier.removeRange(editorState.getCurrentContent(), selection, 'backward');
+		editorState = convertLinks(EditorState.push(editorState, content, 'remove-range'), linkPatterns);
+
+		expect(editorState.getCurrentContent().getPlainText()).toBe('See PROJ123');
+		expect(getLinks(editorState)).toEqual([]);
+	});
+
+	it('updates the href when the match changes', () => {
+		let editorState = convertLinks(EditorState.createWithContent(ContentState.createFromText('PROJ-12')), linkPatterns);
+		const block = editorState.getCurrentContent().getFirstBlock();
+		const selection = SelectionState.createEmpty(block.getKey()).merge({ anchorOffset: 7, focusOffset: 7 });
+		const content = Modifier.insertText(editorState.getCurrentContent(), selection, '3', null, block.getEntityAt(6));
+		editorState = convertLinks(EditorState.push(editorState, content, 'insert-characters'), linkPatterns);
+
+		expect(getLinks(editorState)).toEqual([['PROJ-123', 'https://jira.example.com/browse/PROJ-123', 'match']]);
+	});
+
+	it('links pasted matches', () => {
+		const content = convertPastedHTML('<p>Fixed PROJ-7</p>', {
+			inlineStyles: Immutable.Set(['LINK']),
+			blockTypes: Immutable.Set(),
+			convertLinksInline: true,
+			linkPatterns
+		});
+
+		expect(getLinks(EditorState.createWithContent(content))).toEqual([['PROJ-7', 'https://jira.example.com/browse/PROJ-7', 'match']]);
+	});
+});
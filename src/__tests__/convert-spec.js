@@ -1,5 +1,5 @@
 import {convertContentTo, convertContentFrom} from '../lib/convert';
-import {ContentState} from 'draft-js';
+import {ContentState, convertFromRaw} from 'draft-js';
 
 describe('convertContentTo', () => {
 
@@ -69,3 +69,86 @@ describe('convertContentFrom', () => {
 		expect(typeof result).toBe('string');
 	});
 });
+
+describe('code blocks', () => {
+
+	it('exports consecutive code blocks as one pre element with the language', () => {
+		let content = convertFromRaw({
+			blocks: [
+				{text: 'const a = 1;', type: 'code-block', data: {language: 'javascript'}},
+				{text: 'const b = 2;', type: 'code-block', data: {language: 'javascript'}},
+				{text: 'after', type: 'unstyled'}
+			],
+			entityMap: {}
+		});
+		let html = convertContentTo(content, 'html');
+		expect(html).toBe('<pre><code class="language-javascript">const a = 1;\nconst b = 2;</code></pre><p>after</p>');
+	});
+
+	it('keeps code blocks with different languages apart', () => {
+		let content = convertFromRaw({
+			blocks: [
+				{text: 'a', type: 'code-block', data: {language: 'css'}},
+				{text: 'b', type: 'code-block'}
+			],
+			entityMap: {}
+		});
+		expect(convertContentTo(content, 'html')).toBe('<pre><code class="language-css">a</code></pre><pre><code>b</code></pre>');
+	});
+
+	it('imports code blocks one block per line with the language', () => {
+		let content = convertContentFrom('<pre><code class="language-python">def a():\n\n    pass</code></pre>', 'html');
+		let blocks = content.getBlocksAsArray();
+		expect(blocks.map(block => block.getText())).toEqual(['def a():', '', '    pass']);
+		blocks.forEach(block => {
+			expect(block.getType()).toBe('code-block');
+			expect(block.getData().get('language')).toBe('python');
+		});
+	});
+
+	it('round-trips code blocks through html', () => {
+		let html = '<p>before</p><pre><code class="language-go">a\nb</code></pre><pre><code>c</code></pre>';
+		expect(convertContentTo(convertContentFrom(html, 'html'), 'html')).toBe(html);
+	});
+
+	/**
+	 * Content with a mention and a hashtag
+	 */
+	function createEntityContent() {
+		return convertFromRaw({
+			blocks: [{
+				text: 'Hi Rick Sanchez #morty',
+				type: 'unstyled',
+				inlineStyleRanges: [{offset: 3, length: 4, style: 'BOLD'}],
+				entityRanges: [{offset: 3, length: 12, key: 0}, {offset: 16, length: 6, key: 1}]
+			}],
+			entityMap: {
+				0: {type: 'MENTION', mutability: 'SEGMENTED', data: {text: '@rick', id: '42', title: 'Rick'}},
+				1: {type: 'HASHTAG', mutability: 'IMMUTABLE', data: {text: '#morty'}}
+			}
+		});
+	}
+
+	it('exports mentions and hashtags with their data', () => {
+		expect(convertContentTo(createEntityContent(), 'html')).toBe(
+			'<p>Hi <span data-mention="@rick" data-id="42" title="Rick"><strong>Rick</strong> Sanchez</span> <span data-hashtag="#morty">#morty</span></p>'
+		);
+	});
+
+	it('round-trips mentions and hashtags through html', () => {
+		let content = convertContentFrom(convertContentTo(createEntityContent(), 'html'), 'html');
+		let block = content.getFirstBlock();
+		expect(block.getText()).toBe('Hi Rick Sanchez #morty');
+		expect(block.getInlineStyleAt(3).toArray()).toEqual(['BOLD']);
+
+		let mention = content.getEntity(block.getEntityAt(3));
+		expect(block.getEntityAt(14)).toBe(block.getEntityAt(3));
+		expect(mention.getType()).toBe('MENTION');
+		expect(mention.getMutability()).toBe('SEGMENTED');
+		expect(mention.getData()).toEqual({text: '@rick', id: '42', title: 'Rick'});
+
+		let hashtag = content.getEntity(block.getEntityAt(16));
+		expect(hashtag.getType()).toBe('HASHTAG');
+		expect(hashtag.getData()).toEqual({text: '#morty'});
+	});
+});
@@ -0,0 +1,164 @@
+/**
+ * Test finding and replacing text
+ */
+
+import { ContentState, EditorState, convertFromRaw } from 'draft-js';
+import { FindDefaults, createFindRegex, getFindError, findMatches, getMatchAfter, getReplacementText, replaceMatches } from '../lib/find';
+
+describe('find', () => {
+	/**
+	 * Create a search with some options
+	 */
+	function createFind(query, options) {
+		return Object.assign({}, FindDefaults, { query }, options);
+	}
+
+	/**
+	 * Get the matched text of each match
+	 */
+	function getMatchedText(contentState, matches) {
+		return matches.map(match => contentState.getBlockForKey(match.blockKey).getText().slice(match.start, match.end));
+	}
+
+	it('finds text in every block, ignoring case by default', () => {
+		const contentState = ContentState.createFromText('Rick and Morty\nrick rolls');
+		const matches = findMatches(contentState, createFind('rick'));
+
+		expect(getMatchedText(contentState, matches)).toEqual(['Rick', 'rick']);
+		expect(findMatches(contentState, createFind('rick', { caseSensitive: true })).length).toBe(1);
+		expect(findMatches(contentState, createFind(''))).toEqual([]);
+	});
+
+	it('finds whole words only', () => {
+		const contentState = ContentState.createFromText('Rick, Ricky and Patrick');
+
+		expect(findMatches(contentState, createFind('rick')).length).toBe(3);
+		expect(getMatchedText(contentState, findMatches(contentState, createFind('rick', { wholeWord: true })))).toEqual(['Rick']);
+	});
+
+	it('finds regular expressions and flags invalid ones', () => {
+		const contentState = ContentState.createFromText('C-137 and C-132');
+
+		expect(getMatchedText(contentState, findMatches(contentState, createFind('C-\\d+', { regex: true })))).toEqual(['C-137', 'C-132']);
+		expect(createFindRegex(createFind('C-\\d+'))).not.toBeNull();
+		expect(findMatches(contentState, createFind('C-\\d+')).length).toBe(0);
+		expect(getFindError(createFind('(', { regex: true }))).toBe('Invalid regular expression');
+		expect(getFindError(createFind('('))).toBeNull();
+		expect(findMatches(contentState, createFind('(', { regex: true }))).toEqual([]);
+	});
+
+	it('gets the match after a position, wrapping around', () => {
+		const contentState = ContentState.createFromText('rick rick\nrick');
+		const matches = findMatches(contentState, createFind('rick'));
+		const [firstKey, secondKey] = contentState.getBlockMap().keySeq().toArray();
+
+		expect(getMatchAfter(contentState, matches, firstKey, 1)).toBe(matches[1]);
+		expect(getMatchAfter(contentState, matches, firstKey, 6)).toBe(matches[2]);
+		expect(getMatchAfter(contentState, matches, secondKey, 1)).toBe(matches[0]);
+		expect(getMatchAfter(contentState, [], firstKey, 0)).toBeNull();
+	});
+
+	it('replaces matches keeping their inline styles', () => {
+		const contentState = convertFromRaw({
+			entityMap: {},
+			blocks: [{
+				key: 'a',
+				text: 'Hi rick',
+				type: 'unstyled',
+				inlineStyleRanges: [{ offset: 3, length: 2, style: 'BOLD' }]
+			}]
+		});
+		const find = createFind('rick', { replacement: 'morty' });
+		const editorState = replaceMatches(EditorState.createWithContent(contentState), findMatches(contentState, find), find);
+		const block = editorState.getCurrentContent().getFirstBlock();
+
+		expect(block.getText()).toBe('Hi morty');
+		expect(block.getInlineStyleAt(3).has('BOLD')).toBe(true);
+		expect(block.getInlineStyleAt(4).has('BOLD')).toBe(true);
+		expect(block.getInlineStyleAt(6).has('BOLD')).toBe(false);
+		expect(editorState.getSelection().getFocusOffset()).toBe(8);
+	});
+
+	it('skips images and tables, and matches covering mentions', () => {
+		const contentState = convertFromRaw({
+			entityMap: {
+				0: { type: 'IMAGE', mutability: 'IMMUTABLE', data: { src: 'rick.png' } },
+				1: { type: 'MENTION', mutability: 'IMMUTABLE', data: {} },
+				2: { type: 'MENTION', mutability: 'SEGMENTED', data: {} }
+			},
+			blocks: [{
+				key: 'a',
+				text: ' ',
+				type: 'atomic',
+				entityRanges: [{ offset: 0, length: 1, key: 0 }]
+			}, {
+				key: 'b',
+				text: 'Hi Rick Sanchez',
+				type: 'unstyled',
+				entityRanges: [{ offset: 3, length: 4, key: 1 }, { offset: 8, length: 7, key: 2 }]
+			}]
+		});
+
+		expect(findMatches(contentState, createFind(' ')).map(match => match.blockKey)).toEqual(['b', 'b']);
+		expect(findMatches(contentState, createFind('.', { regex: true })).map(match => match.start)).toEqual([0, 1, 2, 7]);
+		expect(findMatches(contentState, createFind('Hi R'))).toEqual([]);
+		expect(findMatches(contentState, createFind('Sanchez'))).toEqual([]);
+	});
+
+	it('replaces matches keeping only the part in a link linked', () => {
+		const contentState = convertFromRaw({
+			entityMap: {
+				0: { type: 'LINK', mutability: 'MUTABLE', data: { url: 'https://example.com' } }
+			},
+			blocks: [{
+				key: 'a',
+				text: 'rick roll',
+				type: 'unstyled',
+				entityRanges: [{ offset: 0, length: 2, key: 0 }]
+			}]
+		});
+		const find = createFind('rick', { replacement: 'morty' });
+		const editorState = replaceMatches(EditorState.createWithContent(contentState), findMatches(contentState, find), find);
+		const block = editorState.getCurrentContent().getFirstBlock();
+
+		expect(block.getText()).toBe('morty roll');
+		expect(block.getEntityAt(0)).not.toBeNull();
+		expect(block.getEntityAt(1)).not.toBeNull();
+		expect(block.getEntityAt(3)).toBeNull();
+		expect(block.getEntityAt(5)).toBeNull();
+	});
+
+	it('replaces with regex groups', () => {
+		const contentState = ContentState.createFromText('C-137 and C-132');
+		const find = createFind('C-(\\d+)', { regex: true, replacement: 'Earth $1' });
+		const editorState = replaceMatches(EditorState.createWithContent(contentState), findMatches(contentState, find), find);
+
+		expect(editorState.getCurrentContent().getPlainText()).toBe('Earth 137 and Earth 132');
+		const match = findMatches(contentState, find)[0];
+		expect(getReplacementText(match, Object.assign({}, find, { replacement: '$$$12 $3 $<name>' }))).toBe('$1372 $3 $<name>');
+	});
+
+	it('replaces regex matches in the context of their block', () => {
+		const contentState = ContentState.createFromText('foobar foobaz');
+		const find = createFind('foo(?=bar)', { regex: true, replacement: '[$&]' });
+		const matches = findMatches(contentState, find);
+		const editorState = replaceMatches(EditorState.createWithContent(contentState), matches, find);
+
+		expect(matches.length).toBe(1);
+		expect(editorState.getCurrentContent().getPlainText()).toBe('[foo]bar foobaz');
+
+		const anchored = createFind('^rick', { regex: true, replacement: 'morty' });
+		const anchoredContent = ContentState.createFromText('rick rick');
+		expect(replaceMatches(EditorState.createWithContent(anchoredContent), findMatches(anchoredContent, anchored), anchored)
+			.getCurrentContent().getPlainText()).toBe('morty rick');
+	});
+
+	it('undoes replacing every match in one step', () => {
+		const contentState = ContentState.createFromText('rick\nrick rick');
+		const find = createFind('rick', { replacement: 'morty' });
+		const editorState = replaceMatches(EditorState.createWithContent(contentState), findMatches(contentState, find), find);
+
+		expect(editorState.getCurrentContent().getPlainText()).toBe('morty\nmorty morty');
+		expect(EditorState.undo(editorState).getCurrentContent().getPlainText()).toBe('rick\nrick rick');
+	});
+});
@@ -0,0 +1,92 @@
+import {convertContentTo, convertContentFrom} from '../lib/convert';
+import {sanitizeContent} from '../lib/sanitize';
+import {convertFromRaw} from 'draft-js';
+
+describe('images', () => {
+
+	/**
+	 * Create content with an image block between two paragraphs
+	 */
+	function createImageContent(data) {
+		return convertFromRaw({
+			blocks: [
+				{text: 'before', type: 'unstyled', inlineStyleRanges: [], entityRanges: []},
+				{text: ' ', type: 'atomic', inlineStyleRanges: [], entityRanges: [{offset: 0, length: 1, key: 0}]},
+				{text: 'after', type: 'unstyled', inlineStyleRanges: [], entityRanges: []}
+			],
+			entityMap: {
+				0: {type: 'IMAGE', mutability: 'IMMUTABLE', data}
+			}
+		});
+	}
+
+	/**
+	 * Find the image entity data in some content
+	 */
+	function getImageData(content) {
+		let block = content.getBlocksAsArray().find(item => item.getType() === 'atomic');
+		return block ? content.getEntity(block.getEntityAt(0)).getData() : null;
+	}
+
+	it('imports images from html with alt text and dimensions', () => {
+		let content = convertContentFrom('<p>before</p><figure><img src="https://example.com/cat.png" alt="A cat" width="200" height="100"></figure><p>after</p>', 'html');
+		expect(content.getBlocksAsArray().map(block => block.getType())).toEqual(['unstyled', 'atomic', 'unstyled']);
+		expect(getImageData(content)).toEqual({
+			src: 'https://example.com/cat.png',
+			alt: 'A cat',
+			width: 200,
+			height: 100
+		});
+	});
+
+	it('imports images that are not wrapped in a figure', () => {
+		let content = convertContentFrom('<img src="/cat.png">', 'html');
+		expect(getImageData(content)).toEqual({
+			src: '/cat.png',
+			alt: ''
+		});
+	});
+
+	it('exports images to html', () => {
+		let html = convertContentTo(createImageContent({src: 'https://example.com/cat.png', alt: 'A cat', width: 200, height: 100}), 'html');
+		expect(html).toContain('<img src="https://example.com/cat.png" alt="A cat" width="200" height="100"');
+		expect(html).toContain('<p>after</p>');
+	});
+
+	it('round-trips images through html', () => {
+		let data = {src: 'https://example.com/cat.png', alt: 'A cat', width: 200, height: 100};
+		let html = convertContentTo(createImageContent(data), 'html');
+		expect(getImageData(convertContentFrom(html, 'html'))).toEqual(data);
+	});
+
+	it('round-trips images through json', () => {
+		let data = {src: 'https://example.com/cat.png', alt: 'A cat', width: 200};
+		let json = convertContentTo(createImageContent(data), 'json');
+		expect(getImageData(convertContentFrom(json, 'json'))).toEqual(data);
+	});
+
+	it('round-trips images through markdown', () => {
+		let markdown = 'before\n\n![A cat](https://example.com/cat.png)\n\nafter';
+		let content = convertContentFrom(markdown, 'markdown');
+		expect(getImageData(content)).toEqual({
+			src: 'https://example.com/cat.png',
+			alt: 'A cat'
+		});
+		expect(convertContentTo(content, 'markdown')).toBe(markdown);
+	});
+
+	it('exports images as their alt text', () => {
+		let text = convertContentTo(createImageContent({src: '/cat.png', alt: 'A cat'}), 'text');
+		expect(text).toBe('before\nA cat\nafter');
+	});
+
+	it('drops images with disallowed urls', () => {
+		let content = convertContentFrom('<p>before</p><img src="javascript:alert(1)"><p>after</p>', 'html');
+		expect(getImageData(content)).toBe(null);
+
+		content = sanitizeContent(createImageContent({src: 'javascript:alert(1)', alt: ''}));
+		expect(getImageData(content)).toBe(null);
+		expect(content.getBlocksAsArray().map(block => block.getText())).toEqual(['before', '', 'after']);
+		expect(convertContentTo(createImageContent({src: 'javascript:alert(1)'}), 'html')).not.toContain('<img');
+	});
+});
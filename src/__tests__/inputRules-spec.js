@@ -0,0 +1,111 @@
+/**
+ * Test the markdown input rules
+ */
+
+import Immutable from 'immutable';
+import { EditorState, ContentState, Modifier } from 'draft-js';
+import { applyInputRules } from '../lib/inputRules';
+
+describe('inputRules', () => {
+	const options = {
+		blockTypes: Immutable.Set(['header-one', 'header-two', 'unordered-list-item', 'ordered-list-item', 'blockquote', 'code-block']),
+		inlineStyles: Immutable.Set(['BOLD', 'ITALIC', 'STRIKETHROUGH', 'CODE']),
+		allowBlock: true
+	};
+
+	/**
+	 * Type text one character at a time at the end of the editor, applying
+	 * the rules after each one
+	 */
+	function type(text, editorState, rules = options) {
+		editorState = editorState || EditorState.moveFocusToEnd(EditorState.createEmpty());
+		return text.split('').reduce((previous, char) => {
+			const content = Modifier.insertText(previous.getCurrentContent(), previous.getSelection(), char, previous.getCurrentInlineStyle());
+			return applyInputRules(EditorState.push(previous, content, 'insert-characters'), previous, rules);
+		}, editorState);
+	}
+
+	function getBlock(editorState) {
+		return editorState.getCurrentContent().getFirstBlock();
+	}
+
+	it('starts headings, lists and quotes', () => {
+		expect(getBlock(type('# Title')).getType()).toBe('header-one');
+		expect(getBlock(type('# Title')).getText()).toBe('Title');
+		expect(getBlock(type('## Title')).getType()).toBe('header-two');
+		expect(getBlock(type('- Item')).getType()).toBe('unordered-list-item');
+		expect(getBlock(type('* Item')).getType()).toBe('unordered-list-item');
+		expect(getBlock(type('1. Item')).getType()).toBe('ordered-list-item');
+		expect(getBlock(type('> Quote')).getType()).toBe('blockquote');
+		expect(getBlock(type('```')).getType()).toBe('code-block');
+		expect(getBlock(type('```')).getText()).toBe('');
+	});
+
+	it('only starts blocks at the start of an unstyled block', () => {
+		expect(getBlock(type('Not # a title')).getType()).toBe('unstyled');
+		expect(getBlock(type('#Title')).getType()).toBe('unstyled');
+		expect(getBlock(type('- # Item')).getText()).toBe('# Item');
+	});
+
+	it('applies inline styles', () => {
+		const bold = getBlock(type('Some **bold** text'));
+		expect(bold.getText()).toBe('Some bold text');
+		expect(bold.getInlineStyleAt(5).has('BOLD')).toBe(true);
+		expect(bold.getInlineStyleAt(8).has('BOLD')).toBe(true);
+		expect(bold.getInlineStyleAt(9).has('BOLD')).toBe(false);
+		expect(bold.getInlineStyleAt(4).has('BOLD')).toBe(false);
+
+		const italic = getBlock(type('_italic_ and *more*'));
+		expect(italic.getText()).toBe('italic and more');
+		expect(italic.getInlineStyleAt(0).has('ITALIC')).toBe(true);
+		expect(italic.getInlineStyleAt(11).has('ITALIC')).toBe(true);
+
+		expect(getBlock(type('~~gone~~')).getInlineStyleAt(0).has('STRIKETHROUGH')).toBe(true);
+		expect(getBlock(type('`code`')).getInlineStyleAt(0).has('CODE')).toBe(true);
+	});
+
+	it('leaves markdown that is not closed or in words alone', () => {
+		expect(getBlock(type('snake_case_name')).getText()).toBe('snake_case_name');
+		expect(getBlock(type('2 * 3 * 4')).getText()).toBe('2 * 3 * 4');
+		expect(getBlock(type('** not bold **')).getText()).toBe('** not bold **');
+	});
+
+	it('respects the allowed block types and inline styles', () => {
+		const rules = Object.assign({}, options, {
+			blockTypes: Immutable.Set(['blockquote']),
+			inlineStyles: Immutable.Set(['ITALIC'])
+		});
+		expect(getBlock(type('# Title', null, rules)).getText()).toBe('# Title');
+		expect(getBlock(type('**bold**', null, rules)).getText()).toBe('**bold**');
+		expect(getBlock(type('> Quote', null, rules)).getType()).toBe('blockquote');
+
+		const inline = Object.assign({}, options, { allowBlock: false });
+		expect(getBlock(type('# Title', null, inline)).getType()).toBe('unstyled');
+		expect(getBlock(type('*em*', null, inline)).getInlineStyleAt(0).has('ITALIC')).toBe(true);
+	});
+
+	it('does not style code blocks or pasted text', () => {
+		const codeBlock = type('```');
+		expect(getBlock(type('**bold**', codeBlock)).getText()).toBe('**bold**');
+
+		const previous = EditorState.moveFocusToEnd(EditorState.createEmpty());
+		const pasted = Modifier.insertText(previous.getCurrentContent(), previous.getSelection(), '# ');
+		const editorState = applyInputRules(EditorState.push(previous, pasted, 'insert-characters'), previous, options);
+		expect(getBlock(editorState).getText()).toBe('# ');
+	});
+
+	it('is undone in one step', () => {
+		const editorState = type('# ');
+		const undone = EditorState.undo(editorState);
+		expect(getBlock(undone).getText()).toBe('# ');
+		expect(getBlock(undone).getType()).toBe('unstyled');
+
+		const styled = type('**b**');
+		expect(getBlock(EditorState.undo(styled)).getText()).toBe('**b**');
+	});
+
+	it('ignores changes that are not typing', () => {
+		const editorState = EditorState.createWithContent(ContentState.createFromText('# '));
+		expect(applyInputRules(editorState, EditorState.createEmpty(), options)).toBe(editorState);
+	});
+});
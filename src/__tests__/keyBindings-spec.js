@@ -0,0 +1,108 @@
+/**
+ * Test the keyboard shortcut map
+ */
+
+import Immutable from 'immutable';
+import { EditorState, ContentState, SelectionState } from 'draft-js';
+import { parseKeyCombo, matchesKeyCombo, getKeyBindings, findKeyCommand, keepDraftCommand, applyKeyCommand } from '../lib/keyBindings';
+
+describe('keyBindings', () => {
+	const props = {
+		defaultKeyBindings: true,
+		inlineStyles: Immutable.Set(['BOLD', 'STRIKETHROUGH']),
+		blockTypes: Immutable.Set(['header-one'])
+	};
+
+	/**
+	 * Get the command of each binding by its combo
+	 */
+	function getCommands(keyBindings) {
+		return Immutable.Map(keyBindings.map(binding => [binding.combo, binding.command]));
+	}
+
+	it('maps Mod to Cmd on a Mac and Ctrl everywhere else', () => {
+		expect(parseKeyCombo('Mod+Shift+X', true)).toEqual({ key: 'x', ctrlKey: false, metaKey: true, altKey: false, shiftKey: true });
+		expect(parseKeyCombo('Mod+Shift+X', false)).toEqual({ key: 'x', ctrlKey: true, metaKey: false, altKey: false, shiftKey: true });
+		expect(() => parseKeyCombo('Hyper+X')).toThrow();
+		expect(() => parseKeyCombo('Mod+')).toThrow();
+	});
+
+	it('matches keys by key code and modifiers exactly', () => {
+		const mac = combo => parseKeyCombo(combo, true);
+		const pc = combo => parseKeyCombo(combo, false);
+		expect(matchesKeyCombo(mac('Mod+B'), { keyCode: 66, metaKey: true })).toBe(true);
+		expect(matchesKeyCombo(mac('Mod+B'), { keyCode: 66, ctrlKey: true })).toBe(false);
+		expect(matchesKeyCombo(pc('Mod+B'), { keyCode: 66, ctrlKey: true })).toBe(true);
+		expect(matchesKeyCombo(pc('Mod+B'), { keyCode: 66, ctrlKey: true, shiftKey: true })).toBe(false);
+		// Shift+7 is '&' on most keyboards
+		expect(matchesKeyCombo(pc('Mod+Shift+7'), { keyCode: 55, key: '&', ctrlKey: true, shiftKey: true })).toBe(true);
+		expect(matchesKeyCombo(pc('Shift+Enter'), { keyCode: 13, shiftKey: true })).toBe(true);
+		expect(matchesKeyCombo(mac('Mod+['), { key: '[', metaKey: true })).toBe(true);
+	});
+
+	it('warns about and skips combos it cannot parse', () => {
+		const warn = console.warn;
+		console.warn = jest.fn();
+		const keyBindings = getKeyBindings(Object.assign({}, props, {
+			keyBindings: Immutable.Map({
+				'Hyper+S': 'save',
+				'Mod+': 'save'
+			})
+		}), false);
+		const warnings = console.warn.mock.calls.length;
+		console.warn = warn;
+
+		expect(warnings).toBe(2);
+		expect(getCommands(keyBindings).has('Hyper+S')).toBe(false);
+		expect(findKeyCommand(keyBindings, { keyCode: 66, ctrlKey: true })).toBe('bold');
+	});
+
+	it('leaves out defaults for styles and block types the editor does not have', () => {
+		const keyBindings = getCommands(getKeyBindings(props));
+		expect(keyBindings.get('Mod+Shift+X')).toBe('inline-style:STRIKETHROUGH');
+		expect(keyBindings.get('Mod+Alt+1')).toBe('block-type:header-one');
+		expect(keyBindings.has('Mod+E')).toBe(false);
+		expect(keyBindings.has('Mod+Alt+2')).toBe(false);
+		expect(keyBindings.get('Mod+Alt+0')).toBe('block-type:unstyled');
+	});
+
+	it('adds to, overrides and turns off the defaults', () => {
+		const keyBindings = getKeyBindings(Object.assign({}, props, {
+			keyBindings: Immutable.Map({
+				'Mod+S': 'save',
+				'Mod+Shift+X': 'inline-style:HIGHLIGHT',
+				'Mod+B': null
+			})
+		}), false);
+		expect(findKeyCommand(keyBindings, { keyCode: 83, ctrlKey: true })).toBe('save');
+		expect(findKeyCommand(keyBindings, { keyCode: 88, ctrlKey: true, shiftKey: true })).toBe('inline-style:HIGHLIGHT');
+		expect(findKeyCommand(keyBindings, { keyCode: 66, ctrlKey: true })).toBe(null);
+		expect(findKeyCommand(keyBindings, { keyCode: 65 })).toBe(undefined);
+	});
+
+	it('drops the defaults, including the draft-js formatting ones', () => {
+		const noDefaults = Object.assign({}, props, { defaultKeyBindings: false });
+		expect(getKeyBindings(noDefaults).size).toBe(0);
+		expect(keepDraftCommand('bold', noDefaults)).toBe(false);
+		expect(keepDraftCommand('undo', noDefaults)).toBe(true);
+		expect(keepDraftCommand('bold', props)).toBe(true);
+	});
+
+	it('runs the editor commands', () => {
+		const contentState = ContentState.createFromText('Rick');
+		const selection = SelectionState.createEmpty(contentState.getFirstBlock().getKey()).merge({ focusOffset: 4 });
+		const editorState = EditorState.forceSelection(EditorState.createWithContent(contentState), selection);
+
+		const styled = applyKeyCommand(editorState, 'inline-style:STRIKETHROUGH');
+		expect(styled.getCurrentContent().getFirstBlock().getInlineStyleAt(0).has('STRIKETHROUGH')).toBe(true);
+
+		const header = applyKeyCommand(editorState, 'block-type:header-one');
+		expect(header.getCurrentContent().getFirstBlock().getType()).toBe('header-one');
+
+		const softNewline = applyKeyCommand(EditorState.moveFocusToEnd(editorState), 'soft-newline');
+		expect(softNewline.getCurrentContent().getPlainText()).toBe('Rick\n');
+		expect(softNewline.getCurrentContent().getBlockMap().size).toBe(1);
+
+		expect(applyKeyCommand(editorState, 'save')).toBe(null);
+	});
+});
@@ -0,0 +1,60 @@
+/**
+ * Test the character and word limits
+ */
+
+import { ContentState, SelectionState } from 'draft-js';
+import { getCounts, isOverLimit, exceedsLimit, truncateText, fitPastedText } from '../lib/limits';
+
+describe('limits', () => {
+	const characters = { maxLength: 10, maxLengthUnit: 'characters' };
+	const words = { maxLength: 3, maxLengthUnit: 'words' };
+
+	/**
+	 * Select the end of the first block
+	 */
+	function selectEnd(contentState) {
+		const block = contentState.getFirstBlock();
+		return SelectionState.createEmpty(block.getKey()).merge({
+			anchorOffset: block.getLength(),
+			focusOffset: block.getLength()
+		});
+	}
+
+	it('counts characters and words without line breaks', () => {
+		expect(getCounts(ContentState.createFromText('Wubba lubba\ndub dub'))).toEqual({ characters: 18, words: 4 });
+		expect(getCounts(ContentState.createFromText(''))).toEqual({ characters: 0, words: 0 });
+	});
+
+	it('checks the limit', () => {
+		const content = ContentState.createFromText('Wubba lubba');
+		expect(isOverLimit(content, characters)).toBe(true);
+		expect(isOverLimit(content, words)).toBe(false);
+		expect(isOverLimit(content, {})).toBe(false);
+	});
+
+	it('lets content that is already over the limit get shorter', () => {
+		const longer = ContentState.createFromText('Wubba lubba dub');
+		const shorter = ContentState.createFromText('Wubba lubba');
+		expect(exceedsLimit(shorter, longer, characters)).toBe(true);
+		expect(exceedsLimit(longer, shorter, characters)).toBe(false);
+	});
+
+	it('truncates text', () => {
+		expect(truncateText('Wubba lubba dub dub', 8, 'characters')).toBe('Wubba lu');
+		expect(truncateText('Wubba  lubba dub dub', 2, 'words')).toBe('Wubba  lubba');
+		expect(truncateText('Wubba', 2, 'words')).toBe('Wubba');
+		expect(truncateText('a😀', 2, 'characters')).toBe('a');
+		expect(truncateText('Wubba', 0, 'characters')).toBe('');
+	});
+
+	it('fits pasted text into what is left', () => {
+		const content = ContentState.createFromText('Rick');
+		const selection = selectEnd(content);
+		expect(fitPastedText(content, selection, ' and Morty', characters).getPlainText()).toBe('Rick and M');
+		expect(fitPastedText(content, selection, ' and Morty Smith', words).getPlainText()).toBe('Rick and Morty');
+		// Pasted words join the one at the caret
+		expect(fitPastedText(content, selection, 'son and Morty Smith', words).getPlainText()).toBe('Rickson and Morty');
+		const full = ContentState.createFromText('Rick Sanchez');
+		expect(fitPastedText(full, selectEnd(full), 'x', { maxLength: 12, maxLengthUnit: 'characters' })).toBe(null);
+	});
+});
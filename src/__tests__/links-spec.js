@@ -0,0 +1,127 @@
+/**
+ * Test link urls and attributes
+ */
+
+import Immutable from 'immutable';
+import { ContentState, EditorState, SelectionState, convertFromRaw } from 'draft-js';
+import { normalizeHref, validateHref, isExternalUrl, getLinkAttributes } from '../lib/links';
+import { convertContentFrom, convertContentTo } from '../lib/convert';
+import { setLink } from '../lib/modifiers/setLink';
+
+describe('links', () => {
+	/**
+	 * Get the data of the link at an offset of the first block
+	 */
+	function getLinkData(contentState, offset) {
+		const entityKey = contentState.getFirstBlock().getEntityAt(offset);
+		return entityKey ? contentState.getEntity(entityKey).getData() : null;
+	}
+
+	it('recognises web addresses, email addresses and phone numbers', () => {
+		expect(normalizeHref('example.com')).toBe('http://example.com');
+		expect(normalizeHref(' https://example.com/docs ')).toBe('https://example.com/docs');
+		expect(normalizeHref('/docs#top')).toBe('/docs#top');
+		expect(normalizeHref('rick@citadel.com')).toBe('mailto:rick@citadel.com');
+		expect(normalizeHref('mailto:rick@citadel.com?subject=Hi')).toBe('mailto:rick@citadel.com?subject=Hi');
+		expect(normalizeHref('+1 (555) 123-4567')).toBe('tel:+15551234567');
+		expect(normalizeHref('tel:911')).toBe('tel:911');
+	});
+
+	it('does not recognise text that is not a url', () => {
+		expect(normalizeHref('')).toBeNull();
+		expect(normalizeHref('not a link')).toBeNull();
+		expect(normalizeHref('see example.com')).toBeNull();
+		expect(normalizeHref('mailto:rick')).toBeNull();
+		expect(normalizeHref('tel:call me')).toBeNull();
+		expect(normalizeHref('2024')).toBeNull();
+	});
+
+	it('flags invalid and disallowed urls', () => {
+		expect(validateHref('example.com')).toBeNull();
+		expect(validateHref('')).toBeNull();
+		expect(validateHref('not a link')).toBe('Enter a web address, email address or phone number');
+		expect(validateHref('javascript:alert(1)')).toBe('javascript: links aren\'t allowed');
+		expect(validateHref('tel:555-1234', { protocols: Immutable.Set(['https']) })).toBe('tel: links aren\'t allowed');
+	});
+
+	it('adds rel to external links only', () => {
+		expect(isExternalUrl('https://example.com')).toBe(true);
+		expect(isExternalUrl('//example.com')).toBe(true);
+		expect(isExternalUrl('/docs')).toBe(false);
+		expect(isExternalUrl('mailto:rick@citadel.com')).toBe(false);
+
+		expect(getLinkAttributes({ href: 'https://example.com', title: 'Example', target: '_blank' })).toEqual({
+			href: 'https://example.com',
+			title: 'Example',
+			target: '_blank',
+			rel: 'noopener noreferrer'
+		});
+		expect(getLinkAttributes({ href: '/docs', target: '_top' })).toEqual({
+			href: '/docs',
+			title: undefined,
+			target: undefined,
+			rel: undefined
+		});
+	});
+
+	it('round trips the title and target through html', () => {
+		const html = '<p><a href="https://example.com/" title="Example" target="_blank" rel="noopener noreferrer">click</a></p>';
+		const content = convertContentFrom(html, 'html');
+
+		expect(getLinkData(content, 0)).toEqual({ href: 'https://example.com/', title: 'Example', target: '_blank' });
+		expect(convertContentTo(content, 'html')).toBe(html);
+	});
+
+	it('round trips the title and target through json', () => {
+		const content = convertFromRaw({
+			blocks: [{ key: 'a', text: 'click', type: 'unstyled', entityRanges: [{ offset: 0, length: 5, key: 0 }] }],
+			entityMap: { 0: { type: 'LINK', mutability: 'MUTABLE', data: { href: 'mailto:rick@citadel.com', title: 'Mail', target: '_blank' } } }
+		});
+		const raw = convertContentTo(content, 'json');
+
+		expect(raw.entityMap[0].data).toEqual({ href: 'mailto:rick@citadel.com', title: 'Mail', target: '_blank' });
+		expect(getLinkData(convertContentFrom(raw, 'json'), 0)).toEqual(raw.entityMap[0].data);
+	});
+
+	describe('setLink', () => {
+		function select(editorState, start, end) {
+			const blockKey = editorState.getCurrentContent().getFirstBlock().getKey();
+			return SelectionState.createEmpty(blockKey).merge({ anchorOffset: start, focusOffset: end });
+		}
+
+		it('links the selection with its title and target', () => {
+			const editorState = EditorState.createWithContent(ContentState.createFromText('Go here'));
+			const newEditorState = setLink(editorState, select(editorState, 3, 7), {
+				href: 'example.com',
+				title: 'Example',
+				target: '_blank'
+			});
+			const content = newEditorState.getCurrentContent();
+
+			expect(content.getPlainText()).toBe('Go here');
+			expect(getLinkData(content, 3)).toEqual({ href: 'http://example.com', created: 'insert', title: 'Example', target: '_blank' });
+		});
+
+		it('changes the text of the link', () => {
+			const editorState = EditorState.createWithContent(ContentState.createFromText('Go here'));
+			const newEditorState = setLink(editorState, select(editorState, 3, 7), { href: 'rick@citadel.com', text: 'Rick' });
+			const content = newEditorState.getCurrentContent();
+
+			expect(content.getPlainText()).toBe('Go Rick');
+			expect(getLinkData(content, 6).href).toBe('mailto:rick@citadel.com');
+		});
+
+		it('inserts the url when nothing is selected', () => {
+			const editorState = EditorState.createWithContent(ContentState.createFromText('Call '));
+			const newEditorState = setLink(editorState, select(editorState, 5, 5), { href: '555 123 4567' });
+
+			expect(newEditorState.getCurrentContent().getPlainText()).toBe('Call tel:5551234567');
+		});
+
+		it('does nothing with invalid urls', () => {
+			const editorState = EditorState.createWithContent(ContentState.createFromText('Go here'));
+			expect(setLink(editorState, select(editorState, 3, 7), { href: 'not a link' })).toBeNull();
+			expect(setLink(editorState, select(editorState, 3, 7), { href: 'javascript:alert(1)' })).toBeNull();
+		});
+	});
+});
@@ -0,0 +1,147 @@
+import {convertContentTo, convertContentFrom} from '../lib/convert';
+import {ContentState, convertFromRaw} from 'draft-js';
+
+describe('markdown', () => {
+
+	/**
+	 * Convert markdown to content and back again
+	 */
+	function roundTrip(markdown) {
+		return convertContentTo(convertContentFrom(markdown, 'markdown'), 'markdown');
+	}
+
+	it('converts markdown to DraftJS ContentState', () => {
+		let result = convertContentFrom('# Title\n\nsome content', 'markdown');
+		expect(result).toBeInstanceOf(ContentState);
+		let blocks = result.getBlocksAsArray();
+		expect(blocks).toHaveLength(2);
+		expect(blocks[0].getType()).toBe('header-one');
+		expect(blocks[0].getText()).toBe('Title');
+		expect(blocks[1].getType()).toBe('unstyled');
+		expect(blocks[1].getText()).toBe('some content');
+	});
+
+	it('converts DraftJS content to a markdown string', () => {
+		let content = convertContentTo(ContentState.createFromText('some content'), 'markdown');
+		expect(typeof content).toBe('string');
+		expect(content).toBe('some content');
+	});
+
+	it('parses inline styles', () => {
+		let block = convertContentFrom('**bold** *italic* ~~strike~~ `code` <u>under</u>', 'markdown').getFirstBlock();
+		expect(block.getText()).toBe('bold italic strike code under');
+		expect(block.getInlineStyleAt(0).toArray()).toEqual(['BOLD']);
+		expect(block.getInlineStyleAt(5).toArray()).toEqual(['ITALIC']);
+		expect(block.getInlineStyleAt(12).toArray()).toEqual(['STRIKETHROUGH']);
+		expect(block.getInlineStyleAt(19).toArray()).toEqual(['CODE']);
+		expect(block.getInlineStyleAt(24).toArray()).toEqual(['UNDERLINE']);
+	});
+
+	it('does not treat intraword underscores as emphasis', () => {
+		let block = convertContentFrom('snake_case_name', 'markdown').getFirstBlock();
+		expect(block.getText()).toBe('snake_case_name');
+		expect(block.getInlineStyleAt(6).size).toBe(0);
+	});
+
+	it('parses links into link entities', () => {
+		let content = convertContentFrom('see [the docs](https://example.com/docs)', 'markdown');
+		let block = content.getFirstBlock();
+		expect(block.getText()).toBe('see the docs');
+		let entity = content.getEntity(block.getEntityAt(4));
+		expect(entity.getType()).toBe('LINK');
+		expect(entity.getData().href).toBe('https://example.com/docs');
+	});
+
+	it('parses nested lists', () => {
+		let blocks = convertContentFrom('- one\n  - two\n- three\n\n1. first\n2. second', 'markdown').getBlocksAsArray();
+		expect(blocks.map(block => block.getType())).toEqual([
+			'unordered-list-item',
+			'unordered-list-item',
+			'unordered-list-item',
+			'ordered-list-item',
+			'ordered-list-item'
+		]);
+		expect(blocks.map(block => block.getDepth())).toEqual([0, 1, 0, 0, 0]);
+	});
+
+	it('parses fenced code literally and keeps the language', () => {
+		let blocks = convertContentFrom('```js\nconst a = **b**;\n\nreturn a;\n```', 'markdown').getBlocksAsArray();
+		expect(blocks.map(block => block.getText())).toEqual(['const a = **b**;', '', 'return a;']);
+		blocks.forEach(block => {
+			expect(block.getType()).toBe('code-block');
+			expect(block.getData().get('language')).toBe('js');
+			expect(block.getInlineStyleAt(0).size).toBe(0);
+		});
+	});
+
+	it('round-trips block types', () => {
+		let markdown = [
+			'# Heading one',
+			'',
+			'###### Heading six',
+			'',
+			'> quoted',
+			'>',
+			'> second quote',
+			'',
+			'- item',
+			'    - nested',
+			'- item',
+			'',
+			'1. first',
+			'2. second',
+			'',
+			'```js',
+			'const a = 1;',
+			'```',
+			'',
+			'paragraph'
+		].join('\n');
+		expect(roundTrip(markdown)).toBe(markdown);
+	});
+
+	it('round-trips inline styles and links', () => {
+		let markdown = '**bold *both*** ~~gone~~ `a*b` [**link**](https://example.com) <u>under</u>';
+		expect(roundTrip(markdown)).toBe(markdown);
+	});
+
+	it('escapes text that looks like markdown', () => {
+		let content = ContentState.createFromText('# not a heading\n2 * 3 = [6]');
+		let markdown = convertContentTo(content, 'markdown');
+		expect(markdown).toBe('\\# not a heading\n\n2 \\* 3 = \\[6\\]');
+		let result = convertContentFrom(markdown, 'markdown');
+		expect(result.getBlocksAsArray().map(block => block.getText())).toEqual(['# not a heading', '2 * 3 = [6]']);
+		expect(result.getFirstBlock().getType()).toBe('unstyled');
+	});
+
+	it('keeps whitespace outside of style markers', () => {
+		let content = convertFromRaw({
+			blocks: [{
+				text: 'some bold text',
+				type: 'unstyled',
+				inlineStyleRanges: [{offset: 4, length: 6, style: 'BOLD'}],
+				entityRanges: []
+			}],
+			entityMap: {}
+		});
+		expect(convertContentTo(content, 'markdown')).toBe('some **bold** text');
+	});
+
+	it('exports mentions and hashtags as their original text', () => {
+		let content = convertFromRaw({
+			blocks: [{
+				text: 'Rick Sanchez #morty',
+				type: 'unstyled',
+				inlineStyleRanges: [],
+				entityRanges: [{offset: 0, length: 12, key: 0}, {offset: 13, length: 6, key: 1}]
+			}],
+			entityMap: {
+				0: {type: 'MENTION', mutability: 'SEGMENTED', data: {text: '@rick'}},
+				1: {type: 'HASHTAG', mutability: 'IMMUTABLE', data: {text: '#morty'}}
+			}
+		});
+		let markdown = convertContentTo(content, 'markdown');
+		expect(markdown).toBe('@rick #morty');
+		expect(convertContentFrom(markdown, 'markdown').getFirstBlock().getText()).toBe('@rick #morty');
+	});
+});
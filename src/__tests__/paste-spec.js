@@ -0,0 +1,108 @@
+/**
+ * Test pasting html
+ */
+
+import Immutable from 'immutable';
+import { convertPastedHTML, cleanPastedHTML } from '../lib/paste';
+
+describe('paste', () => {
+	const props = {
+		inlineStyles: Immutable.Set(['BOLD', 'ITALIC', 'UNDERLINE', 'STRIKETHROUGH', 'LINK', 'CODE']),
+		convertLinksInline: true,
+		blockTypes: Immutable.Set(['header-one', 'header-two', 'unordered-list-item', 'ordered-list-item', 'blockquote', 'code-block'])
+	};
+
+	/**
+	 * Describe each block as its type, text and the styles of each character
+	 */
+	function describeBlocks(content) {
+		return content.getBlocksAsArray().map(block => ({
+			type: block.getType(),
+			text: block.getText(),
+			styles: block.getCharacterList().map(character => character.getStyle().toArray().join('+')).toArray()
+		}));
+	}
+
+	it('maps Google Docs markup to block types and inline styles', () => {
+		const html = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-1234">' +
+			'<h1 dir="ltr"><span style="font-weight:400">Title</span></h1>' +
+			'<p dir="ltr"><span style="font-weight:700">B</span><span style="font-style:italic">I</span>' +
+			'<span style="text-decoration:underline">U</span><span style="text-decoration:line-through">S</span>' +
+			'<span style="font-family:\'Courier New\'">C</span></p>' +
+			'<ul><li dir="ltr"><p dir="ltr"><span>Item</span></p></li></ul></b>';
+
+		expect(describeBlocks(convertPastedHTML(html, props))).toEqual([
+			{ type: 'header-one', text: 'Title', styles: ['', '', '', '', ''] },
+			{ type: 'unstyled', text: 'BIUSC', styles: ['BOLD', 'ITALIC', 'UNDERLINE', 'STRIKETHROUGH', 'CODE'] },
+			{ type: 'unordered-list-item', text: 'Item', styles: ['', '', '', ''] }
+		]);
+	});
+
+	it('maps Word markup to lists and headings', () => {
+		const html = '<html xmlns:o="urn:schemas-microsoft-com:office:office"><body><!--StartFragment-->' +
+			'<p class=MsoTitle>Doc<o:p></o:p></p>' +
+			'<p class=MsoListParagraphCxSpFirst style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">1.<span>&nbsp;</span></span>First</p>' +
+			'<p class=MsoListParagraphCxSpLast style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">2.</span>Second</p>' +
+			'<p class=MsoListParagraph style="mso-list:l1 level1 lfo2"><span style="mso-list:Ignore">·</span>Bullet</p>' +
+			'<p class=MsoNormal><b>Bold</b><o:p></o:p></p><!--EndFragment--></body></html>';
+
+		expect(describeBlocks(convertPastedHTML(html, props)).map(block => [block.type, block.text])).toEqual([
+			['header-one', 'Doc'],
+			['ordered-list-item', 'First'],
+			['ordered-list-item', 'Second'],
+			['unordered-list-item', 'Bullet'],
+			['unstyled', 'Bold']
+		]);
+	});
+
+	it('removes vendor cruft', () => {
+		const html = cleanPastedHTML('<!--StartFragment--><p class="MsoNormal">Text<o:p></o:p></p><pre class="language-js">x</pre>');
+		expect(html).toBe('<p>Text</p><pre class="language-js">x</pre>');
+	});
+
+	it('keeps only the allowed formatting', () => {
+		const html = '<h3>Small</h3><blockquote><b>Quote</b> <i>it</i> <a href="https://example.com">link</a></blockquote><img src="https://example.com/a.png">';
+		const content = convertPastedHTML(html, {
+			inlineStyles: Immutable.Set(['ITALIC']),
+			blockTypes: Immutable.Set(['header-one'])
+		});
+
+		expect(describeBlocks(content).map(block => block.type)).toEqual(['unstyled', 'unstyled', 'unstyled']);
+		const quote = content.getBlocksAsArray()[1];
+		expect(quote.getInlineStyleAt(0).size).toBe(0);
+		expect(quote.getInlineStyleAt(6).has('ITALIC')).toBe(true);
+		expect(quote.getEntityAt(9)).toBe(null);
+		expect(content.getBlocksAsArray()[2].getText()).toBe('');
+
+		const inline = convertPastedHTML('<h1>Title</h1>', Object.assign({}, props, { onlyInline: true }));
+		expect(inline.getFirstBlock().getType()).toBe('unstyled');
+	});
+
+	it('keeps tables and images only when their block types are allowed', () => {
+		const html = '<table><tr><td>Rick</td></tr></table><img src="https://example.com/a.png">';
+		const getEntityTypes = content => content.getBlocksAsArray()
+			.filter(block => block.getType() === 'atomic')
+			.map(block => content.getEntity(block.getEntityAt(0)).getType());
+
+		const images = convertPastedHTML(html, Object.assign({}, props, { blockTypes: props.blockTypes.add('atomic') }));
+		expect(getEntityTypes(images)).toEqual(['IMAGE']);
+
+		const tables = convertPastedHTML(html, Object.assign({}, props, { blockTypes: props.blockTypes.add('table') }));
+		expect(getEntityTypes(tables)).toEqual(['TABLE']);
+
+		const both = convertPastedHTML(html, Object.assign({}, props, { blockTypes: props.blockTypes.add('atomic').add('table') }));
+		expect(getEntityTypes(both)).toEqual(['TABLE', 'IMAGE']);
+	});
+
+	it('turns pasted urls into links with convertLinksInline', () => {
+		const content = convertPastedHTML('<p>See https://example.com</p>', props);
+		const block = content.getFirstBlock();
+		expect(content.getEntity(block.getEntityAt(4)).getData().href).toBe('https://example.com');
+
+		const noLinks = convertPastedHTML('<p>See https://example.com</p>', Object.assign({}, props, { inlineStyles: Immutable.Set() }));
+		expect(noLinks.getFirstBlock().getEntityAt(4)).toBe(null);
+
+		const noAutolinks = convertPastedHTML('<p>See https://example.com</p>', Object.assign({}, props, { convertLinksInline: false }));
+		expect(noAutolinks.getFirstBlock().getEntityAt(4)).toBe(null);
+	});
+});
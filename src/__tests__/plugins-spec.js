@@ -0,0 +1,60 @@
+/**
+ * Test the plugin hooks
+ */
+
+import Immutable from 'immutable';
+import { EditorState, ContentState } from 'draft-js';
+import { handleWithPlugins, findWithPlugins, changeWithPlugins, collectFromPlugins } from '../lib/plugins';
+
+describe('plugins', () => {
+	it('stops at the first plugin to handle an event', () => {
+		const first = { handleKeyCommand: jest.fn(() => 'not-handled') };
+		const second = { handleKeyCommand: jest.fn(() => 'handled') };
+		const third = { handleKeyCommand: jest.fn(() => 'handled') };
+		const plugins = Immutable.List([first, {}, second, third]);
+
+		expect(handleWithPlugins(plugins, 'handleKeyCommand', 'bold')).toBe('handled');
+		expect(first.handleKeyCommand).toHaveBeenCalledWith('bold');
+		expect(second.handleKeyCommand).toHaveBeenCalledTimes(1);
+		expect(third.handleKeyCommand).not.toHaveBeenCalled();
+	});
+
+	it('is not handled without a plugin that handles it', () => {
+		const plugins = Immutable.List([{ handleBeforeInput: () => undefined }]);
+		expect(handleWithPlugins(plugins, 'handleBeforeInput', 'a')).toBe('not-handled');
+		expect(handleWithPlugins(Immutable.List(), 'handleBeforeInput', 'a')).toBe('not-handled');
+	});
+
+	it('finds the first result', () => {
+		const plugins = Immutable.List([
+			{ keyBindingFn: () => undefined },
+			{ keyBindingFn: () => 'save' },
+			{ keyBindingFn: () => 'other' }
+		]);
+		expect(findWithPlugins(plugins, 'keyBindingFn', {})).toBe('save');
+		expect(findWithPlugins(plugins, 'blockRendererFn', {})).toBe(null);
+	});
+
+	it('passes the editor state through each plugin', () => {
+		const api = {};
+		const editorState = EditorState.createWithContent(ContentState.createFromText('a'));
+		const plugins = Immutable.List([
+			{ onChange: state => EditorState.set(state, { allowUndo: false }) },
+			{},
+			{ onChange: (state, pluginApi) => (pluginApi === api ? EditorState.set(state, { inlineStyleOverride: null }) : null) }
+		]);
+		const result = changeWithPlugins(plugins, editorState, api);
+		expect(result).not.toBe(editorState);
+		expect(result.getAllowUndo()).toBe(false);
+	});
+
+	it('collects list hooks in order', () => {
+		const api = {};
+		const plugins = Immutable.List([
+			{ toolbarButtons: () => [{ key: 'a' }] },
+			{ toolbarButtons: pluginApi => (pluginApi === api ? [{ key: 'b' }, { key: 'c' }] : []) },
+			{ toolbarButtons: () => null }
+		]);
+		expect(collectFromPlugins(plugins, 'toolbarButtons', api).map(button => button.key)).toEqual(['a', 'b', 'c']);
+	});
+});
@@ -0,0 +1,107 @@
+import Immutable from 'immutable';
+import {convertContentTo, convertContentFrom} from '../lib/convert';
+import {sanitizeUrl, sanitizeHTML} from '../lib/sanitize';
+import {convertFromRaw} from 'draft-js';
+
+describe('sanitizeUrl', () => {
+
+	it('allows http, https, mailto, tel and relative urls', () => {
+		expect(sanitizeUrl('https://example.com')).toBe('https://example.com');
+		expect(sanitizeUrl('http://example.com')).toBe('http://example.com');
+		expect(sanitizeUrl('mailto:rick@example.com')).toBe('mailto:rick@example.com');
+		expect(sanitizeUrl('tel:+15555555555')).toBe('tel:+15555555555');
+		expect(sanitizeUrl('/relative/path')).toBe('/relative/path');
+	});
+
+	it('rejects javascript and data urls', () => {
+		expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+		expect(sanitizeUrl(' JavaScript:alert(1)')).toBeNull();
+		expect(sanitizeUrl('java\nscript:alert(1)')).toBeNull();
+		expect(sanitizeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBeNull();
+	});
+
+	it('uses a custom protocol allowlist', () => {
+		let options = {protocols: new Immutable.Set(['https'])};
+		expect(sanitizeUrl('https://example.com', options)).toBe('https://example.com');
+		expect(sanitizeUrl('http://example.com', options)).toBeNull();
+	});
+
+	it('lets a hook reject or rewrite urls', () => {
+		let options = {
+			sanitizeUrl: (url, allowed) => {
+				if (url.indexOf('evil.com') !== -1) {
+					return null;
+				}
+				if (url.indexOf('http:') === 0) {
+					return url.replace('http:', 'https:');
+				}
+				return undefined;
+			}
+		};
+		expect(sanitizeUrl('https://evil.com', options)).toBeNull();
+		expect(sanitizeUrl('http://example.com', options)).toBe('https://example.com');
+		expect(sanitizeUrl('javascript:alert(1)', options)).toBeNull();
+	});
+});
+
+describe('sanitizeHTML', () => {
+
+	it('removes scripts and unknown elements but keeps their text', () => {
+		let body = sanitizeHTML('<p>hi<script>alert(1)</script><font>there</font></p>');
+		expect(body.innerHTML).toBe('<p>hithere</p>');
+	});
+
+	it('removes attributes that are not allowed', () => {
+		let body = sanitizeHTML('<p onclick="alert(1)" style="color: red" title="ok">hi</p>');
+		expect(body.innerHTML).toBe('<p title="ok">hi</p>');
+	});
+
+	it('removes disallowed hrefs', () => {
+		let body = sanitizeHTML('<a href="javascript:alert(1)">hi</a>');
+		expect(body.innerHTML).toBe('<a>hi</a>');
+	});
+});
+
+describe('convert sanitization', () => {
+
+	it('does not import javascript links from html', () => {
+		let content = convertContentFrom('<p><a href="javascript:alert(1)">click</a></p>', 'html');
+		let block = content.getFirstBlock();
+		expect(block.getText()).toBe('click');
+		expect(block.getEntityAt(0)).toBeNull();
+	});
+
+	it('does not import javascript links from json', () => {
+		let content = convertContentFrom({
+			blocks: [{text: 'click', type: 'unstyled', entityRanges: [{offset: 0, length: 5, key: 0}]}],
+			entityMap: {0: {type: 'LINK', mutability: 'MUTABLE', data: {href: 'javascript:alert(1)'}}}
+		}, 'json');
+		expect(content.getFirstBlock().getEntityAt(0)).toBeNull();
+	});
+
+	it('does not export javascript links to html', () => {
+		let content = convertFromRaw({
+			blocks: [{text: 'click', type: 'unstyled', entityRanges: [{offset: 0, length: 5, key: 0}]}],
+			entityMap: {0: {type: 'LINK', mutability: 'MUTABLE', data: {href: 'data:text/html,hi'}}}
+		});
+		expect(convertContentTo(content, 'html')).toBe('<p>click</p>');
+	});
+
+	it('exports rewritten urls without changing the content', () => {
+		let content = convertFromRaw({
+			blocks: [{text: 'click', type: 'unstyled', entityRanges: [{offset: 0, length: 5, key: 0}]}],
+			entityMap: {0: {type: 'LINK', mutability: 'MUTABLE', data: {href: 'http://example.com/'}}}
+		});
+		let html = convertContentTo(content, 'html', {
+			sanitizeUrl: url => url.replace('http:', 'https:')
+		});
+
+		expect(html).toBe('<p><a href="https://example.com/" rel="noopener noreferrer">click</a></p>');
+		expect(content.getEntity(content.getFirstBlock().getEntityAt(0)).getData().href).toBe('http://example.com/');
+	});
+
+	it('keeps allowed links', () => {
+		let html = '<p><a href="https://example.com/" rel="noopener noreferrer">click</a></p>';
+		expect(convertContentTo(convertContentFrom(html, 'html'), 'html')).toBe(html);
+	});
+});
@@ -0,0 +1,104 @@
+import {convertContentTo, convertContentFrom} from '../lib/convert';
+import {createTable, insertRow, removeRow, insertColumn, removeColumn, setCell} from '../lib/tables';
+import {AtomicBlockUtils, ContentState, EditorState, Modifier} from 'draft-js';
+import Immutable from 'immutable';
+
+describe('tables', () => {
+
+	const table = {
+		rows: [['Name', 'Value'], ['a', '1'], ['b', '2']],
+		header: true
+	};
+
+	/**
+	 * Insert a table after a paragraph the way the toolbar does, then type in
+	 * the paragraph after it
+	 */
+	function createTableContent(data) {
+		let content = ContentState.createFromText('before').createEntity('TABLE', 'IMMUTABLE', data);
+		let editorState = EditorState.moveFocusToEnd(EditorState.createWithContent(content));
+		content = AtomicBlockUtils.insertAtomicBlock(editorState, content.getLastCreatedEntityKey(), ' ').getCurrentContent();
+		return Modifier.insertText(content, content.getSelectionAfter(), 'after');
+	}
+
+	/**
+	 * Find the table entity data in some content
+	 */
+	function getTable(content) {
+		let block = content.getBlocksAsArray().find(item => item.getType() === 'atomic' && item.getEntityAt(0));
+		return block ? content.getEntity(block.getEntityAt(0)).getData() : null;
+	}
+
+	it('creates empty tables', () => {
+		expect(createTable(2, 3, true)).toEqual({
+			rows: [['', '', ''], ['', '', '']],
+			header: true
+		});
+	});
+
+	it('adds and removes rows and columns', () => {
+		expect(insertRow(table, 1).rows).toEqual([['Name', 'Value'], ['', ''], ['a', '1'], ['b', '2']]);
+		expect(removeRow(table, 0).rows).toEqual([['a', '1'], ['b', '2']]);
+		expect(insertColumn(table, 2).rows).toEqual([['Name', 'Value', ''], ['a', '1', ''], ['b', '2', '']]);
+		expect(removeColumn(table, 0).rows).toEqual([['Value'], ['1'], ['2']]);
+		expect(setCell(table, 2, 1, '3').rows[2]).toEqual(['b', '3']);
+		expect(table.rows).toHaveLength(3);
+	});
+
+	it('keeps at least one row and column', () => {
+		let single = createTable(1, 1);
+		expect(removeRow(single, 0)).toBe(single);
+		expect(removeColumn(single, 0)).toBe(single);
+	});
+
+	it('imports tables from html', () => {
+		let content = convertContentFrom('<p>before</p><table><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody><tr><td>a</td><td><b>1</b></td></tr><tr><td>b</td></tr></tbody></table><p>after</p>', 'html');
+		expect(content.getBlocksAsArray().map(block => block.getType())).toEqual(['unstyled', 'atomic', 'unstyled']);
+		expect(getTable(content)).toEqual({
+			rows: [['Name', 'Value'], ['a', '1'], ['b', '']],
+			header: true
+		});
+	});
+
+	it('ignores table data in attributes', () => {
+		let content = convertContentFrom('<figure data-table=\'{"rows":[["x"]]}\'>text</figure>', 'html', {
+			attributes: new Immutable.Set(['data-table'])
+		});
+		expect(getTable(content)).toBe(null);
+	});
+
+	it('exports tables to html', () => {
+		let html = convertContentTo(createTableContent(table), 'html');
+		expect(html).toBe('<p>before</p><table><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody><tr><td>a</td><td>1</td></tr><tr><td>b</td><td>2</td></tr></tbody></table><p>after</p>');
+	});
+
+	it('round-trips tables through html and json', () => {
+		let noHeader = {rows: [['a', '<b>'], ['c', 'd']], header: false};
+		expect(getTable(convertContentFrom(convertContentTo(createTableContent(noHeader), 'html'), 'html'))).toEqual(noHeader);
+		expect(getTable(convertContentFrom(convertContentTo(createTableContent(table), 'json'), 'json'))).toEqual(table);
+	});
+
+	it('exports tables as tab separated text', () => {
+		expect(convertContentTo(createTableContent(table), 'text')).toBe('before\nName\tValue\na\t1\nb\t2\nafter');
+	});
+
+	it('round-trips tables through markdown', () => {
+		let markdown = convertContentTo(createTableContent(setCell(table, 1, 1, 'x | *y*')), 'markdown');
+		expect(markdown).toBe('before\n\n| Name | Value |\n| --- | --- |\n| a | x \\| \\*y\\* |\n| b | 2 |\n\nafter');
+		expect(getTable(convertContentFrom(markdown, 'markdown'))).toEqual(setCell(table, 1, 1, 'x | *y*'));
+
+		let noHeader = {rows: [['a', 'b']], header: false};
+		markdown = convertContentTo(createTableContent(noHeader), 'markdown');
+		expect(markdown).toBe('before\n\n|  |  |\n| --- | --- |\n| a | b |\n\nafter');
+		expect(getTable(convertContentFrom(markdown, 'markdown'))).toEqual(noHeader);
+	});
+
+	it('imports GFM tables without outer pipes', () => {
+		let content = convertContentFrom('Name | Value\n:--- | ---:\na | 1\n\nafter', 'markdown');
+		expect(getTable(content)).toEqual({
+			rows: [['Name', 'Value'], ['a', '1']],
+			header: true
+		});
+		expect(content.getLastBlock().getText()).toBe('after');
+	});
+});
@@ -0,0 +1,81 @@
+/**
+ * Languages that can be picked for a code block. The value is stored in the
+ * block data and exported as a language-* class.
+ * @type    {Array}
+ */
+const CODE_LANGUAGES = [
+  {
+    label: 'Plain Text',
+    value: ''
+  },
+  {
+    label: 'Bash',
+    value: 'bash'
+  },
+  {
+    label: 'C',
+    value: 'c'
+  },
+  {
+    label: 'C++',
+    value: 'cpp'
+  },
+  {
+    label: 'C#',
+    value: 'csharp'
+  },
+  {
+    label: 'CSS',
+    value: 'css'
+  },
+  {
+    label: 'Go',
+    value: 'go'
+  },
+  {
+    label: 'HTML',
+    value: 'html'
+  },
+  {
+    label: 'Java',
+    value: 'java'
+  },
+  {
+    label: 'JavaScript',
+    value: 'javascript'
+  },
+  {
+    label: 'JSON',
+    value: 'json'
+  },
+  {
+    label: 'Markdown',
+    value: 'markdown'
+  },
+  {
+    label: 'Python',
+    value: 'python'
+  },
+  {
+    label: 'Ruby',
+    value: 'ruby'
+  },
+  {
+    label: 'Rust',
+    value: 'rust'
+  },
+  {
+    label: 'SQL',
+    value: 'sql'
+  },
+  {
+    label: 'TypeScript',
+    value: 'typescript'
+  },
+  {
+    label: 'YAML',
+    value: 'yaml'
+  }
+];
+
+export default CODE_LANGUAGES;
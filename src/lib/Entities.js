@@ -4,7 +4,9 @@ const Entities = {
   Link: 'LINK',
   Suggestion: 'SUGGESTION',
   Mention: 'MENTION',
-  Hashtag: 'HASHTAG'
+  Hashtag: 'HASHTAG',
+  Image: 'IMAGE',
+  Table: 'TABLE'
 };
 
 export class EntityDecorator extends Immutable.Record({
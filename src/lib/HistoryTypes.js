@@ -0,0 +1,20 @@
+import Icon from 'ship-components-icon';
+
+/**
+ * History actions to be used with draft-js
+ * @type    {Array}
+ */
+const HISTORY_TYPES = [
+  {
+    label: 'Undo',
+    action: 'UNDO',
+    iconClass: Icon.undo
+  },
+  {
+    label: 'Redo',
+    action: 'REDO',
+    iconClass: Icon.redo
+  }
+];
+
+export default HISTORY_TYPES;
@@ -0,0 +1,15 @@
+import Icon from 'ship-components-icon';
+
+/**
+ * Image actions to be used with draft-js
+ * @type    {Array}
+ */
+const IMAGE_TYPES = [
+  {
+    label: 'Image',
+    action: 'INSERT',
+    iconClass: Icon.insert_photo
+  }
+];
+
+export default IMAGE_TYPES;
@@ -0,0 +1,158 @@
+import { genKey } from 'draft-js';
+
+/**
+ * Keeps track of the images being uploaded so their placeholders can show
+ * progress and errors without storing any of it in the content
+ */
+export default class ImageUploads {
+  /**
+   * @param {Object} options
+   * @param {Function} options.upload      Called with the file and a progress callback, returns a Promise
+   * @param {Function} options.onComplete  Called with the upload id and the result. Return an Error to fail the upload.
+   */
+  constructor(options) {
+    this.options = options;
+    this.items = {};
+    this.listeners = [];
+  }
+
+  /**
+   * Start uploading a file
+   *
+   * @param {File} file
+   * @return {string} Upload id
+   */
+  start(file) {
+    const id = genKey();
+    this.items[id] = {
+      id,
+      file,
+      attempt: 0,
+      progress: 0,
+      error: null,
+      preview: typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+        ? URL.createObjectURL(file)
+        : null
+    };
+    this.run(id);
+    return id;
+  }
+
+  /**
+   * Try a failed upload again
+   *
+   * @param {string} id
+   */
+  retry(id) {
+    if (this.items[id] && this.items[id].error) {
+      this.run(id);
+    }
+  }
+
+  /**
+   * Upload the file. Results from earlier attempts or removed uploads are
+   * ignored, and finished uploads are forgotten once onComplete has used
+   * their result.
+   *
+   * @param {string} id
+   */
+  run(id) {
+    const item = this.items[id];
+    const attempt = item.attempt + 1;
+    const isCurrent = () => Boolean(this.items[id]) && this.items[id].attempt === attempt;
+
+    this.update(id, {
+      attempt,
+      progress: 0,
+      error: null
+    });
+
+    Promise.resolve()
+      .then(() => this.options.upload(item.file, (progress) => {
+        if (isCurrent()) {
+          this.update(id, {
+            progress: Math.min(Math.max(progress, 0), 1)
+          });
+        }
+      }))
+      .then((result) => {
+        if (!isCurrent()) {
+          return;
+        }
+        const error = this.options.onComplete(id, result);
+        if (error instanceof Error) {
+          this.update(id, {
+            error
+          });
+          return;
+        }
+        this.remove(id);
+      })
+      .catch((error) => {
+        if (isCurrent()) {
+          this.update(id, {
+            error: error || new Error('Upload failed')
+          });
+        }
+      });
+  }
+
+  /**
+   * Get the state of an upload
+   *
+   * @param {string} id
+   * @return {Object|null}
+   */
+  get(id) {
+    return this.items[id] || null;
+  }
+
+  /**
+   * Change an upload and let the listeners know
+   *
+   * @param {string} id
+   * @param {Object} changes
+   */
+  update(id, changes) {
+    this.items[id] = Object.assign({}, this.items[id], changes);
+    this.listeners.forEach(listener => listener(id));
+  }
+
+  /**
+   * Forget an upload, ignoring its result if it's still running
+   *
+   * @param {string} id
+   */
+  remove(id) {
+    const item = this.items[id];
+    if (!item) {
+      return;
+    }
+    if (item.preview) {
+      URL.revokeObjectURL(item.preview);
+    }
+    delete this.items[id];
+    this.listeners.forEach(listener => listener(id));
+  }
+
+  /**
+   * Listen for changes to any upload
+   *
+   * @param {Function} listener  Called with the upload id
+   * @return {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Forget everything
+   */
+  destroy() {
+    Object.keys(this.items).forEach(id => this.remove(id));
+    this.listeners = [];
+  }
+}
@@ -0,0 +1,132 @@
+import Immutable from 'immutable';
+
+/**
+ * How long to wait for the user to stop typing before fetching, in ms
+ * @type    {number}
+ */
+export const DEFAULT_DEBOUNCE = 200;
+
+/**
+ * Fetches suggestions for the query being typed, one at a time. Queries are
+ * debounced and the results of older ones are ignored.
+ */
+export default class SuggestionRequests {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange  Called with the new state when it changes
+   */
+  constructor(options) {
+    this.options = options;
+    this.current = null;
+    this.timer = null;
+    this.controller = null;
+  }
+
+  /**
+   * Fetch suggestions for a query from a source, unless it's the one we
+   * already have
+   *
+   * @param {Object} source
+   * @param {string} query
+   */
+  request(source, query) {
+    if (this.current && this.current.source === source && this.current.query === query) {
+      return;
+    }
+    this.stop();
+
+    // Keep the old suggestions while the new ones load
+    this.update({
+      source,
+      query,
+      loading: true,
+      error: null,
+      suggestions: this.current && this.current.source === source ? this.current.suggestions : null
+    });
+
+    const debounce = typeof source.debounce === 'number' ? source.debounce : DEFAULT_DEBOUNCE;
+    this.timer = setTimeout(() => this.run(source, query), debounce);
+  }
+
+  /**
+   * Call the source's fetch
+   *
+   * @param {Object} source
+   * @param {string} query
+   */
+  run(source, query) {
+    this.timer = null;
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const isCurrent = () => Boolean(this.current) && this.current.source === source && this.current.query === query;
+    this.controller = controller;
+
+    Promise.resolve()
+      .then(() => source.fetch(query, controller ? controller.signal : void 0))
+      .then((suggestions) => {
+        if (isCurrent()) {
+          this.update({
+            loading: false,
+            suggestions: Immutable.List(suggestions || [])
+          });
+        }
+      })
+      .catch((error) => {
+        if (isCurrent()) {
+          this.update({
+            loading: false,
+            error: error || new Error('Could not load suggestions')
+          });
+        }
+      });
+  }
+
+  /**
+   * Get the current request
+   *
+   * @return {Object|null}
+   */
+  get() {
+    return this.current;
+  }
+
+  /**
+   * Change the current request and let the editor know
+   *
+   * @param {Object} changes
+   */
+  update(changes) {
+    this.current = Object.assign({}, this.current, changes);
+    this.options.onChange(this.current);
+  }
+
+  /**
+   * Stop waiting for the pending request, if any
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Stop fetching and forget the current request
+   */
+  cancel() {
+    this.stop();
+    if (this.current) {
+      this.current = null;
+      this.options.onChange(null);
+    }
+  }
+
+  /**
+   * Stop without letting anyone know, e.g. when unmounting
+   */
+  destroy() {
+    this.stop();
+    this.current = null;
+  }
+}
@@ -0,0 +1,15 @@
+import Icon from 'ship-components-icon';
+
+/**
+ * Table actions to be used with draft-js
+ * @type    {Array}
+ */
+const TABLE_TYPES = [
+  {
+    label: 'Table',
+    action: 'INSERT',
+    iconClass: Icon.grid_on
+  }
+];
+
+export default TABLE_TYPES;
@@ -1,31 +1,270 @@
 import React from 'react';
-import { ContentState, convertToRaw, convertFromRaw } from 'draft-js';
+import Immutable from 'immutable';
+import { ContentState, CharacterMetadata, convertToRaw, convertFromRaw, genKey } from 'draft-js';
 import { convertFromHTML, convertToHTML } from 'draft-convert';
 import convertToText from './convertToText';
+import convertToMarkdown from './convertToMarkdown';
+import convertFromMarkdown from './convertFromMarkdown';
 import Entities from './Entities';
+import { sanitizeContent, sanitizeHTML, sanitizeUrl } from './sanitize';
+import { getLinkAttributes, getLinkData } from './links';
+import { getTableData, tableToText } from './tables';
+
+/**
+ * Prefix used for the language class on code elements
+ * @type    {string}
+ */
+const LANGUAGE_PREFIX = 'language-';
+
+/**
+ * Find the language of a <pre> element from its class or the class of the
+ * <code> element inside of it
+ *
+ * @param     {HTMLElement}    node
+ * @return    {string|undefined}
+ */
+function getCodeLanguage(node) {
+  const code = node.querySelector('code');
+  const className = `${node.className} ${code ? code.className : ''}`;
+  const language = className
+    .split(/\s+/)
+    .find(name => name.indexOf(LANGUAGE_PREFIX) === 0);
+  return language ? language.slice(LANGUAGE_PREFIX.length) : undefined;
+}
+
+/**
+ * Read image data from an <img> element
+ *
+ * @param     {HTMLImageElement}    node
+ * @return    {Object}
+ */
+function getImageData(node) {
+  const data = {
+    src: node.getAttribute('src'),
+    alt: node.getAttribute('alt') || ''
+  };
+  ['width', 'height'].forEach((dimension) => {
+    const value = parseInt(node.getAttribute(dimension), 10);
+    if (!isNaN(value)) {
+      data[dimension] = value;
+    }
+  });
+  return data;
+}
+
+/**
+ * Read mention or hashtag data from the attributes of an exported element
+ *
+ * @param     {HTMLElement}    node
+ * @param     {string}         attribute    Attribute holding the original text
+ * @return    {Object}
+ */
+function getEntityData(node, attribute) {
+  const data = {
+    text: node.getAttribute(attribute)
+  };
+  if (node.hasAttribute('title')) {
+    data.title = node.getAttribute('title');
+  }
+  if (node.hasAttribute('data-id')) {
+    data.id = node.getAttribute('data-id');
+  }
+  return data;
+}
+
+/**
+ * Swap each <table> for a placeholder <figure> holding its data, since
+ * draft-js can't nest blocks inside of cells. The data is kept on a property
+ * rather than an attribute so it can't come from the html itself.
+ *
+ * @param     {HTMLElement}    body
+ * @return    {HTMLElement}
+ */
+function replaceTables(body) {
+  Array.prototype.slice.call(body.querySelectorAll('table')).forEach((table) => {
+    // Nested tables were already replaced along with their parent
+    if (!body.contains(table)) {
+      return;
+    }
+    const figure = body.ownerDocument.createElement('figure');
+    figure.tableData = getTableData(table);
+    figure.textContent = ' ';
+    table.parentNode.replaceChild(figure, table);
+  });
+  return body;
+}
+
+/**
+ * Render a table cell
+ *
+ * @param     {string}     text
+ * @param     {number}     column
+ * @param     {boolean}    header    Whether the cell is in the header row
+ * @return    {React.ReactElement}
+ */
+function renderTableCell(text, column, header) {
+  return header ? <th key={column}>{text}</th> : <td key={column}>{text}</td>;
+}
+
+/**
+ * Render a table row
+ *
+ * @param     {Array<string>}    cells
+ * @param     {number}           row
+ * @param     {boolean}          header    Whether this is the header row
+ * @return    {React.ReactElement}
+ */
+function renderTableRow(cells, row, header) {
+  return (
+    <tr key={row}>
+      {cells.map((text, column) => renderTableCell(text, column, header))}
+    </tr>
+  );
+}
+
+/**
+ * Render a table entity
+ *
+ * @param     {Object}    table
+ * @return    {React.ReactElement}
+ */
+function renderTable(table) {
+  const rows = table.rows.map((cells, row) => renderTableRow(cells, row, table.header && row === 0));
+  return (
+    <table>
+      {table.header ? <thead>{rows[0]}</thead> : null}
+      <tbody>{table.header ? rows.slice(1) : rows}</tbody>
+    </table>
+  );
+}
+
+/**
+ * Split imported code blocks on newlines so each line is its own block, the
+ * same as typing in the editor. The <code> element inside of the <pre> is
+ * part of the block so it doesn't become an inline style.
+ *
+ * @param     {ContentState}    content
+ * @return    {ContentState}
+ */
+function splitCodeBlocks(content) {
+  const blocks = content.getBlocksAsArray();
+  if (!blocks.some(block => block.getType() === 'code-block')) {
+    return content;
+  }
+  const splitBlocks = blocks.reduce((result, block) => {
+    if (block.getType() !== 'code-block') {
+      return result.concat(block);
+    }
+    const characterList = block.getCharacterList().map(character => CharacterMetadata.removeStyle(character, 'CODE'));
+    let offset = 0;
+    return result.concat(block.getText().split('\n').map((line, index) => {
+      const lineBlock = block.merge({
+        key: index === 0 ? block.getKey() : genKey(),
+        text: line,
+        characterList: characterList.slice(offset, offset + line.length)
+      });
+      offset += line.length + 1;
+      return lineBlock;
+    }));
+  }, []);
+  return content.merge({
+    blockMap: Immutable.OrderedMap(splitBlocks.map(block => [block.getKey(), block]))
+  });
+}
+
+/**
+ * Get the language of a code block, with only the characters that are valid
+ * in a class name
+ *
+ * @param     {ContentBlock|undefined}    block
+ * @return    {string|null}    Null when it isn't a code block
+ */
+function getBlockLanguage(block) {
+  if (!block || block.getType() !== 'code-block') {
+    return null;
+  }
+  const language = block.getData().get('language');
+  return language ? String(language).replace(/[^\w#+.-]/g, '') : '';
+}
+
+/**
+ * Get the tags around each code block. Consecutive lines with the same
+ * language share one <pre>, so only the first opens it and the last closes it.
+ *
+ * @param     {ContentState}    content
+ * @return    {Object}    { start, end } by block key
+ */
+function getCodeBlockTags(content) {
+  const blocks = content.getBlocksAsArray();
+  const languages = blocks.map(getBlockLanguage);
+  return blocks.reduce((tags, block, index) => {
+    const language = languages[index];
+    if (language !== null) {
+      tags[block.getKey()] = {
+        start: languages[index - 1] === language ? '\n'
+          : `<pre><code${language ? ` class="${LANGUAGE_PREFIX}${language}"` : ''}>`,
+        end: languages[index + 1] === language ? '' : '</code></pre>'
+      };
+    }
+    return tags;
+  }, {});
+}
 
 /**
  * Get the content depending on the type of data we're passing around
  *
  * @param     {string}    value
  * @param     {string}    type
+ * @param     {Object}    [options]    Sanitize options, see lib/sanitize
  * @return    {ContentState}
  */
-export function convertContentFrom(value, type) {
+export function convertContentFrom(value, type, options) {
   if (!value) {
     return ContentState.createFromText('');
   } else if (type === 'text') {
     return ContentState.createFromText(value);
   } else if (type === 'json') {
-    return convertFromRaw(value);
+    return sanitizeContent(convertFromRaw(value), options);
+  } else if (type === 'markdown') {
+    return sanitizeContent(convertFromMarkdown(value), options);
   } else if (type === 'html') {
-    return convertFromHTML({
+    const content = convertFromHTML({
       htmlToEntity: (nodeName, node, createEntity) => {
-        if (nodeName === 'a') {
-          return createEntity(Entities.Link, 'MUTABLE', { href: node.href })
+        // Links without an href were stripped during sanitization
+        if (nodeName === 'a' && node.hasAttribute('href')) {
+          return createEntity(Entities.Link, 'MUTABLE', getLinkData(node));
+        }
+        // Images without a src were stripped during sanitization
+        if (nodeName === 'img' && node.hasAttribute('src')) {
+          return createEntity(Entities.Image, 'IMMUTABLE', getImageData(node));
+        }
+        if (nodeName === 'span' && node.hasAttribute('data-mention')) {
+          return createEntity(Entities.Mention, 'SEGMENTED', getEntityData(node, 'data-mention'));
+        }
+        if (nodeName === 'span' && node.hasAttribute('data-hashtag')) {
+          return createEntity(Entities.Hashtag, 'IMMUTABLE', getEntityData(node, 'data-hashtag'));
+        }
+        if (nodeName === 'figure' && node.tableData) {
+          return createEntity(Entities.Table, 'IMMUTABLE', node.tableData);
         }
       },
-    })(value);
+      htmlToBlock: (nodeName, node) => {
+        // Images and tables always get their own block
+        if (nodeName === 'figure' || (nodeName === 'img' && node.hasAttribute('src'))) {
+          return 'atomic';
+        }
+        if (nodeName === 'pre') {
+          const language = getCodeLanguage(node);
+          return {
+            type: 'code-block',
+            data: language ? { language } : {}
+          };
+        }
+      }
+    })(value, { flat: false }, html => replaceTables(sanitizeHTML(html, options)));
+    return sanitizeContent(splitCodeBlocks(content), options);
+  } else if (value instanceof ContentState) {
+    return sanitizeContent(value, options);
   } else {
     return value;
   }
@@ -36,28 +275,54 @@ export function convertContentFrom(value, type) {
  *
  * @param     {ContentState}    content
  * @param     {string}          type
+ * @param     {Object}          [options]    Sanitize options, see lib/sanitize
  * @return    {string}
  */
-export function convertContentTo(content, type) {
+export function convertContentTo(content, type, options) {
+  // Never let disallowed links out of the editor
+  content = sanitizeContent(content, options);
+
   if (type === 'json') {
     return convertToRaw(content);
   } else if (type === 'html') {
+    const codeBlockTags = getCodeBlockTags(content);
     return convertToHTML({
       entityToHTML: (entity, text) => {
         if (entity.type === Entities.Link) {
-          return <a href={entity.data.href}>{text}</a>;
+          const attributes = getLinkAttributes(entity.data, options);
+          return attributes.href ? <a {...attributes}>{text}</a> : text;
+        }
+        if (entity.type === Entities.Image) {
+          const src = sanitizeUrl(entity.data.src, options);
+          return src !== null
+            ? <img src={src} alt={entity.data.alt} width={entity.data.width} height={entity.data.height} />
+            : '';
         }
+        if (entity.type === Entities.Table) {
+          return renderTable(entity.data);
+        }
+        // Keep the displayed text and the data so they can be imported again
         if (entity.type === Entities.Mention) {
-          return entity.data.text;
+          return <span data-mention={entity.data.text} data-id={entity.data.id} title={entity.data.title}>{text}</span>;
         }
         if (entity.type === Entities.Hashtag) {
-          return entity.data.text;
+          return <span data-hashtag={entity.data.text} data-id={entity.data.id} title={entity.data.title}>{text}</span>;
         }
         return text;
       },
       blockToHTML: (block) => {
         if (block.type === 'code-block') {
-          return <blockquote />
+          return codeBlockTags[block.key];
+        }
+        if (block.type === 'atomic') {
+          // Tables aren't wrapped in a <figure> like images
+          const entityKey = content.getBlockForKey(block.key).getEntityAt(0);
+          if (entityKey && content.getEntity(entityKey).getType() === Entities.Table) {
+            return {
+              start: '',
+              end: ''
+            };
+          }
         }
       }
     })(content);
@@ -70,9 +335,17 @@ export function convertContentTo(content, type) {
         if (entity.type === Entities.Hashtag) {
           return entity.data.text;
         }
+        if (entity.type === Entities.Image) {
+          return entity.data.alt || '';
+        }
+        if (entity.type === Entities.Table) {
+          return tableToText(entity.data);
+        }
         return text;
       }
     }, content);
+  } else if (type === 'markdown') {
+    return convertToMarkdown({}, content);
   } else {
     return content;
   }
@@ -0,0 +1,523 @@
+import Immutable from 'immutable';
+import { ContentState, ContentBlock, CharacterMetadata, genKey } from 'draft-js';
+import Entities from './Entities';
+
+/**
+ * Header block types by level
+ * @type    {Array<string>}
+ */
+const HEADER_TYPES = ['header-one', 'header-two', 'header-three', 'header-four', 'header-five', 'header-six'];
+
+/**
+ * Deepest list nesting draft-js supports out of the box
+ * @type    {number}
+ */
+const MAX_DEPTH = 4;
+
+// Block level patterns
+const BLANK_REGEX = /^\s*$/;
+const HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_REGEX = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const QUOTE_REGEX = /^ {0,3}> ?(.*)$/;
+const UNORDERED_REGEX = /^([ \t]*)[-+*][ \t]+(.*)$/;
+const ORDERED_REGEX = /^([ \t]*)\d{1,9}[.)][ \t]+(.*)$/;
+const IMAGE_REGEX = /^ {0,3}!\[/;
+const TABLE_DELIMITER_REGEX = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const HARD_BREAK_REGEX = /(?: {2,}|\\)$/;
+
+// Characters that can be backslash escaped
+const ESCAPABLE_REGEX = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const WORD_REGEX = /[A-Za-z0-9]/;
+const SPACE_REGEX = /\s/;
+
+/**
+ * Count how many times a character repeats starting at an index
+ *
+ * @param     {string}    src
+ * @param     {number}    index
+ * @return    {number}
+ */
+function countRun(src, index) {
+  let end = index;
+  while (src[end] === src[index]) {
+    end += 1;
+  }
+  return end - index;
+}
+
+/**
+ * Find the backtick run closing a code span
+ *
+ * @param     {string}    src
+ * @param     {number}    from
+ * @param     {number}    length    Length of the opening backtick run
+ * @return    {number}    Index of the closing run or -1
+ */
+function findCodeClose(src, from, length) {
+  let i = from;
+  while (i < src.length) {
+    if (src[i] === '`') {
+      const run = countRun(src, i);
+      if (run === length) {
+        return i;
+      }
+      i += run;
+    } else {
+      i += 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the closing emphasis delimiter, skipping escapes and code spans
+ *
+ * @param     {string}    src
+ * @param     {number}    from
+ * @param     {string}    char      Delimiter character
+ * @param     {number}    length    Delimiter length
+ * @return    {number}    Index of the closing delimiter or -1
+ */
+function findDelimiterClose(src, from, char, length) {
+  let i = from;
+  while (i < src.length) {
+    if (src[i] === '\\') {
+      i += 2;
+    } else if (src[i] === '`') {
+      const run = countRun(src, i);
+      const close = findCodeClose(src, i + run, run);
+      i = close === -1 ? i + run : close + run;
+    } else if (src[i] === char) {
+      const run = countRun(src, i);
+      const closeIndex = i + run - length;
+      const canClose = i > from &&
+        (run === length || run === 3) &&
+        !SPACE_REGEX.test(src[i - 1]) &&
+        !(char === '_' && WORD_REGEX.test(src[i + run] || ''));
+      if (canClose) {
+        return closeIndex;
+      }
+      i += run;
+    } else {
+      i += 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a link starting at an opening bracket, e.g. [text](href "title")
+ *
+ * @param     {string}    src
+ * @param     {number}    index
+ * @return    {Object|null}
+ */
+function parseLink(src, index) {
+  // Find the matching closing bracket
+  let depth = 0;
+  let i = index;
+  for (; i < src.length; i += 1) {
+    if (src[i] === '\\') {
+      i += 1;
+    } else if (src[i] === '[') {
+      depth += 1;
+    } else if (src[i] === ']') {
+      depth -= 1;
+      if (depth === 0) {
+        break;
+      }
+    }
+  }
+  if (depth !== 0 || src[i + 1] !== '(') {
+    return null;
+  }
+  const text = src.slice(index + 1, i);
+
+  // Destination
+  i += 2;
+  while (src[i] === ' ') {
+    i += 1;
+  }
+  let href = '';
+  if (src[i] === '<') {
+    const close = src.indexOf('>', i);
+    if (close === -1) {
+      return null;
+    }
+    href = src.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let parens = 0;
+    const start = i;
+    for (; i < src.length && !SPACE_REGEX.test(src[i]); i += 1) {
+      if (src[i] === '\\') {
+        i += 1;
+      } else if (src[i] === '(') {
+        parens += 1;
+      } else if (src[i] === ')') {
+        if (parens === 0) {
+          break;
+        }
+        parens -= 1;
+      }
+    }
+    href = src.slice(start, i);
+  }
+
+  // Optional title
+  while (src[i] === ' ') {
+    i += 1;
+  }
+  let title;
+  if (src[i] === '"' || src[i] === '\'') {
+    const close = src.indexOf(src[i], i + 1);
+    if (close === -1) {
+      return null;
+    }
+    title = src.slice(i + 1, close);
+    i = close + 1;
+    while (src[i] === ' ') {
+      i += 1;
+    }
+  }
+  if (src[i] !== ')') {
+    return null;
+  }
+
+  return {
+    text,
+    href: href.replace(/\\(.)/g, '$1'),
+    title,
+    end: i + 1
+  };
+}
+
+/**
+ * Split a GFM table row into plain text cells
+ *
+ * @param     {string}    line
+ * @return    {Array<string>}
+ */
+function parseTableRow(line) {
+  const cells = [''];
+  const src = line.trim();
+  for (let i = 0; i < src.length; i += 1) {
+    if (src[i] === '\\' && ESCAPABLE_REGEX.test(src[i + 1] || '')) {
+      cells[cells.length - 1] += src[i + 1];
+      i += 1;
+    } else if (src[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += src[i];
+    }
+  }
+  // Outer pipes are optional
+  if (src[0] === '|') {
+    cells.shift();
+  }
+  if (src.length > 1 && src[src.length - 1] === '|' && src[src.length - 2] !== '\\') {
+    cells.pop();
+  }
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * Parse inline markdown into text and character metadata
+ *
+ * @param     {string}                          src
+ * @param     {Immutable.OrderedSet<string>}    style     Styles applied to the parsed text
+ * @param     {string|null}                     entity    Entity applied to the parsed text
+ * @param     {Object}                          result    Accumulates text and characters
+ * @param     {Function}                        createLink
+ */
+function parseInline(src, style, entity, result, createLink) {
+  // Append plain text
+  const push = (text, textStyle = style) => {
+    result.text += text;
+    for (let c = 0; c < text.length; c += 1) {
+      result.characters.push(CharacterMetadata.create({
+        style: textStyle,
+        entity
+      }));
+    }
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const char = src[i];
+
+    // Backslash escapes
+    if (char === '\\' && ESCAPABLE_REGEX.test(src[i + 1] || '')) {
+      push(src[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    // Inline code
+    if (char === '`') {
+      const run = countRun(src, i);
+      const close = findCodeClose(src, i + run, run);
+      if (close === -1) {
+        push(src.slice(i, i + run));
+        i += run;
+        continue;
+      }
+      let code = src.slice(i + run, close);
+      if (code.length > 2 && code[0] === ' ' && code[code.length - 1] === ' ' && code.trim()) {
+        code = code.slice(1, -1);
+      }
+      push(code, style.add('CODE'));
+      i = close + run;
+      continue;
+    }
+
+    // Links
+    if (char === '[') {
+      const link = parseLink(src, i);
+      if (link) {
+        const entityKey = createLink(link);
+        parseInline(link.text, style, entityKey, result, createLink);
+        i = link.end;
+        continue;
+      }
+    }
+
+    // Underline has no markdown syntax so it uses inline html
+    if (src.startsWith('<u>', i)) {
+      const close = src.indexOf('</u>', i + 3);
+      if (close > i + 3) {
+        parseInline(src.slice(i + 3, close), style.add('UNDERLINE'), entity, result, createLink);
+        i = close + 4;
+        continue;
+      }
+    }
+
+    // Emphasis and strikethrough
+    if (char === '*' || char === '_' || char === '~') {
+      const run = countRun(src, i);
+      const intraword = char === '_' && i > 0 && WORD_REGEX.test(src[i - 1]);
+      const followedBySpace = SPACE_REGEX.test(src[i + run] || ' ');
+      if (!intraword && !followedBySpace) {
+        const candidates = char === '~'
+          ? [[2, 'STRIKETHROUGH']]
+          : [[2, 'BOLD'], [1, 'ITALIC']];
+        const match = candidates
+          .filter(([length]) => run >= length)
+          .map(([length, inlineStyle]) => [length, inlineStyle, findDelimiterClose(src, i + length, char, length)])
+          .find(([, , close]) => close !== -1);
+        if (match) {
+          const [length, inlineStyle, close] = match;
+          parseInline(src.slice(i + length, close), style.add(inlineStyle), entity, result, createLink);
+          i = close + length;
+          continue;
+        }
+      }
+      push(src.slice(i, i + run));
+      i += run;
+      continue;
+    }
+
+    push(char);
+    i += 1;
+  }
+}
+
+/**
+ * Split markdown into block descriptions
+ *
+ * @param     {string}    markdown
+ * @return    {Array<Object>}
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  // Open fenced code block
+  let fence = null;
+  // Block that can receive continuation lines
+  let previous = null;
+  // Indentation of the open list items, used to work out nesting
+  let listIndents = [];
+  // Open table, and whether the next line is its delimiter row
+  let table = null;
+  let skipDelimiter = false;
+
+  const push = (block) => {
+    if (block.type.indexOf('list-item') === -1) {
+      listIndents = [];
+    }
+    blocks.push(Object.assign({
+      depth: 0,
+      data: {}
+    }, block));
+    return blocks[blocks.length - 1];
+  };
+
+  // Join continuation lines with a soft newline
+  const append = (block, text) => {
+    block.text = `${block.text.replace(HARD_BREAK_REGEX, '')}\n${text}`;
+  };
+
+  markdown.replace(/\r\n?/g, '\n').split('\n').forEach((line, index, lines) => {
+    let match;
+
+    // Table rows continue until a line without a pipe
+    if (skipDelimiter) {
+      skipDelimiter = false;
+      return;
+    }
+    if (table && !BLANK_REGEX.test(line) && line.indexOf('|') !== -1) {
+      const columns = table.rows[0].length;
+      const cells = parseTableRow(line).slice(0, columns);
+      table.rows.push(cells.concat(Array(columns - cells.length).fill('')));
+      return;
+    }
+    table = null;
+
+    // Inside a fenced code block everything is literal until the closing fence
+    if (fence) {
+      const trimmed = line.trim();
+      if (trimmed.length >= fence.marker.length && countRun(trimmed, 0) === trimmed.length && trimmed[0] === fence.marker[0]) {
+        fence = null;
+      } else {
+        push({
+          type: 'code-block',
+          text: line.replace(new RegExp(`^ {0,${fence.indent}}`), ''),
+          data: fence.data,
+          code: true
+        });
+      }
+      return;
+    }
+
+    if (BLANK_REGEX.test(line)) {
+      previous = null;
+    } else if ((match = line.match(FENCE_REGEX))) {
+      fence = {
+        indent: match[1].length,
+        marker: match[2],
+        data: match[3] ? { language: match[3] } : {}
+      };
+      previous = null;
+    } else if ((match = line.match(HEADING_REGEX))) {
+      push({
+        type: HEADER_TYPES[match[1].length - 1],
+        text: match[2] || ''
+      });
+      previous = null;
+    } else if ((match = line.match(QUOTE_REGEX))) {
+      if (BLANK_REGEX.test(match[1])) {
+        // An empty quote line separates paragraphs in a quote
+        previous = null;
+      } else if (previous && previous.type === 'blockquote') {
+        append(previous, match[1].trim());
+      } else {
+        previous = push({
+          type: 'blockquote',
+          text: match[1].trim()
+        });
+      }
+    } else if ((match = line.match(UNORDERED_REGEX) || line.match(ORDERED_REGEX))) {
+      const indent = match[1].replace(/\t/g, '    ').length;
+      while (listIndents.length > 0 && listIndents[listIndents.length - 1] >= indent) {
+        listIndents.pop();
+      }
+      previous = push({
+        type: UNORDERED_REGEX.test(line) ? 'unordered-list-item' : 'ordered-list-item',
+        text: match[2].trim(),
+        depth: Math.min(listIndents.length, MAX_DEPTH)
+      });
+      listIndents.push(indent);
+    } else if (!previous && line.indexOf('|') !== -1 && TABLE_DELIMITER_REGEX.test(lines[index + 1] || '') &&
+      parseTableRow(line).length === parseTableRow(lines[index + 1]).length) {
+      // GFM table. Tables without a header row are exported with an empty one.
+      const header = parseTableRow(line);
+      table = {
+        rows: [header],
+        header: header.some(cell => cell !== '')
+      };
+      push({
+        type: 'atomic',
+        text: ' ',
+        table
+      });
+      skipDelimiter = true;
+      previous = null;
+    } else if (!previous && IMAGE_REGEX.test(line) && (match = parseLink(line.trim(), 1)) && match.end === line.trim().length) {
+      // An image on a line of its own becomes an atomic block
+      push({
+        type: 'atomic',
+        text: ' ',
+        image: {
+          src: match.href,
+          alt: match.text.replace(/\\(.)/g, '$1')
+        }
+      });
+    } else if (previous) {
+      // Lazy continuation of a paragraph, quote or list item
+      append(previous, line.trim());
+    } else {
+      previous = push({
+        type: 'unstyled',
+        text: line.trim()
+      });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Convert a markdown string into draft-js content. Supports CommonMark
+ * headings, lists, quotes, fenced code, emphasis, inline code, links, images and
+ * the GFM strikethrough and table extensions.
+ *
+ * @param     {string}    markdown
+ * @return    {ContentState}
+ */
+export default function convertFromMarkdown(markdown) {
+  // Entities are created on the content state as links and images are found
+  let content = ContentState.createFromText('');
+  const createEntity = (type, mutability, data) => {
+    content = content.createEntity(type, mutability, data);
+    return content.getLastCreatedEntityKey();
+  };
+  const createLink = link => createEntity(Entities.Link, 'MUTABLE', {
+    href: link.href
+  });
+
+  const contentBlocks = parseBlocks(markdown).map((block) => {
+    const result = {
+      text: '',
+      characters: []
+    };
+    if (block.code) {
+      result.text = block.text;
+      result.characters = Array(block.text.length).fill(CharacterMetadata.create());
+    } else if (block.image || block.table) {
+      result.text = block.text;
+      result.characters = [CharacterMetadata.create({
+        entity: block.image
+          ? createEntity(Entities.Image, 'IMMUTABLE', block.image)
+          : createEntity(Entities.Table, 'IMMUTABLE', {
+            rows: block.table.header ? block.table.rows : block.table.rows.slice(1),
+            header: block.table.header
+          })
+      })];
+    } else {
+      parseInline(block.text, Immutable.OrderedSet(), null, result, createLink);
+    }
+    return new ContentBlock({
+      key: genKey(),
+      type: block.type,
+      depth: block.depth,
+      text: result.text,
+      characterList: Immutable.List(result.characters),
+      data: Immutable.Map(block.data)
+    });
+  });
+
+  if (contentBlocks.length === 0) {
+    return ContentState.createFromText('');
+  }
+
+  return ContentState.createFromBlockArray(contentBlocks, content.getEntityMap());
+}
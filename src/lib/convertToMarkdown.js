@@ -0,0 +1,319 @@
+import Entities from './Entities';
+
+/**
+ * Markdown used for each header block type
+ * @type    {Object}
+ */
+const HEADER_PREFIXES = {
+  'header-one': '# ',
+  'header-two': '## ',
+  'header-three': '### ',
+  'header-four': '#### ',
+  'header-five': '##### ',
+  'header-six': '###### '
+};
+
+/**
+ * Inline style markers in the order they are opened
+ * @type    {Array<Object>}
+ */
+const STYLE_MARKERS = [
+  {
+    style: 'BOLD',
+    open: '**',
+    close: '**'
+  },
+  {
+    style: 'ITALIC',
+    open: '*',
+    close: '*'
+  },
+  {
+    style: 'STRIKETHROUGH',
+    open: '~~',
+    close: '~~'
+  },
+  {
+    style: 'UNDERLINE',
+    open: '<u>',
+    close: '</u>'
+  }
+];
+
+const LIST_TYPES = ['unordered-list-item', 'ordered-list-item'];
+
+/**
+ * Escape characters that would otherwise be read as inline markdown
+ *
+ * @param     {string}    text
+ * @return    {string}
+ */
+function escapeInline(text) {
+  return text.replace(/[\\`*_~[\]<]/g, '\\$&');
+}
+
+/**
+ * Escape the start of each line so it can't be read as a block marker
+ *
+ * @param     {string}    text
+ * @return    {string}
+ */
+function escapeLineStarts(text) {
+  return text
+    .split('\n')
+    .map(line => line
+      .replace(/^(\s*)(#{1,6}(?:\s|$)|[>+-]\s|[>]$)/, '$1\\$2')
+      .replace(/^(\s*\d+)([.)]\s)/, '$1\\$2')
+    )
+    .join('\n');
+}
+
+/**
+ * Wrap text in a code span using a backtick run longer than any inside it
+ *
+ * @param     {string}    text
+ * @return    {string}
+ */
+function codeSpan(text) {
+  const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const fence = '`'.repeat(longest + 1);
+  const padding = longest > 0 ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Convert a slice of a block to inline markdown, opening and closing style
+ * markers as the styles change so adjacent ranges nest correctly
+ *
+ * @param     {import('draft-js').ContentBlock}    block
+ * @param     {number}    start
+ * @param     {number}    end
+ * @return    {string}
+ */
+function convertStyledText(block, start, end) {
+  const text = block.getText();
+  let result = '';
+  let stack = [];
+
+  // Close markers before any trailing whitespace so they stay flanking
+  const close = (markers) => {
+    if (markers.length === 0) {
+      return;
+    }
+    const trailing = result.match(/\s*$/)[0];
+    result = result.slice(0, result.length - trailing.length) +
+      markers.reverse().map(marker => marker.close).join('') +
+      trailing;
+  };
+
+  let offset = start;
+  while (offset < end) {
+    // Find the range sharing the same styles
+    const style = block.getInlineStyleAt(offset);
+    let rangeEnd = offset + 1;
+    while (rangeEnd < end && block.getInlineStyleAt(rangeEnd).equals(style)) {
+      rangeEnd += 1;
+    }
+    const rangeText = text.slice(offset, rangeEnd);
+    offset = rangeEnd;
+
+    // Whitespace doesn't change the open markers
+    if (!rangeText.trim() && !style.has('CODE')) {
+      result += rangeText;
+      continue;
+    }
+
+    // Close markers that are no longer active
+    const keep = stack.findIndex(marker => !style.has(marker.style));
+    if (keep !== -1) {
+      close(stack.slice(keep));
+      stack = stack.slice(0, keep);
+    }
+
+    // Open new markers after any leading whitespace
+    const opening = STYLE_MARKERS.filter(marker => style.has(marker.style) && stack.indexOf(marker) === -1);
+    const leading = rangeText.match(/^\s*/)[0];
+    const content = rangeText.slice(leading.length);
+    stack = stack.concat(opening);
+    result += leading + opening.map(marker => marker.open).join('') +
+      (style.has('CODE') ? codeSpan(content) : escapeInline(content));
+  }
+
+  close(stack);
+  return result;
+}
+
+/**
+ * Convert a block's text, styles and entities to inline markdown
+ *
+ * @param     {Object}    options
+ * @param     {import('draft-js').ContentBlock}    block
+ * @param     {import('draft-js').ContentState}    content
+ * @return    {string}
+ */
+function convertBlockText(options, block, content) {
+  let result = '';
+  block.findEntityRanges(
+    () => true,
+    (start, end) => {
+      const entityKey = block.getEntityAt(start);
+      const text = convertStyledText(block, start, end);
+      if (entityKey !== null) {
+        const entity = content.getEntity(entityKey);
+        result += options.entityToMarkdown(entity, text);
+      } else {
+        result += text;
+      }
+    }
+  );
+  return result;
+}
+
+/**
+ * Wrap a url in angle brackets if it would otherwise end the link early
+ *
+ * @param     {string}    url
+ * @return    {string}
+ */
+function markdownUrl(url) {
+  return /[\s()<>]/.test(url) ? `<${url}>` : url;
+}
+
+/**
+ * Convert table data to a GFM table. GFM tables always have a header row so
+ * an empty one is added if needed.
+ *
+ * @param     {Object}    table
+ * @return    {string}
+ */
+function tableToMarkdown(table) {
+  const rows = table.header ? table.rows : [table.rows[0].map(() => '')].concat(table.rows);
+  const row = cells => `| ${cells.map(cell => escapeInline(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [row(rows[0]), `| ${rows[0].map(() => '---').join(' | ')} |`]
+    .concat(rows.slice(1).map(row))
+    .join('\n');
+}
+
+/**
+ * Default entity conversion. Links and images use inline syntax while mentions
+ * and hashtags fall back to the text they were matched from.
+ *
+ * @param     {import('draft-js').EntityInstance}    entity
+ * @param     {string}    text
+ * @return    {string}
+ */
+function entityToMarkdown(entity, text) {
+  const type = entity.getType();
+  const data = entity.getData();
+  if (type === Entities.Link) {
+    return `[${text}](${markdownUrl(data.href)})`;
+  }
+  if (type === Entities.Image) {
+    return `![${escapeInline(data.alt || '')}](${markdownUrl(data.src)})`;
+  }
+  if (type === Entities.Table) {
+    return tableToMarkdown(data);
+  }
+  if (type === Entities.Mention || type === Entities.Hashtag) {
+    return escapeInline(data.text);
+  }
+  return text;
+}
+
+/**
+ * Convert a content state to markdown
+ * @param {Object} options
+ * @param {Function} options.entityToMarkdown
+ * @param {import('draft-js').ContentState} content
+ * @return {string}
+ */
+export default function convertToMarkdown(options, content) {
+  // Options
+  options = Object.assign({
+    entityToMarkdown
+  }, options);
+
+  const lines = [];
+  // Ordered list counters by depth
+  let counters = [];
+  // Fence of the open code block
+  let fence = null;
+  // Type of the outermost list so a change in type starts a new list
+  let listType = null;
+  let previousType = null;
+
+  content.getBlocksAsArray().forEach((block, index, blocks) => {
+    const type = block.getType();
+    const depth = block.getDepth();
+    const isList = LIST_TYPES.indexOf(type) !== -1;
+
+    // Separate blocks. Lists, quotes and code keep consecutive lines together.
+    if (previousType !== null) {
+      if (type === 'code-block' && previousType === 'code-block') {
+        // Same fence
+      } else if (isList && LIST_TYPES.indexOf(previousType) !== -1 && (depth > 0 || type === listType)) {
+        // Same list
+      } else if (type === 'blockquote' && previousType === 'blockquote') {
+        lines.push('>');
+      } else {
+        if (fence) {
+          lines.push(fence);
+          fence = null;
+        }
+        lines.push('');
+      }
+    }
+    previousType = type;
+
+    if (type === 'code-block') {
+      if (!fence) {
+        // Pick a fence longer than any backtick run in the code
+        let longest = 2;
+        for (let i = index; i < blocks.length && blocks[i].getType() === 'code-block'; i += 1) {
+          longest = (blocks[i].getText().match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), longest);
+        }
+        fence = '`'.repeat(longest + 1);
+        lines.push(fence + (block.getData().get('language') || ''));
+      }
+      lines.push(block.getText());
+      return;
+    }
+
+    const text = escapeLineStarts(convertBlockText(options, block, content));
+
+    if (isList) {
+      if (depth === 0) {
+        listType = type;
+      }
+      // Nested lists are indented four spaces per level
+      const indent = '    '.repeat(depth);
+      counters = counters.slice(0, depth + 1);
+      let marker = '-';
+      if (type === 'ordered-list-item') {
+        counters[depth] = (counters[depth] || 0) + 1;
+        marker = `${counters[depth]}.`;
+      } else {
+        counters[depth] = 0;
+      }
+      const continuation = indent + ' '.repeat(marker.length + 1);
+      lines.push(`${indent}${marker} ${text.split('\n').join(`\n${continuation}`)}`);
+    } else {
+      counters = [];
+      listType = null;
+      if (type === 'blockquote') {
+        lines.push(text.split('\n').map(line => `> ${line}`).join('\n'));
+      } else if (HEADER_PREFIXES[type]) {
+        lines.push(HEADER_PREFIXES[type] + text.replace(/\n/g, ' '));
+      } else {
+        lines.push(text);
+      }
+    }
+  });
+
+  // Close a trailing fence
+  if (fence) {
+    lines.push(fence);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,26 @@
+import { ContentBlock, ContentState } from 'draft-js';
+
+/**
+ * Create a strategy that finds the entities of a type and returns them in
+ * the callback. Used for `{entityType, component}` decorators.
+ *
+ * @param    {string}    entityType
+ * @return   {Function}
+ */
+export default function createEntityStrategy(entityType) {
+  /**
+   * @param    {ContentBlock}      contentBlock
+   * @param    {Function}          callback
+   * @param    {ContentState}      contentState
+   */
+  return function(contentBlock, callback, contentState) {
+    // Find & Apply Entities
+    contentBlock.findEntityRanges(character => {
+      const entityKey = character.getEntity();
+      return (
+        entityKey !== null &&
+        contentState.getEntity(entityKey).getType() === entityType
+      );
+    }, callback);
+  };
+}
@@ -0,0 +1,32 @@
+import { createFindRegex, findMatchesInBlock } from '../find';
+
+/**
+ * Create a strategy that finds the matches of a search. The current match
+ * and the rest get their own decorators so they can look different.
+ *
+ * @param    {Object|null}    find       The search, or null when the find bar is closed
+ * @param    {boolean}        current    Find the current match instead of the rest
+ * @return   {Function}
+ */
+export default function createFindStrategy(find, current) {
+  const regex = createFindRegex(find);
+
+  /**
+   * @param    {ContentBlock}      contentBlock
+   * @param    {Function}          callback
+   * @param    {ContentState}      contentState
+   */
+  return function(contentBlock, callback, contentState) {
+    if (regex === null) {
+      return;
+    }
+    findMatchesInBlock(contentBlock, regex, find.wholeWord, contentState).forEach((match) => {
+      const isCurrent = Boolean(find.current) &&
+        find.current.blockKey === match.blockKey &&
+        find.current.start === match.start;
+      if (isCurrent === current) {
+        callback(match.start, match.end);
+      }
+    });
+  };
+}
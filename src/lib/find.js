@@ -0,0 +1,349 @@
+/**
+ * Find and replace. A search is an object with the `query`, the
+ * `replacement` and the `caseSensitive`, `wholeWord` and `regex` options.
+ * Matches are `{ blockKey, start, end, result }` in document order, where
+ * `result` is what the regex's `exec` returned, captures included.
+ */
+
+import Immutable from 'immutable';
+import { EditorState, Modifier, SelectionState, CharacterMetadata } from 'draft-js';
+
+/**
+ * An empty search
+ * @type    {Object}
+ */
+export const FindDefaults = {
+  query: '',
+  replacement: '',
+  caseSensitive: false,
+  wholeWord: false,
+  regex: false
+};
+
+/**
+ * Characters that make up words for the whole word option
+ * @type    {RegExp}
+ */
+const WORD_CHARACTER = /[\w\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+
+/**
+ * Escape text so it matches itself in a regex
+ *
+ * @param     {string}    text
+ * @return    {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create the regex for a search
+ *
+ * @param     {Object}    find
+ * @return    {RegExp|null}    Null when there's nothing to find or the
+ *                             regex isn't valid
+ */
+export function createFindRegex(find) {
+  if (!find || !find.query) {
+    return null;
+  }
+  try {
+    return new RegExp(find.regex ? find.query : escapeRegExp(find.query), find.caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if the search can be run
+ *
+ * @param     {Object}    find
+ * @return    {string|null}    What's wrong with it or null if it's fine
+ */
+export function getFindError(find) {
+  if (find && find.regex && find.query && createFindRegex(find) === null) {
+    return 'Invalid regular expression';
+  }
+  return null;
+}
+
+/**
+ * Check if a match isn't part of a longer word
+ *
+ * @param     {string}    text
+ * @param     {number}    start
+ * @param     {number}    end
+ * @return    {boolean}
+ */
+function isWholeWord(text, start, end) {
+  return (start === 0 || !WORD_CHARACTER.test(text[start - 1])) &&
+    (end === text.length || !WORD_CHARACTER.test(text[end]));
+}
+
+/**
+ * Check if a match covers any of an entity that can't be edited as text, e.g.
+ * a mention, which would be left broken by replacing part of it
+ *
+ * @param     {ContentState}    contentState
+ * @param     {ContentBlock}    block
+ * @param     {number}          start
+ * @param     {number}          end
+ * @return    {boolean}
+ */
+function coversImmutableEntity(contentState, block, start, end) {
+  for (let offset = start; offset < end; offset++) {
+    const entityKey = block.getEntityAt(offset);
+    if (entityKey !== null && contentState.getEntity(entityKey).getMutability() !== 'MUTABLE') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the matches in a block. Images and tables, and mentions and the like,
+ * are left out since their text can't be replaced.
+ *
+ * @param     {ContentBlock}    block
+ * @param     {RegExp}          regex           From createFindRegex
+ * @param     {boolean}         wholeWord
+ * @param     {ContentState}    contentState    With the block's entities
+ * @return    {Array<Object>}
+ */
+export function findMatchesInBlock(block, regex, wholeWord, contentState) {
+  const matches = [];
+  if (block.getType() === 'atomic') {
+    return matches;
+  }
+  const text = block.getText();
+  regex.lastIndex = 0;
+  let match = regex.exec(text);
+  while (match !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (start === end || (wholeWord && !isWholeWord(text, start, end)) ||
+        coversImmutableEntity(contentState, block, start, end)) {
+      // Try again from the next character, the match could start there
+      regex.lastIndex = start + 1;
+    } else {
+      matches.push({
+        blockKey: block.getKey(),
+        start,
+        end,
+        result: match
+      });
+    }
+    match = regex.exec(text);
+  }
+  return matches;
+}
+
+/**
+ * Find the matches of a search in the content
+ *
+ * @param     {ContentState}    contentState
+ * @param     {Object}          find
+ * @return    {Array<Object>}
+ */
+export function findMatches(contentState, find) {
+  const regex = createFindRegex(find);
+  if (regex === null) {
+    return [];
+  }
+  return contentState.getBlocksAsArray()
+    .reduce((matches, block) => matches.concat(findMatchesInBlock(block, regex, find.wholeWord, contentState)), []);
+}
+
+/**
+ * Find a match in a list of matches
+ *
+ * @param     {Array<Object>}    matches
+ * @param     {Object|null}      match
+ * @return    {number}           -1 if it isn't there
+ */
+export function getMatchIndex(matches, match) {
+  if (!match) {
+    return -1;
+  }
+  for (let index = 0; index < matches.length; index++) {
+    if (matches[index].blockKey === match.blockKey && matches[index].start === match.start) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Get the first match at or after a position, wrapping around to the first
+ *
+ * @param     {ContentState}     contentState
+ * @param     {Array<Object>}    matches
+ * @param     {string}           blockKey
+ * @param     {number}           offset
+ * @return    {Object|null}
+ */
+export function getMatchAfter(contentState, matches, blockKey, offset) {
+  const blockKeys = contentState.getBlockMap().keySeq().toList();
+  const blockIndex = blockKeys.indexOf(blockKey);
+  const after = matches.find((match) => {
+    const matchBlockIndex = blockKeys.indexOf(match.blockKey);
+    return matchBlockIndex > blockIndex || (matchBlockIndex === blockIndex && match.start >= offset);
+  });
+  return after || matches[0] || null;
+}
+
+/**
+ * Select a match
+ *
+ * @param     {Object}    match
+ * @return    {SelectionState}
+ */
+export function getMatchSelection(match) {
+  return new SelectionState({
+    anchorKey: match.blockKey,
+    anchorOffset: match.start,
+    focusKey: match.blockKey,
+    focusOffset: match.end
+  });
+}
+
+/**
+ * Get a capture group of a match
+ *
+ * @param     {Array}     result    From `exec`
+ * @param     {number}    index
+ * @return    {string|null}    Null when the regex has no such group
+ */
+function getGroup(result, index) {
+  return index > 0 && index < result.length ? result[index] || '' : null;
+}
+
+/**
+ * Expand a numbered group of a replacement, e.g. `$1`
+ *
+ * @param     {Array}     result     From `exec`
+ * @param     {string}    pattern    The whole pattern, kept when it's unknown
+ * @param     {string}    token      The group's number
+ * @return    {string}
+ */
+function expandGroup(result, pattern, token) {
+  const group = getGroup(result, parseInt(token, 10));
+  if (group !== null) {
+    return group;
+  }
+  // $12 is the first group and a 2 when there's no twelfth one
+  const first = token.length > 1 ? getGroup(result, parseInt(token[0], 10)) : null;
+  return first !== null ? first + token[1] : pattern;
+}
+
+/**
+ * Expand a `$` pattern of a replacement, e.g. `$&`, from a match
+ *
+ * @param     {Object}    match      From findMatches
+ * @param     {string}    pattern    The whole pattern, kept when it's unknown
+ * @param     {string}    token      What follows the `$`
+ * @param     {string}    [name]     The name of a `$<name>` group
+ * @return    {string}
+ */
+function expandPattern(match, pattern, token, name) {
+  const result = match.result;
+  const special = {
+    '$': () => '$',
+    '&': () => result[0],
+    '`': () => result.input.slice(0, match.start),
+    '\'': () => result.input.slice(match.end)
+  };
+  if (special[token]) {
+    return special[token]();
+  } else if (typeof name === 'string') {
+    const groups = result.groups || {};
+    return name in groups ? groups[name] || '' : pattern;
+  }
+  return expandGroup(result, pattern, token);
+}
+
+/**
+ * Get the text a match is replaced with. Regex searches can use `$&`, `$1`,
+ * `$<name>` and the like in their replacement, like `String#replace`. They're
+ * expanded from the match's own `exec` result so lookarounds and anchors
+ * keep the context of the whole block.
+ *
+ * @param     {Object}    match      From findMatches
+ * @param     {Object}    find
+ * @return    {string}
+ */
+export function getReplacementText(match, find) {
+  if (!find.regex || !match.result) {
+    return find.replacement;
+  }
+  return find.replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g,
+    (pattern, token, name) => expandPattern(match, pattern, token, name));
+}
+
+/**
+ * Replace a match, keeping the inline styles and links of the text it
+ * replaces. Each replaced character gets the style and link of the matched
+ * character at the same place, e.g. the bold half of a match stays bold and
+ * only the linked half stays linked.
+ *
+ * @param     {ContentState}    contentState
+ * @param     {Object}          match
+ * @param     {Object}          find
+ * @return    {ContentState}
+ */
+function replaceMatch(contentState, match, find) {
+  const block = contentState.getBlockForKey(match.blockKey);
+  const length = match.end - match.start;
+  // Matches never cover mentions and the like, so any entities are links
+  const characters = block.getCharacterList().slice(match.start, match.end).toArray();
+  const isSame = character => Immutable.is(character.getStyle(), characters[0].getStyle()) &&
+    character.getEntity() === characters[0].getEntity();
+
+  const text = getReplacementText(match, find);
+  let newContentState = Modifier.replaceText(contentState, getMatchSelection(match), text,
+    characters[0].getStyle(), characters[0].getEntity());
+  if (text.length > 1 && !characters.every(isSame)) {
+    const newBlock = newContentState.getBlockForKey(match.blockKey);
+    const characterList = newBlock.getCharacterList().map((character, offset) => {
+      if (offset < match.start || offset >= match.start + text.length) {
+        return character;
+      }
+      const matched = characters[Math.floor(((offset - match.start) * length) / text.length)];
+      return CharacterMetadata.create({
+        style: matched.getStyle(),
+        entity: matched.getEntity()
+      });
+    });
+    newContentState = newContentState.merge({
+      blockMap: newContentState.getBlockMap().set(match.blockKey, newBlock.set('characterList', characterList))
+    });
+  }
+  return newContentState;
+}
+
+/**
+ * Replace matches as a single change, so one undo brings them all back
+ *
+ * @param     {EditorState}      editorState
+ * @param     {Array<Object>}    matches
+ * @param     {Object}           find
+ * @return    {EditorState}
+ */
+export function replaceMatches(editorState, matches, find) {
+  if (matches.length === 0) {
+    return editorState;
+  }
+  // Last first so the offsets of the ones before stay the same
+  const contentState = matches
+    .slice()
+    .reverse()
+    .reduce((content, match) => replaceMatch(content, match, find), editorState.getCurrentContent());
+
+  // Put the caret after the first replacement
+  const first = matches[0];
+  const caret = first.start + getReplacementText(first, find).length;
+  return EditorState.push(editorState, contentState.merge({
+    selectionBefore: editorState.getSelection(),
+    selectionAfter: getMatchSelection({ blockKey: first.blockKey, start: caret, end: caret })
+  }), 'insert-fragment');
+}
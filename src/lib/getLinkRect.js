@@ -0,0 +1,30 @@
+import getSelectionRect from './getSelectionRect';
+
+/**
+ * Get the bounding rect of the link the caret is in, in viewport
+ * coordinates, or of the caret when it isn't rendered as a link.
+ *
+ * @param     {Element}    root    Only use links inside this element
+ * @return    {Object|null}        Null when there's no visible selection
+ */
+export default function getLinkRect(root) {
+  if (!root || typeof window === 'undefined' || typeof window.getSelection !== 'function') {
+    return null;
+  }
+  const selection = window.getSelection();
+  let node = selection.rangeCount > 0 ? selection.focusNode : null;
+  while (node && node !== root && node.nodeName !== 'A') {
+    node = node.parentNode;
+  }
+  if (!node || node === root || !root.contains(node)) {
+    return getSelectionRect(root, 0);
+  }
+
+  const rect = node.getBoundingClientRect();
+  return {
+    top: rect.top,
+    bottom: rect.bottom,
+    left: rect.left,
+    right: rect.right
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Get the bounding rect of the text before the caret, e.g. the "@ri" being
+ * completed, in viewport coordinates.
+ *
+ * @param     {Element}    root      Only use selections inside this element
+ * @param     {number}     length    Number of characters before the caret to include
+ * @return    {Object|null}          Null when there's no visible selection
+ */
+export default function getSelectionRect(root, length) {
+  if (!root || typeof window === 'undefined' || typeof window.getSelection !== 'function') {
+    return null;
+  }
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0 || !root.contains(selection.focusNode)) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0).cloneRange();
+  range.collapse(false);
+  // Decorated text may be split up, so only go back within the caret's text
+  if (length > 0 && range.endContainer.nodeType === 3 && range.endOffset >= length) {
+    range.setStart(range.endContainer, range.endOffset - length);
+  }
+
+  const rect = typeof range.getBoundingClientRect === 'function' ? range.getBoundingClientRect() : null;
+  if (!rect || (rect.top === 0 && rect.bottom === 0 && rect.left === 0 && rect.right === 0)) {
+    return null;
+  }
+  return {
+    top: rect.top,
+    bottom: rect.bottom,
+    left: rect.left,
+    right: rect.right
+  };
+}
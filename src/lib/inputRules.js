@@ -0,0 +1,160 @@
+/**
+ * Markdown style shortcuts applied as the user types, e.g. `# ` makes a
+ * heading and `**bold**` makes bold text. Each rule is applied as a single
+ * change so one undo brings back the typed markdown.
+ */
+
+import { EditorState, Modifier } from 'draft-js';
+
+/**
+ * Block rules, matched against the text before the caret when it's at the
+ * start of an unstyled block
+ * @type    {Array}
+ */
+const BLOCK_RULES = [
+  { pattern: /^(#{1,6}) $/, blockType: match => ['header-one', 'header-two', 'header-three', 'header-four', 'header-five', 'header-six'][match[1].length - 1] },
+  { pattern: /^[-*+] $/, blockType: () => 'unordered-list-item' },
+  { pattern: /^\d+\. $/, blockType: () => 'ordered-list-item' },
+  { pattern: /^> $/, blockType: () => 'blockquote' },
+  { pattern: /^```$/, blockType: () => 'code-block' }
+];
+
+/**
+ * Inline rules, matched against the text before the caret. `marker` is the
+ * length of the markdown on each side of the text.
+ * @type    {Array}
+ */
+const INLINE_RULES = [
+  { pattern: /(\*\*)([^*\s](?:[^*]*[^*\s])?)\*\*$/, marker: 2, style: 'BOLD' },
+  { pattern: /(__)([^_\s](?:[^_]*[^_\s])?)__$/, marker: 2, style: 'BOLD' },
+  { pattern: /(~~)([^~\s](?:[^~]*[^~\s])?)~~$/, marker: 2, style: 'STRIKETHROUGH' },
+  { pattern: /(?:^|[^*])(\*)([^*\s](?:[^*]*[^*\s])?)\*$/, marker: 1, style: 'ITALIC' },
+  { pattern: /(?:^|[^_\w])(_)([^_\s](?:[^_]*[^_\s])?)_$/, marker: 1, style: 'ITALIC' },
+  { pattern: /(`)([^`]+)`$/, marker: 1, style: 'CODE' }
+];
+
+/**
+ * Select part of the block with the caret, keeping its focus
+ *
+ * @param     {SelectionState}    selectionState    The caret
+ * @param     {number}            start
+ * @param     {number}            end
+ * @return    {SelectionState}
+ */
+function selectRange(selectionState, start, end) {
+  return selectionState.merge({
+    anchorOffset: start,
+    focusOffset: end,
+    isBackward: false
+  });
+}
+
+/**
+ * Turn the markdown at the start of a block into its block type
+ *
+ * @param     {EditorState}     editorState
+ * @param     {ContentBlock}    block
+ * @param     {string}          textBefore    Block text before the caret
+ * @param     {Object}          options
+ * @return    {EditorState|null}
+ */
+function applyBlockRule(editorState, block, textBefore, options) {
+  if (!options.allowBlock || block.getType() !== 'unstyled') {
+    return null;
+  }
+  let blockType = null;
+  BLOCK_RULES.some((rule) => {
+    const match = textBefore.match(rule.pattern);
+    blockType = match ? rule.blockType(match) : null;
+    return blockType !== null;
+  });
+  if (blockType === null || !options.blockTypes.has(blockType)) {
+    return null;
+  }
+
+  const selectionState = editorState.getSelection();
+  let contentState = Modifier.removeRange(editorState.getCurrentContent(), selectRange(selectionState, 0, textBefore.length), 'backward');
+  contentState = Modifier.setBlockType(contentState, selectRange(selectionState, 0, 0), blockType);
+  return EditorState.push(editorState, contentState, 'change-block-type');
+}
+
+/**
+ * Turn markdown ending at the caret into an inline style
+ *
+ * @param     {EditorState}     editorState
+ * @param     {ContentBlock}    block
+ * @param     {string}          textBefore    Block text before the caret
+ * @param     {Object}          options
+ * @return    {EditorState|null}
+ */
+function applyInlineRule(editorState, block, textBefore, options) {
+  if (block.getType() === 'code-block') {
+    return null;
+  }
+  let rule = null;
+  let match = null;
+  INLINE_RULES.some((inlineRule) => {
+    match = options.inlineStyles.has(inlineRule.style) ? textBefore.match(inlineRule.pattern) : null;
+    rule = inlineRule;
+    return match !== null;
+  });
+  if (match === null) {
+    return null;
+  }
+
+  const selectionState = editorState.getSelection();
+  const end = textBefore.length;
+  const start = end - match[2].length - (rule.marker * 2);
+  // Leave links and mentions alone
+  for (let offset = start; offset < end; offset++) {
+    if (block.getEntityAt(offset) !== null) {
+      return null;
+    }
+  }
+
+  // Remove the closing marker first so the offsets of the opening one stay
+  let contentState = editorState.getCurrentContent();
+  contentState = Modifier.removeRange(contentState, selectRange(selectionState, end - rule.marker, end), 'backward');
+  contentState = Modifier.removeRange(contentState, selectRange(selectionState, start, start + rule.marker), 'backward');
+  const textEnd = start + match[2].length;
+  contentState = Modifier.applyInlineStyle(contentState, selectRange(selectionState, start, textEnd), rule.style);
+  contentState = contentState.merge({
+    selectionAfter: selectRange(selectionState, textEnd, textEnd)
+  });
+
+  // Keep typing without the style
+  const newEditorState = EditorState.push(editorState, contentState, 'change-inline-style');
+  return EditorState.setInlineStyleOverride(newEditorState, newEditorState.getCurrentInlineStyle().remove(rule.style));
+}
+
+/**
+ * Apply the input rules after the user typed a character
+ *
+ * @param     {EditorState}      editorState
+ * @param     {EditorState}      previousEditorState
+ * @param     {Object}           options
+ * @param     {Immutable.Set}    options.blockTypes      Block types that may be created
+ * @param     {Immutable.Set}    options.inlineStyles    Inline styles that may be applied
+ * @param     {boolean}          options.allowBlock      False when the editor is inline only
+ * @return    {EditorState}
+ */
+export function applyInputRules(editorState, previousEditorState, options) {
+  const selectionState = editorState.getSelection();
+  if (editorState.getLastChangeType() !== 'insert-characters' || !selectionState.isCollapsed() ||
+      !previousEditorState || previousEditorState.getCurrentContent() === editorState.getCurrentContent()) {
+    return editorState;
+  }
+
+  // Only when a single character was typed, not when text was pasted
+  const blockKey = selectionState.getAnchorKey();
+  const block = editorState.getCurrentContent().getBlockForKey(blockKey);
+  const previousBlock = previousEditorState.getCurrentContent().getBlockForKey(blockKey);
+  if (!block || !previousBlock || block.getLength() !== previousBlock.getLength() + 1) {
+    return editorState;
+  }
+
+  const textBefore = block.getText().slice(0, selectionState.getAnchorOffset());
+  return applyBlockRule(editorState, block, textBefore, options) ||
+    applyInlineRule(editorState, block, textBefore, options) ||
+    editorState;
+}
@@ -0,0 +1,250 @@
+/**
+ * Keyboard shortcuts map key combos, e.g. 'Mod+Shift+X', to editor commands.
+ * `Mod` is Cmd on a Mac and Ctrl everywhere else. Besides the draft-js
+ * commands, e.g. 'bold' or 'undo', the editor understands:
+ *
+ * - 'inline-style:<STYLE>' toggles an inline style, e.g. 'inline-style:STRIKETHROUGH'
+ * - 'block-type:<type>' toggles a block type, e.g. 'block-type:header-one'
+ * - 'link' adds or edits the link at the selection
+ * - 'find' opens the find bar
+ * - 'soft-newline' adds a line break without starting a new block
+ *
+ * Any other command is passed to the plugins' `handleKeyCommand`.
+ */
+
+import Immutable from 'immutable';
+import { RichUtils } from 'draft-js';
+
+/**
+ * Shortcuts the editor has unless `defaultKeyBindings` is false
+ * @type    {Immutable.Map}
+ */
+export const DefaultKeyBindings = Immutable.Map({
+  'Mod+B': 'bold',
+  'Mod+I': 'italic',
+  'Mod+U': 'underline',
+  'Mod+Shift+X': 'inline-style:STRIKETHROUGH',
+  'Mod+E': 'inline-style:CODE',
+  'Mod+K': 'link',
+  'Mod+F': 'find',
+  'Mod+Alt+1': 'block-type:header-one',
+  'Mod+Alt+2': 'block-type:header-two',
+  'Mod+Alt+3': 'block-type:header-three',
+  'Mod+Alt+0': 'block-type:unstyled',
+  'Mod+Shift+7': 'block-type:ordered-list-item',
+  'Mod+Shift+8': 'block-type:unordered-list-item',
+  'Mod+Shift+9': 'block-type:blockquote',
+  'Shift+Enter': 'soft-newline'
+});
+
+/**
+ * Formatting commands draft-js binds itself, dropped along with the defaults
+ * @type    {Array<string>}
+ */
+const DRAFT_FORMATTING_COMMANDS = ['bold', 'italic', 'underline', 'code'];
+
+/**
+ * Key codes of named keys
+ * @type    {Object}
+ */
+const KEY_CODES = {
+  backspace: 8,
+  tab: 9,
+  enter: 13,
+  escape: 27,
+  space: 32,
+  arrowleft: 37,
+  arrowup: 38,
+  arrowright: 39,
+  arrowdown: 40,
+  delete: 46
+};
+
+/**
+ * Whether we're on a Mac, where Mod is Cmd
+ * @type    {boolean}
+ */
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPod|iPhone|iPad/.test(navigator.platform);
+
+/**
+ * Split a key combo into its key and modifiers
+ *
+ * @param     {string}     combo      e.g. 'Mod+Shift+X'
+ * @param     {boolean}    [mac]
+ * @return    {Object}
+ */
+export function parseKeyCombo(combo, mac = IS_MAC) {
+  const parts = combo.split('+').map(part => part.trim().toLowerCase());
+  const key = parts.pop();
+  const modifiers = {
+    ctrlKey: false,
+    metaKey: false,
+    altKey: false,
+    shiftKey: false
+  };
+  if (!key) {
+    throw new Error(`Missing key in key binding "${combo}"`);
+  }
+  parts.forEach((modifier) => {
+    switch (modifier) {
+    case 'mod':
+      modifiers[mac ? 'metaKey' : 'ctrlKey'] = true;
+      break;
+    case 'ctrl':
+    case 'control':
+      modifiers.ctrlKey = true;
+      break;
+    case 'cmd':
+    case 'meta':
+      modifiers.metaKey = true;
+      break;
+    case 'alt':
+    case 'option':
+      modifiers.altKey = true;
+      break;
+    case 'shift':
+      modifiers.shiftKey = true;
+      break;
+    default:
+      throw new Error(`Unknown modifier "${modifier}" in key binding "${combo}"`);
+    }
+  });
+  return Object.assign({ key }, modifiers);
+}
+
+/**
+ * Get the key code of a key. Letters and digits are matched by key code so
+ * Shift and Alt, which change `event.key`, don't get in the way.
+ *
+ * @param     {string}    key    Lower case
+ * @return    {number|null}
+ */
+function getKeyCode(key) {
+  if (/^[a-z0-9]$/.test(key)) {
+    return key.toUpperCase().charCodeAt(0);
+  }
+  return KEY_CODES[key] || null;
+}
+
+/**
+ * Check if a keyboard event matches a key combo
+ *
+ * @param     {Object}     expected    From parseKeyCombo
+ * @param     {Event}      event
+ * @return    {boolean}
+ */
+export function matchesKeyCombo(expected, event) {
+  const modifiersMatch = ['ctrlKey', 'metaKey', 'altKey', 'shiftKey']
+    .every(modifier => Boolean(event[modifier]) === expected[modifier]);
+  if (!modifiersMatch) {
+    return false;
+  }
+  const keyCode = getKeyCode(expected.key);
+  return keyCode !== null
+    ? event.keyCode === keyCode
+    : typeof event.key === 'string' && event.key.toLowerCase() === expected.key;
+}
+
+/**
+ * Check if a default binding's style or block type is enabled in the editor
+ *
+ * @param     {string}    command
+ * @param     {Object}    props
+ * @return    {boolean}
+ */
+function isEnabled(command, props) {
+  if (command.indexOf('inline-style:') === 0) {
+    return props.inlineStyles.has(command.slice('inline-style:'.length));
+  } else if (command.indexOf('block-type:') === 0) {
+    const blockType = command.slice('block-type:'.length);
+    return blockType === 'unstyled' || props.blockTypes.has(blockType);
+  }
+  return true;
+}
+
+/**
+ * Parse a key combo, warning about and skipping ones we can't make sense of
+ * rather than failing on every key press
+ *
+ * @param     {string}     combo
+ * @param     {boolean}    mac
+ * @return    {Object|null}
+ */
+function parseBinding(combo, mac) {
+  try {
+    return parseKeyCombo(combo, mac);
+  } catch (error) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.warn(error.message); // eslint-disable-line no-console
+    }
+    return null;
+  }
+}
+
+/**
+ * Get the key bindings for the editor's props, parsed once so key presses
+ * only have to compare them. Defaults for styles and block types the editor
+ * doesn't have are left out. Bindings set to null are kept so the key does
+ * nothing, e.g. to turn off Mod+B.
+ *
+ * @param     {Object}     props
+ * @param     {boolean}    [mac]
+ * @return    {Immutable.List}    Of `{ combo, command, keys }`
+ */
+export function getKeyBindings(props, mac = IS_MAC) {
+  const defaults = props.defaultKeyBindings
+    ? DefaultKeyBindings.filter(command => isEnabled(command, props))
+    : Immutable.Map();
+  return defaults
+    .merge(props.keyBindings || Immutable.Map())
+    .filter(command => command === null || (typeof command === 'string' && command !== ''))
+    .map((command, combo) => ({
+      combo,
+      command,
+      keys: parseBinding(combo, mac)
+    }))
+    .toList()
+    .filter(binding => binding.keys !== null);
+}
+
+/**
+ * Find the command bound to a keyboard event
+ *
+ * @param     {Immutable.List}    keyBindings    From getKeyBindings
+ * @param     {Event}             event
+ * @return    {string|null|undefined}    Null when the key is turned off and
+ *                                       undefined when it isn't bound
+ */
+export function findKeyCommand(keyBindings, event) {
+  const binding = keyBindings.find(item => matchesKeyCombo(item.keys, event));
+  return binding ? binding.command : void 0;
+}
+
+/**
+ * Check if a draft-js default binding should be kept
+ *
+ * @param     {string|null}    command
+ * @param     {Object}         props
+ * @return    {boolean}
+ */
+export function keepDraftCommand(command, props) {
+  return props.defaultKeyBindings || DRAFT_FORMATTING_COMMANDS.indexOf(command) === -1;
+}
+
+/**
+ * Run one of the editor's own commands
+ *
+ * @param     {EditorState}    editorState
+ * @param     {string}         command
+ * @return    {EditorState|null}    Null when it isn't one of ours
+ */
+export function applyKeyCommand(editorState, command) {
+  if (command.indexOf('inline-style:') === 0) {
+    return RichUtils.toggleInlineStyle(editorState, command.slice('inline-style:'.length));
+  } else if (command.indexOf('block-type:') === 0) {
+    return RichUtils.toggleBlockType(editorState, command.slice('block-type:'.length));
+  } else if (command === 'soft-newline') {
+    return RichUtils.insertSoftNewline(editorState);
+  }
+  return null;
+}
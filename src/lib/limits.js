@@ -0,0 +1,121 @@
+/**
+ * Character and word counts for `maxLength`. Line breaks between blocks
+ * aren't counted, and characters are counted like the `maxlength` of an
+ * input, in UTF-16 code units.
+ */
+
+import { ContentState, Modifier } from 'draft-js';
+
+/**
+ * Get the text of the content without the line breaks between blocks
+ *
+ * @param     {ContentState}    contentState
+ * @return    {Array<string>}
+ */
+function getBlockTexts(contentState) {
+  return contentState.getBlocksAsArray().map(block => block.getText());
+}
+
+/**
+ * Count the characters and words of the content
+ *
+ * @param     {ContentState}    contentState
+ * @return    {Object}          { characters, words }
+ */
+export function getCounts(contentState) {
+  const texts = getBlockTexts(contentState);
+  return {
+    characters: texts.reduce((total, text) => total + text.length, 0),
+    words: texts.reduce((total, text) => total + (text.match(/\S+/g) || []).length, 0)
+  };
+}
+
+/**
+ * Check if the content is over the editor's limit
+ *
+ * @param     {ContentState}    contentState
+ * @param     {Object}          props
+ * @return    {boolean}
+ */
+export function isOverLimit(contentState, props) {
+  return typeof props.maxLength === 'number' && getCounts(contentState)[props.maxLengthUnit] > props.maxLength;
+}
+
+/**
+ * Check if a change takes the content past the editor's limit. Content that's
+ * already over it, e.g. from the value, can still be shortened.
+ *
+ * @param     {ContentState}    contentState        Before the change
+ * @param     {ContentState}    nextContentState    After the change
+ * @param     {Object}          props
+ * @return    {boolean}
+ */
+export function exceedsLimit(contentState, nextContentState, props) {
+  return isOverLimit(nextContentState, props) &&
+    getCounts(nextContentState)[props.maxLengthUnit] > getCounts(contentState)[props.maxLengthUnit];
+}
+
+/**
+ * Cut text down to a number of characters or words
+ *
+ * @param     {string}    text
+ * @param     {number}    length
+ * @param     {string}    unit      'characters' or 'words'
+ * @return    {string}
+ */
+export function truncateText(text, length, unit) {
+  if (length <= 0) {
+    return '';
+  }
+  if (unit === 'words') {
+    const words = /\S+/g;
+    let match = null;
+    for (let count = 0; count < length; count++) {
+      match = words.exec(text);
+      if (match === null) {
+        return text;
+      }
+    }
+    return text.slice(0, match.index + match[0].length);
+  }
+  // Don't split an emoji or other surrogate pair
+  const lastCode = text.charCodeAt(length - 1);
+  return text.slice(0, lastCode >= 0xD800 && lastCode <= 0xDBFF ? length - 1 : length);
+}
+
+/**
+ * Replace the selection with pasted text, keeping its paragraphs
+ *
+ * @param     {ContentState}      contentState
+ * @param     {SelectionState}    selectionState
+ * @param     {string}            text
+ * @return    {ContentState}
+ */
+export function insertPlainText(contentState, selectionState, text) {
+  return Modifier.replaceWithFragment(contentState, selectionState, ContentState.createFromText(text).getBlockMap());
+}
+
+/**
+ * Fit pasted text into what's left of the limit
+ *
+ * @param     {ContentState}      contentState
+ * @param     {SelectionState}    selectionState    Replaced by the text
+ * @param     {string}            text
+ * @param     {Object}            props
+ * @return    {ContentState|null}    Null when nothing fits
+ */
+export function fitPastedText(contentState, selectionState, text, props) {
+  const withoutSelection = Modifier.removeRange(contentState, selectionState, 'forward');
+  const used = getCounts(withoutSelection)[props.maxLengthUnit];
+  // The first and last pasted words can join the ones around the caret, so
+  // try one more on each side and keep taking one off until it fits
+  const extra = props.maxLengthUnit === 'words' ? 2 : 0;
+  for (let length = (props.maxLength - used) + extra; length > 0; length--) {
+    const truncated = truncateText(text, length, props.maxLengthUnit);
+    const candidate = insertPlainText(withoutSelection, withoutSelection.getSelectionAfter(), truncated);
+    if (truncated !== '' && !isOverLimit(candidate, props)) {
+      return candidate;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,163 @@
+/**
+ * What users may enter as a link, and the attributes of a link entity. Link
+ * entities keep their `href`, an optional `title` and `target: '_blank'` when
+ * they open in a new tab. External links always get `rel="noopener noreferrer"`.
+ */
+
+import linkifyIt from 'linkify-it';
+import tlds from 'tlds';
+import { getProtocol, sanitizeUrl } from './sanitize';
+import Entities from './Entities';
+
+// Setup Linkify
+const linkify = linkifyIt();
+linkify.tlds(tlds);
+
+/**
+ * An email address, e.g. rick@citadel.com
+ * @type    {RegExp}
+ */
+const EMAIL = /^[^\s@/:?]+@[^\s@/:?]+\.[^\s@/:?]+$/;
+
+/**
+ * A phone number, e.g. +1 (555) 123-4567
+ * @type    {RegExp}
+ */
+const PHONE = /^\+?[\d\s().-]+$/;
+
+/**
+ * A url relative to the page, e.g. /docs or #top
+ * @type    {RegExp}
+ */
+const RELATIVE = /^(\/|#|\?|\.\.?\/)\S*$/;
+
+/**
+ * Check if text is a phone number with enough digits to dial
+ *
+ * @param     {string}    text
+ * @param     {number}    minDigits    Fewer for tel: links, which are surely
+ *                                     phone numbers, than for bare numbers
+ * @return    {boolean}
+ */
+function isPhoneNumber(text, minDigits) {
+  return PHONE.test(text) && text.replace(/\D/g, '').length >= minDigits;
+}
+
+/**
+ * Turn what the user entered into the url to link to. Web addresses get a
+ * protocol, email addresses become mailto: links and phone numbers tel: links.
+ *
+ * @param     {string}    text
+ * @return    {string|null}    Null when it isn't a url
+ */
+export function normalizeHref(text) {
+  const value = typeof text === 'string' ? text.trim() : '';
+  if (value === '') {
+    return null;
+  }
+
+  const protocol = getProtocol(value);
+  if (protocol === 'mailto') {
+    return EMAIL.test(value.slice('mailto:'.length).split('?')[0]) ? value : null;
+  } else if (protocol === 'tel') {
+    const number = value.slice('tel:'.length);
+    return isPhoneNumber(number, 3) ? `tel:${number.replace(/[\s().-]/g, '')}` : null;
+  } else if (protocol === null && RELATIVE.test(value)) {
+    return value;
+  } else if (protocol === null && EMAIL.test(value)) {
+    return `mailto:${value}`;
+  } else if (protocol === null && isPhoneNumber(value, 7)) {
+    return `tel:${value.replace(/[\s().-]/g, '')}`;
+  }
+
+  // The whole text has to be the link, not just part of it
+  const links = linkify.match(value);
+  if (links !== null && links.length === 1 && links[0].index === 0 && links[0].lastIndex === value.length) {
+    return links[0].url;
+  }
+  // Any other protocol is up to the sanitize options
+  return protocol !== null && /^\S+$/.test(value) ? value : null;
+}
+
+/**
+ * Check what the user entered before it's saved as a link. An empty url is
+ * fine, it removes the link.
+ *
+ * @param     {string}    text
+ * @param     {Object}    [sanitizeOptions]
+ * @return    {string|null}    What's wrong with it or null if it's fine
+ */
+export function validateHref(text, sanitizeOptions) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return null;
+  }
+  const href = normalizeHref(text);
+  if (href === null) {
+    return 'Enter a web address, email address or phone number';
+  } else if (sanitizeUrl(href, sanitizeOptions) === null) {
+    return `${getProtocol(href)}: links aren't allowed`;
+  }
+  return null;
+}
+
+/**
+ * Check if a url leaves the site, e.g. https://example.com or //example.com
+ *
+ * @param     {string}    href
+ * @return    {boolean}
+ */
+export function isExternalUrl(href) {
+  return typeof href === 'string' && /^([a-z][a-z0-9+.-]*:)?\/\//i.test(href.trim());
+}
+
+/**
+ * Get the anchor attributes of a link entity
+ *
+ * @param     {Object}    data               Entity data
+ * @param     {Object}    [sanitizeOptions]
+ * @return    {Object}    { href, title, target, rel }, undefined when not set
+ */
+export function getLinkAttributes(data, sanitizeOptions) {
+  const href = sanitizeUrl(data.href, sanitizeOptions);
+  return {
+    href: href || void 0,
+    title: data.title || void 0,
+    target: data.target === '_blank' ? '_blank' : void 0,
+    rel: href && isExternalUrl(href) ? 'noopener noreferrer' : void 0
+  };
+}
+
+/**
+ * Get the entity data of an imported anchor element
+ *
+ * @param     {HTMLAnchorElement}    node
+ * @return    {Object}
+ */
+export function getLinkData(node) {
+  const data = {
+    href: node.href
+  };
+  if (node.getAttribute('title')) {
+    data.title = node.getAttribute('title');
+  }
+  if (node.getAttribute('target') === '_blank') {
+    data.target = '_blank';
+  }
+  return data;
+}
+
+/**
+ * Get the data of the link the selection starts in, if any
+ *
+ * @param     {ContentState}      contentState
+ * @param     {SelectionState}    selectionState
+ * @return    {Object}
+ */
+export function getLinkDataAt(contentState, selectionState) {
+  const block = contentState.getBlockForKey(selectionState.getStartKey());
+  const entityKey = block && !selectionState.isCollapsed() ? block.getEntityAt(selectionState.getStartOffset()) : null;
+  if (entityKey === null || contentState.getEntity(entityKey).getType() !== Entities.Link) {
+    return {};
+  }
+  return contentState.getEntity(entityKey).getData();
+}
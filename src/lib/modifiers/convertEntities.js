@@ -1,6 +1,29 @@
 import { EditorState, SelectionState, Modifier } from 'draft-js';
 import Immutable from 'immutable';
 
+/**
+ * Check if a range of text is exactly one entity of a type
+ * @param {import('draft-js').ContentState} contentState
+ * @param {import('draft-js').ContentBlock} block
+ * @param {number} start
+ * @param {number} end
+ * @param {string} type
+ * @return {boolean}
+ */
+function isEntityRange(contentState, block, start, end, type) {
+  const entityKey = block.getEntityAt(start);
+  if (!entityKey || contentState.getEntity(entityKey).getType() !== type) {
+    return false;
+  }
+  for (let i = start; i < end; i++) {
+    if (block.getEntityAt(i) !== entityKey) {
+      return false;
+    }
+  }
+  return (start === 0 || block.getEntityAt(start - 1) !== entityKey) &&
+    (end === block.getLength() || block.getEntityAt(end) !== entityKey);
+}
+
 /**
  * Converts entities, returns the new editor state
  * @param {EditorState} editorState
@@ -41,7 +64,15 @@ export function convertEntities(editorState, entityDecorators = Immutable.List()
         const result = entityDecorator.convert
           ? entityDecorator.convert(match[0], isSelected)
           : undefined;
-        if (result) {
+        // Keep entities that are already converted, e.g. imported ones, so their data isn't lost
+        const isConverted = result && isEntityRange(
+          contentState,
+          contentState.getBlockForKey(blockKey),
+          match.index,
+          match.index + match[0].length,
+          result.type
+        );
+        if (result && !isConverted) {
           // Create entity
           contentState = contentState.createEntity(result.type, result.mutability, {
             text: match[0],
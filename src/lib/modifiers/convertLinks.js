@@ -1,4 +1,5 @@
 import { EditorState, SelectionState, Modifier } from 'draft-js';
+import Immutable from 'immutable';
 import linkifyIt from 'linkify-it';
 import tlds from 'tlds';
 import EntityState from '../EntityState';
@@ -8,13 +9,53 @@ import Entities from '../Entities';
 const linkify = linkifyIt();
 linkify.tlds(tlds);
 
+/**
+ * Find the links in a block of text: urls and email addresses, and whatever
+ * the link patterns match. Pattern matches win when they overlap a url.
+ *
+ * @param {string} text
+ * @param {Immutable.List<Object>} linkPatterns  { regex, href(match) }
+ * @return {Array<Object>} { index, lastIndex, url }, in order
+ */
+export function findLinks(text, linkPatterns = Immutable.List()) {
+  const links = [];
+  linkPatterns.forEach((linkPattern) => {
+    // Copy the regex so its lastIndex isn't shared, keeping its flags, e.g.
+    // u or s, but searching the whole text rather than sticking in place
+    const flags = linkPattern.regex.flags.replace(/[gy]/g, '');
+    const regex = new RegExp(linkPattern.regex.source, `g${flags}`);
+    let match = regex.exec(text);
+    while (match !== null) {
+      const index = match.index;
+      const lastIndex = index + match[0].length;
+      const url = match[0] !== '' ? linkPattern.href(match) : null;
+      const overlaps = links.some(link => index < link.lastIndex && lastIndex > link.index);
+      if (url && !overlaps) {
+        links.push({ index, lastIndex, url });
+      }
+      if (match[0] === '') {
+        // Don't get stuck on empty matches
+        regex.lastIndex += 1;
+      }
+      match = regex.exec(text);
+    }
+  });
+  (linkify.match(text) || []).forEach((link) => {
+    if (!links.some(other => link.index < other.lastIndex && link.lastIndex > other.index)) {
+      links.push({ index: link.index, lastIndex: link.lastIndex, url: link.url });
+    }
+  });
+  return links.sort((a, b) => a.index - b.index);
+}
+
 /**
  * Converts inline links, returns the new editor state
  *
  * @param {EditorState} editorState
+ * @param {Immutable.List<Object>} [linkPatterns]  Custom links to find, see findLinks
  * @return {EditorState}
  */
-export function convertLinks(editorState) {
+export function convertLinks(editorState, linkPatterns) {
   // Get the current content
   const currentContent = editorState.getCurrentContent();
   // Get the current selection
@@ -40,8 +81,7 @@ export function convertLinks(editorState) {
     }, (start, end) => {
       // Check if link is invalid or changed
       const entityText = blockText.slice(start, end);
-      const matchLink = linkify.match(entityText);
-      if (matchLink === null) {
+      if (findLinks(entityText, linkPatterns).length === 0) {
         // Remove previously matched link entity
         const linkSelectionState = new SelectionState({
           anchorKey: blockKey,
@@ -54,8 +94,8 @@ export function convertLinks(editorState) {
     });
 
     // Find links based on the current block
-    const matchLinks = linkify.match(blockText);
-    if (matchLinks !== null) {
+    const matchLinks = findLinks(blockText, linkPatterns);
+    if (matchLinks.length > 0) {
       // Loop through each matched link
       for (let i = 0; i < matchLinks.length; i += 1) {
         // Create selection from matched link
@@ -0,0 +1,26 @@
+import { EditorState, Modifier } from 'draft-js';
+
+/**
+ * Replaces a range with the text of a new entity followed by a space, and
+ * moves the caret after it. Returns the new editor state.
+ *
+ * @param {EditorState} editorState
+ * @param {import('draft-js').SelectionState} selectionState  Range to replace
+ * @param {Object} entity
+ * @param {string} entity.type
+ * @param {string} entity.mutability
+ * @param {string} entity.text   Text to show
+ * @param {Object} entity.data
+ * @return {EditorState}
+ */
+export function insertEntity(editorState, selectionState, entity) {
+  let contentState = editorState.getCurrentContent().createEntity(entity.type, entity.mutability, entity.data);
+  const entityKey = contentState.getLastCreatedEntityKey();
+  contentState = Modifier.replaceText(contentState, selectionState, entity.text, null, entityKey);
+
+  // Keep typing outside of the entity
+  contentState = Modifier.insertText(contentState, contentState.getSelectionAfter(), ' ');
+
+  const editorStateWithEntity = EditorState.push(editorState, contentState, 'create-entity');
+  return EditorState.forceSelection(editorStateWithEntity, contentState.getSelectionAfter());
+}
@@ -0,0 +1,48 @@
+import Immutable from 'immutable';
+import { EditorState, SelectionState, ContentBlock, genKey } from 'draft-js';
+
+/**
+ * Removes a whole block, e.g. an atomic block that can't be selected like
+ * text. Returns the new editor state.
+ *
+ * @param {EditorState} editorState
+ * @param {string} blockKey
+ * @return {EditorState}
+ */
+export function removeBlock(editorState, blockKey) {
+  const content = editorState.getCurrentContent();
+  const block = content.getBlockForKey(blockKey);
+  if (!block) {
+    return editorState;
+  }
+
+  // The editor always needs a block
+  let blockMap = content.getBlockMap().delete(blockKey);
+  if (blockMap.size === 0) {
+    const emptyBlock = new ContentBlock({
+      key: genKey(),
+      type: 'unstyled',
+      text: '',
+      characterList: Immutable.List()
+    });
+    blockMap = Immutable.OrderedMap([[emptyBlock.getKey(), emptyBlock]]);
+  }
+
+  // Move the caret out of the removed block
+  const selectionBefore = editorState.getSelection();
+  let selectionAfter = selectionBefore;
+  if (selectionBefore.getAnchorKey() === blockKey || selectionBefore.getFocusKey() === blockKey) {
+    const target = content.getBlockBefore(blockKey) || content.getBlockAfter(blockKey) || blockMap.first();
+    selectionAfter = SelectionState.createEmpty(target.getKey()).merge({
+      anchorOffset: target.getLength(),
+      focusOffset: target.getLength(),
+      hasFocus: selectionBefore.getHasFocus()
+    });
+  }
+
+  return EditorState.push(editorState, content.merge({
+    blockMap,
+    selectionBefore,
+    selectionAfter
+  }), 'remove-range');
+}
@@ -0,0 +1,54 @@
+import { EditorState, SelectionState, ContentState } from 'draft-js';
+
+/**
+ * Find the same position in the new content by block index and offset, since
+ * converted content always has new block keys
+ *
+ * @param {ContentState} previousContent
+ * @param {ContentState} content
+ * @param {string} blockKey
+ * @param {number} offset
+ * @return {Object}
+ */
+function mapPosition(previousContent, content, blockKey, offset) {
+  const blockKeys = content.getBlockMap().keySeq();
+  const index = Math.max(previousContent.getBlockMap().keySeq().indexOf(blockKey), 0);
+  const key = blockKeys.get(Math.min(index, blockKeys.size - 1));
+  return {
+    key,
+    offset: Math.min(offset, content.getBlockForKey(key).getLength())
+  };
+}
+
+/**
+ * Replaces the content of the editor, keeping the caret as close as possible
+ * to where it was. Returns the new editor state.
+ *
+ * @param {EditorState} editorState
+ * @param {ContentState} content
+ * @return {EditorState}
+ */
+export function replaceContent(editorState, content) {
+  const previousContent = editorState.getCurrentContent();
+  const selectionState = editorState.getSelection();
+
+  // Map both ends of the selection
+  const anchor = mapPosition(previousContent, content, selectionState.getAnchorKey(), selectionState.getAnchorOffset());
+  const focus = mapPosition(previousContent, content, selectionState.getFocusKey(), selectionState.getFocusOffset());
+  const mappedSelection = new SelectionState({
+    anchorKey: anchor.key,
+    anchorOffset: anchor.offset,
+    focusKey: focus.key,
+    focusOffset: focus.offset,
+    isBackward: selectionState.getIsBackward(),
+    hasFocus: selectionState.getHasFocus()
+  });
+
+  // Apply content changes
+  editorState = EditorState.push(editorState, content, 'insert-fragment');
+
+  // Only force the selection when focused so we don't steal focus
+  return mappedSelection.getHasFocus()
+    ? EditorState.forceSelection(editorState, mappedSelection)
+    : EditorState.acceptSelection(editorState, mappedSelection);
+}
@@ -0,0 +1,73 @@
+import { EditorState, RichUtils, Modifier } from 'draft-js';
+import Entities from '../Entities';
+import { sanitizeUrl } from '../sanitize';
+import { normalizeHref } from '../links';
+
+/**
+ * Get the text of the selection when it's within a block
+ * @param {ContentState} contentState
+ * @param {SelectionState} selectionState
+ * @return {string}
+ */
+export function getSelectedText(contentState, selectionState) {
+  if (selectionState.isCollapsed() || selectionState.getStartKey() !== selectionState.getEndKey()) {
+    return '';
+  }
+  return contentState.getBlockForKey(selectionState.getStartKey())
+    .getText()
+    .slice(selectionState.getStartOffset(), selectionState.getEndOffset());
+}
+
+/**
+ * Link the selection to a url the user entered, or insert the link when
+ * nothing is selected. An empty url removes the link.
+ * @param {EditorState} editorState
+ * @param {SelectionState} selectionState
+ * @param {Object} link { href, text, title, target }, only href is required
+ * @param {Object} [sanitizeOptions]
+ * @return {EditorState|null} Null when the url isn't valid or allowed
+ */
+export function setLink(editorState, selectionState, link, sanitizeOptions) {
+  if (link.href.trim() === '') {
+    // User entered empty string - remove link
+    return RichUtils.toggleLink(editorState, selectionState, null);
+  }
+
+  // Parse link href
+  const href = normalizeHref(link.href);
+  const newHref = href !== null ? sanitizeUrl(href, sanitizeOptions) : null;
+  if (newHref === null) {
+    // Not a url or the protocol isn't allowed, leave the content as is
+    return null;
+  }
+
+  // Set link entity
+  const data = {
+    href: newHref,
+    created: 'insert'
+  };
+  if (link.title) {
+    data.title = link.title;
+  }
+  if (link.target === '_blank') {
+    data.target = '_blank';
+  }
+  const currentContent = editorState.getCurrentContent();
+  const contentWithEntity = currentContent.createEntity(Entities.Link, 'MUTABLE', data);
+  const entityKey = contentWithEntity.getLastCreatedEntityKey();
+
+  // Without a selection the link's text defaults to its url
+  const text = link.text || (selectionState.isCollapsed() ? newHref : '');
+  if (text !== '' && text !== getSelectedText(currentContent, selectionState)) {
+    // Insert or replace the text, keeping the style of what it replaces
+    const style = selectionState.isCollapsed()
+      ? null
+      : currentContent.getBlockForKey(selectionState.getStartKey()).getInlineStyleAt(selectionState.getStartOffset());
+    const contentWithEntityText = Modifier.replaceText(contentWithEntity, selectionState, text, style, entityKey);
+    return EditorState.push(editorState, contentWithEntityText, 'create-entity');
+  }
+
+  // Convert selection into link
+  editorState = EditorState.push(editorState, contentWithEntity, 'create-entity');
+  return RichUtils.toggleLink(editorState, selectionState, entityKey);
+}
@@ -0,0 +1,263 @@
+/**
+ * Pasted html, e.g. from Google Docs, Word or another editor, keeping only the
+ * formatting the editor allows
+ */
+
+import Immutable from 'immutable';
+import { EditorState, Modifier, SelectionState } from 'draft-js';
+import { convertContentFrom } from './convert';
+import { convertLinks } from './modifiers/convertLinks';
+import { getSanitizeOptions } from './sanitize';
+import Entities from './Entities';
+
+/**
+ * Inline css that Google Docs and Word use instead of tags, and the tag it
+ * means
+ * @type    {Array}
+ */
+const STYLE_TAGS = [
+  { tag: 'strong', test: style => /^(bold|bolder|[6-9]00)$/.test(style.fontWeight) },
+  { tag: 'em', test: style => style.fontStyle === 'italic' },
+  { tag: 'u', test: style => /underline/.test(style.textDecoration || style.textDecorationLine) },
+  { tag: 's', test: style => /line-through/.test(style.textDecoration || style.textDecorationLine) },
+  { tag: 'code', test: style => /monospace|courier|consolas|menlo/i.test(style.fontFamily) }
+];
+
+/**
+ * Word paragraph classes that are really headings
+ * @type    {Object}
+ */
+const WORD_HEADINGS = {
+  MsoTitle: 'h1',
+  MsoSubtitle: 'h2'
+};
+
+/**
+ * Swap an element for a new one with the same children
+ *
+ * @param     {HTMLElement}    node
+ * @param     {string}         tag
+ * @return    {HTMLElement}
+ */
+function renameElement(node, tag) {
+  const element = node.ownerDocument.createElement(tag);
+  while (node.firstChild) {
+    element.appendChild(node.firstChild);
+  }
+  node.parentNode.replaceChild(element, node);
+  return element;
+}
+
+/**
+ * Replace an element with its children
+ *
+ * @param     {HTMLElement}    node
+ */
+function unwrapElement(node) {
+  while (node.firstChild) {
+    node.parentNode.insertBefore(node.firstChild, node);
+  }
+  node.parentNode.removeChild(node);
+}
+
+/**
+ * Get all elements matching a selector as an array
+ *
+ * @param     {HTMLElement}    root
+ * @param     {string}         selector
+ * @return    {Array<HTMLElement>}
+ */
+function findAll(root, selector) {
+  return Array.prototype.slice.call(root.querySelectorAll(selector));
+}
+
+/**
+ * Wrap the children of elements with inline bold, italic, etc. css in the
+ * matching tags
+ *
+ * @param     {HTMLElement}    body
+ */
+function convertInlineStyles(body) {
+  findAll(body, '[style]').forEach((node) => {
+    STYLE_TAGS
+      .filter(({ test }) => test(node.style))
+      .forEach(({ tag }) => {
+        const wrapper = node.ownerDocument.createElement(tag);
+        while (node.firstChild) {
+          wrapper.appendChild(node.firstChild);
+        }
+        node.appendChild(wrapper);
+      });
+  });
+}
+
+/**
+ * Turn Word's list paragraphs into real lists. Word marks them with a class
+ * and an `mso-list` style, and puts the bullet or number in a span.
+ *
+ * @param     {HTMLElement}    body
+ */
+function convertWordLists(body) {
+  let list = null;
+  findAll(body, 'p').forEach((node) => {
+    const isListItem = /MsoListParagraph/.test(node.className) || /mso-list/.test(node.getAttribute('style') || '');
+    if (!isListItem) {
+      list = null;
+      return;
+    }
+
+    // The marker is in a span Word hides from itself
+    const marker = findAll(node, 'span').find(span => /mso-list:\s*ignore/i.test(span.getAttribute('style') || ''));
+    const ordered = Boolean(marker) && /^\s*[\w]+[.)]/.test(marker.textContent);
+    if (marker) {
+      marker.parentNode.removeChild(marker);
+    }
+
+    const listTag = ordered ? 'ol' : 'ul';
+    if (!list || list.nodeName.toLowerCase() !== listTag || list.nextElementSibling !== node) {
+      list = node.ownerDocument.createElement(listTag);
+      node.parentNode.insertBefore(list, node);
+    }
+    list.appendChild(renameElement(node, 'li'));
+  });
+}
+
+/**
+ * Clean up html from Google Docs, Word and other editors so it converts like
+ * hand written html
+ *
+ * @param     {string}    html
+ * @return    {string}
+ */
+export function cleanPastedHTML(html) {
+  let doc;
+  if (typeof DOMParser !== 'undefined') {
+    doc = new DOMParser().parseFromString(html, 'text/html');
+  } else {
+    doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+  }
+  const body = doc.body;
+
+  // Google Docs wraps everything in a <b> that isn't bold
+  findAll(body, 'b[id^="docs-internal-guid"]').forEach(unwrapElement);
+
+  // Word's namespaced elements, e.g. <o:p>, and comments
+  findAll(body, '*').forEach((node) => {
+    if (node.nodeName.indexOf(':') !== -1 && node.parentNode) {
+      unwrapElement(node);
+    }
+  });
+  const comments = doc.createTreeWalker(body, 128 /* NodeFilter.SHOW_COMMENT */, null, false);
+  const removed = [];
+  while (comments.nextNode()) {
+    removed.push(comments.currentNode);
+  }
+  removed.forEach(comment => comment.parentNode.removeChild(comment));
+
+  convertWordLists(body);
+  Object.keys(WORD_HEADINGS).forEach((className) => {
+    findAll(body, `p.${className}`).forEach(node => renameElement(node, WORD_HEADINGS[className]));
+  });
+
+  // Google Docs puts paragraphs in list items
+  findAll(body, 'li > p').forEach(unwrapElement);
+
+  convertInlineStyles(body);
+
+  // Vendor classes, e.g. MsoNormal, except for code languages
+  findAll(body, '[class]').forEach((node) => {
+    if (!/^(pre|code)$/i.test(node.nodeName)) {
+      node.removeAttribute('class');
+    }
+  });
+
+  return body.innerHTML;
+}
+
+/**
+ * Get the block type a block needs in `blockTypes`. Tables are atomic blocks
+ * like images, but need `table` rather than `atomic`.
+ *
+ * @param     {ContentState}    contentState
+ * @param     {ContentBlock}    block
+ * @return    {string}
+ */
+function getAllowedType(contentState, block) {
+  const entityKey = block.getType() === 'atomic' ? block.getEntityAt(0) : null;
+  if (entityKey !== null && contentState.getEntity(entityKey).getType() === Entities.Table) {
+    return 'table';
+  }
+  return block.getType();
+}
+
+/**
+ * Remove the block types, inline styles and links the editor doesn't allow
+ *
+ * @param     {ContentState}    content
+ * @param     {Object}          options
+ * @param     {Immutable.Set}   options.blockTypes
+ * @param     {Immutable.Set}   options.inlineStyles
+ * @param     {boolean}         options.allowBlock    False when the editor is inline only
+ * @return    {ContentState}
+ */
+export function filterContent(content, options) {
+  return content.getBlocksAsArray().reduce((contentState, block) => {
+    const blockKey = block.getKey();
+    const blockSelection = new SelectionState({
+      anchorKey: blockKey,
+      anchorOffset: 0,
+      focusKey: blockKey,
+      focusOffset: block.getLength()
+    });
+
+    const blockType = block.getType();
+    if (blockType !== 'unstyled' && (!options.allowBlock || !options.blockTypes.has(getAllowedType(contentState, block)))) {
+      if (blockType === 'atomic') {
+        // Images and tables can't be shown without their block
+        contentState = Modifier.removeRange(contentState, blockSelection, 'forward');
+      }
+      contentState = Modifier.setBlockType(contentState, blockSelection.merge({ focusOffset: 0 }), 'unstyled');
+      contentState = Modifier.setBlockData(contentState, blockSelection.merge({ focusOffset: 0 }), {});
+    }
+
+    // Every style used in the block
+    block.getCharacterList()
+      .reduce((styles, character) => styles.union(character.getStyle()), Immutable.OrderedSet())
+      .filter(style => !options.inlineStyles.has(style))
+      .forEach((style) => {
+        contentState = Modifier.removeInlineStyle(contentState, blockSelection, style);
+      });
+
+    if (!options.inlineStyles.has(Entities.Link)) {
+      block.findEntityRanges((character) => {
+        const entityKey = character.getEntity();
+        return entityKey !== null && contentState.getEntity(entityKey).getType() === Entities.Link;
+      }, (start, end) => {
+        contentState = Modifier.applyEntity(contentState, blockSelection.merge({ anchorOffset: start, focusOffset: end }), null);
+      });
+    }
+
+    return contentState;
+  }, content);
+}
+
+/**
+ * Convert pasted html into content the editor allows, with pasted urls
+ * turned into links
+ *
+ * @param     {string}    html
+ * @param     {Object}    props    Editor props
+ * @return    {ContentState}
+ */
+export function convertPastedHTML(html, props) {
+  let content = convertContentFrom(cleanPastedHTML(html), 'html', getSanitizeOptions(props));
+  if (props.convertLinksInline && props.inlineStyles.has(Entities.Link)) {
+    content = convertLinks(EditorState.createWithContent(content), props.linkPatterns).getCurrentContent();
+  }
+  return filterContent(content, {
+    blockTypes: props.blockTypes,
+    inlineStyles: props.inlineStyles,
+    allowBlock: !props.onlyInline
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Plugins add behavior to the editor without changing TextEditor itself. A
+ * plugin is a plain object with any of these hooks. Each hook is also given
+ * the editor's plugin api as its last argument, with `getEditorState`,
+ * `setEditorState`, `getEntityState`, `getProps`, `getAutocomplete`,
+ * `openLinkPopover(selection, href)`, which edits the link at the selection
+ * in the popover, and `focus`.
+ *
+ * - `keyBindingFn(event, api)` returns a command for `handleKeyCommand`, or
+ *   'handled' when the plugin dealt with the key itself
+ * - `handleKeyCommand(command, editorState, api)`
+ * - `handleBeforeInput(chars, editorState, api)`
+ * - `handlePastedText(text, html, editorState, api)`
+ * - `handlePastedFiles(files, api)`
+ * - `blockRendererFn(block, api)` returns a draft-js block renderer
+ * - `decorators(api)` returns draft-js decorators. One with an `entityType`
+ *   can have its component replaced with the `decorators` prop.
+ * - `toolbarButtons(api)` returns StyleButton props with a `key`
+ * - `onChange(editorState, api)` returns the editor state to use
+ *
+ * Plugins run in order, the `plugins` prop first and then the built in ones.
+ * The `handle*` hooks return 'handled' or 'not-handled', and the first
+ * plugin to handle an event stops the rest, and the editor's own handling,
+ * from running. `keyBindingFn` and `blockRendererFn` stop at the first
+ * result. Every `onChange` runs, each getting the state the one before
+ * returned. Decorators of earlier plugins win when they match the same text.
+ */
+
+/**
+ * Call a `handle*` hook on each plugin until one handles the event
+ *
+ * @param     {Immutable.List}    plugins
+ * @param     {string}            hook
+ * @param     {...any}            args
+ * @return    {string}            'handled' or 'not-handled'
+ */
+export function handleWithPlugins(plugins, hook, ...args) {
+  const handled = plugins.some(plugin => typeof plugin[hook] === 'function' && plugin[hook](...args) === 'handled');
+  return handled ? 'handled' : 'not-handled';
+}
+
+/**
+ * Call a hook on each plugin and return the first result
+ *
+ * @param     {Immutable.List}    plugins
+ * @param     {string}            hook
+ * @param     {...any}            args
+ * @return    {any}               Null when no plugin returned anything
+ */
+export function findWithPlugins(plugins, hook, ...args) {
+  let result = null;
+  plugins.some((plugin) => {
+    if (typeof plugin[hook] === 'function') {
+      result = plugin[hook](...args);
+    }
+    return result !== null && typeof result !== 'undefined';
+  });
+  return typeof result === 'undefined' ? null : result;
+}
+
+/**
+ * Pass the editor state through the `onChange` hook of each plugin
+ *
+ * @param     {Immutable.List}    plugins
+ * @param     {EditorState}       editorState
+ * @param     {Object}            api
+ * @return    {EditorState}
+ */
+export function changeWithPlugins(plugins, editorState, api) {
+  return plugins.reduce((state, plugin) => (
+    typeof plugin.onChange === 'function' ? plugin.onChange(state, api) : state
+  ), editorState);
+}
+
+/**
+ * Collect what each plugin returns from a list hook, e.g. its decorators
+ *
+ * @param     {Immutable.List}    plugins
+ * @param     {string}            hook
+ * @param     {Object}            api
+ * @return    {Array}
+ */
+export function collectFromPlugins(plugins, hook, api) {
+  return plugins.reduce((items, plugin) => (
+    typeof plugin[hook] === 'function' ? items.concat(plugin[hook](api) || []) : items
+  ), []);
+}
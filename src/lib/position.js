@@ -0,0 +1,38 @@
+/**
+ * Place popups, e.g. the suggestions, next to something in the editor
+ */
+
+/**
+ * Get where to show an element next to the anchor, in viewport coordinates.
+ * Goes above the anchor when there isn't room below.
+ *
+ * @param {Object} rect         Anchor rect
+ * @param {HTMLElement} element The element to place
+ * @return {Object}
+ */
+export function getPosition(rect, element) {
+  const height = element.offsetHeight;
+  const spaceBelow = window.innerHeight - rect.bottom;
+  const placement = height > spaceBelow && rect.top > spaceBelow ? 'above' : 'below';
+  return {
+    placement,
+    top: placement === 'above' ? rect.top - height : rect.bottom,
+    left: Math.max(0, Math.min(rect.left, window.innerWidth - element.offsetWidth))
+  };
+}
+
+/**
+ * Check if two positions are the same
+ *
+ * @param {Object|null} position
+ * @param {Object|null} otherPosition
+ * @return {boolean}
+ */
+export function isSamePosition(position, otherPosition) {
+  if (!position || !otherPosition) {
+    return position === otherPosition;
+  }
+  return position.placement === otherPosition.placement &&
+    position.top === otherPosition.top &&
+    position.left === otherPosition.left;
+}
@@ -0,0 +1,249 @@
+import Immutable from 'immutable';
+import { ContentState, Modifier, SelectionState } from 'draft-js';
+import Entities from './Entities';
+
+/**
+ * Default sanitization settings
+ * @type    {Object}
+ */
+export const SanitizeDefaults = {
+  // Link protocols, without the trailing colon. Relative urls are always allowed.
+  protocols: new Immutable.Set(['http', 'https', 'mailto', 'tel']),
+  // Elements kept when importing html. Anything else is unwrapped.
+  elements: new Immutable.Set([
+    'p', 'br', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'ul', 'ol', 'li', 'a', 'b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'sub', 'sup',
+    'figure', 'img', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+  ]),
+  // Attributes kept on allowed elements
+  attributes: new Immutable.Set(['href', 'title', 'target', 'class', 'src', 'alt', 'width', 'height', 'data-mention', 'data-hashtag', 'data-id']),
+  // Hook to reject or rewrite urls
+  sanitizeUrl: undefined
+};
+
+/**
+ * Elements that are removed along with their contents
+ * @type    {Immutable.Set<string>}
+ */
+const REMOVED_ELEMENTS = new Immutable.Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'textarea', 'select', 'button', 'head', 'title', 'meta', 'link', 'base', 'svg', 'math'
+]);
+
+/**
+ * Attributes that contain urls
+ * @type    {Immutable.Set<string>}
+ */
+const URL_ATTRIBUTES = new Immutable.Set(['href', 'src', 'action', 'formaction', 'poster', 'background', 'xlink:href']);
+
+/**
+ * Entity types with urls, and the data key the url is stored in
+ * @type    {Object}
+ */
+const URL_ENTITIES = {
+  [Entities.Link]: 'href',
+  [Entities.Image]: 'src'
+};
+
+/**
+ * Merge the passed options with the defaults
+ *
+ * @param     {Object}    options
+ * @return    {Object}
+ */
+function getOptions(options) {
+  return Object.assign({}, SanitizeDefaults, options);
+}
+
+/**
+ * Find the protocol of a url, ignoring the whitespace and control characters
+ * browsers strip out before reading it
+ *
+ * @param     {string}    url
+ * @return    {string|null}    Lowercase protocol without the colon or null if relative
+ */
+export function getProtocol(url) {
+  const normalized = url
+    .split('')
+    .filter(char => char.charCodeAt(0) > 32 && (char.charCodeAt(0) < 127 || char.charCodeAt(0) > 159))
+    .join('');
+  const match = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Check a url against the protocol allowlist and pass it through the
+ * sanitizeUrl hook if there is one
+ *
+ * @param     {string}    url
+ * @param     {Object}    [options]
+ * @param     {Immutable.Set<string>}    [options.protocols]
+ * @param     {Function}    [options.sanitizeUrl]    Called with the url and whether it's allowed. Return a url to use it, null to reject it or undefined to keep the default.
+ * @return    {string|null}    The url to use or null if it was rejected
+ */
+export function sanitizeUrl(url, options) {
+  options = getOptions(options);
+
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  const protocol = getProtocol(url);
+  const allowed = protocol === null || options.protocols.has(protocol);
+  let result = allowed ? url : null;
+
+  if (typeof options.sanitizeUrl === 'function') {
+    const custom = options.sanitizeUrl(url, allowed);
+    if (typeof custom !== 'undefined') {
+      result = custom || null;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Recursively clean a node's children
+ *
+ * @param     {Node}      parent
+ * @param     {Object}    options
+ */
+function sanitizeNode(parent, options) {
+  Array.prototype.slice.call(parent.childNodes).forEach((node) => {
+    if (node.nodeType === 3) {
+      // Text
+      return;
+    } else if (node.nodeType !== 1) {
+      // Comments, processing instructions, etc
+      parent.removeChild(node);
+      return;
+    }
+
+    const nodeName = node.nodeName.toLowerCase();
+    if (REMOVED_ELEMENTS.has(nodeName)) {
+      parent.removeChild(node);
+      return;
+    }
+
+    sanitizeNode(node, options);
+
+    if (!options.elements.has(nodeName)) {
+      // Unwrap unknown elements but keep their content
+      while (node.firstChild) {
+        parent.insertBefore(node.firstChild, node);
+      }
+      parent.removeChild(node);
+      return;
+    }
+
+    Array.prototype.slice.call(node.attributes).forEach((attribute) => {
+      const name = attribute.name.toLowerCase();
+      if (!options.attributes.has(name) || name.indexOf('on') === 0) {
+        node.removeAttribute(attribute.name);
+      } else if (URL_ATTRIBUTES.has(name)) {
+        const url = sanitizeUrl(attribute.value, options);
+        if (url === null) {
+          node.removeAttribute(attribute.name);
+        } else if (url !== attribute.value) {
+          node.setAttribute(attribute.name, url);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Parse html into an inert document and strip everything not in the
+ * element and attribute allowlists
+ *
+ * @param     {string}    html
+ * @param     {Object}    [options]
+ * @param     {Immutable.Set<string>}    [options.elements]
+ * @param     {Immutable.Set<string>}    [options.attributes]
+ * @param     {Immutable.Set<string>}    [options.protocols]
+ * @param     {Function}    [options.sanitizeUrl]
+ * @return    {HTMLElement}    The sanitized body element
+ */
+export function sanitizeHTML(html, options) {
+  options = getOptions(options);
+
+  // Neither of these run scripts or load resources
+  let doc;
+  if (typeof DOMParser !== 'undefined') {
+    doc = new DOMParser().parseFromString(html, 'text/html');
+  } else {
+    doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+  }
+
+  sanitizeNode(doc.body, options);
+
+  return doc.body;
+}
+
+/**
+ * Remove or rewrite any link or image entities whose url isn't allowed. Images
+ * can't exist without a url so their block is emptied.
+ *
+ * @param     {ContentState}    content
+ * @param     {Object}          [options]
+ * @param     {Immutable.Set<string>}    [options.protocols]
+ * @param     {Function}    [options.sanitizeUrl]
+ * @return    {ContentState}
+ */
+export function sanitizeContent(content, options) {
+  options = getOptions(options);
+
+  return content.getBlocksAsArray().reduce((contentState, block) => {
+    const blockKey = block.getKey();
+    block.findEntityRanges((character) => {
+      const entityKey = character.getEntity();
+      return entityKey !== null && URL_ENTITIES.hasOwnProperty(contentState.getEntity(entityKey).getType());
+    }, (start, end) => {
+      const entityKey = block.getEntityAt(start);
+      const entity = contentState.getEntity(entityKey);
+      const urlKey = URL_ENTITIES[entity.getType()];
+      const value = entity.getData()[urlKey];
+      const url = sanitizeUrl(value, options);
+      const entitySelection = new SelectionState({
+        anchorKey: blockKey,
+        anchorOffset: start,
+        focusKey: blockKey,
+        focusOffset: end
+      });
+      if (url === null) {
+        if (entity.getType() === Entities.Image) {
+          // Remove the image and its placeholder text
+          contentState = Modifier.removeRange(contentState, entitySelection, 'forward');
+          contentState = Modifier.setBlockType(contentState, entitySelection.merge({ focusOffset: start }), 'unstyled');
+        } else {
+          // Keep the text but remove the link
+          contentState = Modifier.applyEntity(contentState, entitySelection, null);
+        }
+      } else if (url !== value) {
+        // Entities are shared with the editor and its undo stack, so give the
+        // range a new one rather than changing the url in place
+        contentState = contentState.createEntity(entity.getType(), entity.getMutability(), Object.assign({}, entity.getData(), {
+          [urlKey]: url
+        }));
+        contentState = Modifier.applyEntity(contentState, entitySelection, contentState.getLastCreatedEntityKey());
+      }
+    });
+    return contentState;
+  }, content);
+}
+
+/**
+ * Create sanitize options from TextEditor props
+ *
+ * @param     {Object}    props
+ * @return    {Object}
+ */
+export function getSanitizeOptions(props) {
+  return {
+    protocols: props.linkProtocols || SanitizeDefaults.protocols,
+    elements: props.htmlElements || SanitizeDefaults.elements,
+    attributes: props.htmlAttributes || SanitizeDefaults.attributes,
+    sanitizeUrl: props.sanitizeUrl
+  };
+}
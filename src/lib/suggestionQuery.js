@@ -0,0 +1,67 @@
+import { SelectionState } from 'draft-js';
+
+/**
+ * Escape text to use in a regular expression
+ *
+ * @param     {string}    text
+ * @return    {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the query being typed for a suggestion source, e.g. "ri" in "@ri".
+ * The trigger has to start a word and the query runs up to the caret
+ * without any whitespace or entities in it.
+ *
+ * @param     {import('draft-js').EditorState}    editorState
+ * @param     {Immutable.List}    sources
+ * @return    {Object|null}       The source, query and the selection around the trigger and query
+ */
+export function findSuggestionQuery(editorState, sources) {
+  const selectionState = editorState.getSelection();
+  if (!sources || !selectionState.isCollapsed()) {
+    return null;
+  }
+
+  const block = editorState.getCurrentContent().getBlockForKey(selectionState.getStartKey());
+  const offset = selectionState.getStartOffset();
+  const textBefore = block.getText().slice(0, offset);
+
+  // The closest trigger to the caret wins
+  let found = null;
+  sources.forEach((source) => {
+    const match = new RegExp(`(^|\\s)${escapeRegExp(source.trigger)}(\\S*)$`).exec(textBefore);
+    if (!match) {
+      return;
+    }
+    const start = match.index + match[1].length;
+    if (!found || start > found.start) {
+      found = {
+        source,
+        query: match[2],
+        start
+      };
+    }
+  });
+  if (!found) {
+    return null;
+  }
+
+  // Don't suggest for text that's already an entity
+  for (let i = found.start; i < offset; i++) {
+    if (block.getEntityAt(i)) {
+      return null;
+    }
+  }
+
+  return {
+    source: found.source,
+    query: found.query,
+    selection: SelectionState.createEmpty(block.getKey()).merge({
+      anchorOffset: found.start,
+      focusOffset: offset
+    })
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Table data is kept on a TABLE entity in an atomic block as a grid of plain
+ * text cells, e.g. { rows: [['Name', 'Value'], ['a', '1']], header: true }
+ */
+
+/**
+ * Create an empty table
+ *
+ * @param     {number}     rows
+ * @param     {number}     columns
+ * @param     {boolean}    [header]    Whether the first row is a header row
+ * @return    {Object}
+ */
+export function createTable(rows, columns, header = false) {
+  return {
+    rows: Array.from({ length: rows }, () => Array.from({ length: columns }, () => '')),
+    header
+  };
+}
+
+/**
+ * Make sure every row has the same number of cells
+ *
+ * @param     {Array<Array<string>>}    rows
+ * @return    {Array<Array<string>>}
+ */
+function normalizeRows(rows) {
+  const columns = rows.reduce((max, row) => Math.max(max, row.length), 1);
+  return rows.map(row => row.concat(Array.from({ length: columns - row.length }, () => '')));
+}
+
+/**
+ * Read the table data from a <table> element. Cells are read as plain text.
+ *
+ * @param     {HTMLTableElement}    node
+ * @return    {Object}
+ */
+export function getTableData(node) {
+  const rows = Array.prototype.slice.call(node.rows);
+  if (rows.length === 0) {
+    return createTable(1, 1);
+  }
+  const firstCells = Array.prototype.slice.call(rows[0].cells);
+  return {
+    rows: normalizeRows(rows.map(row => Array.prototype.slice.call(row.cells)
+      .map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+    )),
+    header: firstCells.length > 0 && firstCells.every(cell => cell.nodeName.toLowerCase() === 'th')
+  };
+}
+
+/**
+ * Insert an empty row
+ *
+ * @param     {Object}    table
+ * @param     {number}    index    Index of the new row
+ * @return    {Object}
+ */
+export function insertRow(table, index) {
+  const rows = table.rows.slice();
+  rows.splice(index, 0, table.rows[0].map(() => ''));
+  return Object.assign({}, table, { rows });
+}
+
+/**
+ * Remove a row, keeping at least one
+ *
+ * @param     {Object}    table
+ * @param     {number}    index
+ * @return    {Object}
+ */
+export function removeRow(table, index) {
+  if (table.rows.length <= 1) {
+    return table;
+  }
+  return Object.assign({}, table, {
+    rows: table.rows.filter((row, r) => r !== index)
+  });
+}
+
+/**
+ * Insert an empty column
+ *
+ * @param     {Object}    table
+ * @param     {number}    index    Index of the new column
+ * @return    {Object}
+ */
+export function insertColumn(table, index) {
+  return Object.assign({}, table, {
+    rows: table.rows.map((row) => {
+      const cells = row.slice();
+      cells.splice(index, 0, '');
+      return cells;
+    })
+  });
+}
+
+/**
+ * Remove a column, keeping at least one
+ *
+ * @param     {Object}    table
+ * @param     {number}    index
+ * @return    {Object}
+ */
+export function removeColumn(table, index) {
+  if (table.rows[0].length <= 1) {
+    return table;
+  }
+  return Object.assign({}, table, {
+    rows: table.rows.map(row => row.filter((cell, c) => c !== index))
+  });
+}
+
+/**
+ * Change the text of a cell
+ *
+ * @param     {Object}    table
+ * @param     {number}    row
+ * @param     {number}    column
+ * @param     {string}    text
+ * @return    {Object}
+ */
+export function setCell(table, row, column, text) {
+  return Object.assign({}, table, {
+    rows: table.rows.map((cells, r) => (r === row
+      ? cells.map((cell, c) => (c === column ? text : cell))
+      : cells
+    ))
+  });
+}
+
+/**
+ * Convert a table to tab separated text
+ *
+ * @param     {Object}    table
+ * @return    {string}
+ */
+export function tableToText(table) {
+  return table.rows.map(row => row.join('\t')).join('\n');
+}
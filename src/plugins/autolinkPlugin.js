@@ -0,0 +1,21 @@
+/**
+ * Built in plugin that turns typed and pasted urls, and whatever the
+ * `linkPatterns` match, into links when `convertLinksInline` is set
+ */
+
+import { convertLinks } from '../lib/modifiers/convertLinks';
+
+export default {
+  name: 'autolink',
+
+  /**
+   * Convert links if neccessary
+   * @param {EditorState} editorState
+   * @param {Object} api
+   * @return {EditorState}
+   */
+  onChange(editorState, api) {
+    const props = api.getProps();
+    return props.convertLinksInline ? convertLinks(editorState, props.linkPatterns) : editorState;
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Built in plugin that renders hashtag entities
+ */
+
+import Hashtag from '../Hashtag/Hashtag';
+import hashtagStrategy from '../lib/decorators/hashtagStrategy';
+import Entities from '../lib/Entities';
+
+export default {
+  name: 'hashtag',
+
+  /**
+   * Add hashtag component support
+   * @param {Object} api
+   * @return {Array}
+   */
+  decorators(api) {
+    const { onHashtagClick } = api.getProps();
+    return [{
+      entityType: Entities.Hashtag,
+      strategy: hashtagStrategy,
+      component: Hashtag,
+      props: {
+        // Call the latest callback
+        onClick: typeof onHashtagClick === 'function' ? (data, event) => api.getProps().onHashtagClick(data, event) : undefined
+      }
+    }];
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * The built in plugins. See lib/plugins for the hooks a plugin can have.
+ */
+
+import Immutable from 'immutable';
+import linkPlugin from './linkPlugin';
+import mentionPlugin from './mentionPlugin';
+import hashtagPlugin from './hashtagPlugin';
+import inputRulesPlugin from './inputRulesPlugin';
+import autolinkPlugin from './autolinkPlugin';
+
+/**
+ * Plugins that are always used, after the ones passed in
+ * @type    {Immutable.List}
+ */
+export const BuiltInPlugins = Immutable.List([
+  linkPlugin,
+  mentionPlugin,
+  hashtagPlugin,
+  inputRulesPlugin,
+  autolinkPlugin
+]);
+
+/**
+ * Get the plugins to use for a set of editor props
+ *
+ * @param     {Object}            props
+ * @return    {Immutable.List}
+ */
+export function getPlugins(props) {
+  return (props.plugins || Immutable.List()).concat(BuiltInPlugins);
+}
@@ -0,0 +1,30 @@
+/**
+ * Built in plugin that turns markdown typed into the editor into styles, e.g.
+ * `# ` into a heading, when `inputRules` is set
+ */
+
+import { applyInputRules } from '../lib/inputRules';
+
+export default {
+  name: 'inputRules',
+
+  /**
+   * Apply the markdown typed just now, if any
+   * @param {EditorState} editorState
+   * @param {Object} api
+   * @return {EditorState}
+   */
+  onChange(editorState, api) {
+    const props = api.getProps();
+    // Nothing was typed, e.g. when the editor is created. Plain text editors
+    // can't keep the styles, so the markdown would just disappear.
+    if (!props.inputRules || props.type === 'text' || editorState.getLastChangeType() !== 'insert-characters') {
+      return editorState;
+    }
+    return applyInputRules(editorState, api.getEditorState(), {
+      blockTypes: props.blockTypes,
+      inlineStyles: props.inlineStyles,
+      allowBlock: !props.onlyInline
+    });
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * Built in plugin for link entities: renders them and adds the toolbar
+ * buttons to add, edit and remove them
+ */
+
+import React from 'react';
+import { RichUtils } from 'draft-js';
+import { ModalActions } from 'ship-components-dialog';
+import Link from '../Link/Link';
+import LinkModal from '../Link/LinkModal';
+import linkStrategy from '../lib/decorators/linkStrategy';
+import LinkTypes from '../lib/LinkTypes';
+import Entities from '../lib/Entities';
+import { getSanitizeOptions } from '../lib/sanitize';
+import { setLink, getSelectedText } from '../lib/modifiers/setLink';
+
+/**
+ * Toggle a link element, editing it in the popover or the modal depending on
+ * the `linkEditor` prop
+ * @param {string} linkAction
+ * @param {Object} api
+ */
+export function editLink(linkAction, api) {
+  const props = api.getProps();
+  if (!props.editable) {
+    return;
+  }
+
+  const editorState = api.getEditorState();
+  const entityState = api.getEntityState();
+
+  // Find current link, if any
+  const currentLinkEntity = entityState.isEntityType(Entities.Link)
+    ? entityState.getEntity()
+    : null;
+
+  // If selection is collapsed, find selection around full link
+  let selectionState = editorState.getSelection();
+  if (currentLinkEntity && selectionState.isCollapsed()) {
+    selectionState = entityState.getEntitySelection();
+  }
+
+  if (linkAction === 'DELETE') {
+    // Delete a link
+    api.setEditorState(RichUtils.toggleLink(editorState, selectionState, null));
+    return;
+  }
+
+  // Set defaults to the current link
+  const data = currentLinkEntity ? currentLinkEntity.getData() : {};
+
+  if (props.linkEditor !== 'modal') {
+    api.openLinkPopover(selectionState, data.href || '');
+    return;
+  }
+
+  // Ask for link URL, text and title
+  ModalActions.open(
+    <LinkModal
+      title={currentLinkEntity ? 'Edit Link' : 'Add Link'}
+      href={data.href}
+      text={getSelectedText(editorState.getCurrentContent(), selectionState)}
+      linkTitle={data.title}
+      newTab={data.target === '_blank'}
+      sanitizeOptions={getSanitizeOptions(props)}
+    />
+  ).then((modalState) => {
+    const newEditorState = setLink(editorState, selectionState, {
+      href: modalState.href,
+      text: modalState.text,
+      title: modalState.linkTitle,
+      target: modalState.newTab ? '_blank' : void 0
+    }, getSanitizeOptions(api.getProps()));
+    if (newEditorState) {
+      // Update editor with changes
+      api.setEditorState(newEditorState);
+    }
+  }).catch(() => {
+    // User cancelled, do nothing
+  });
+}
+
+export default {
+  name: 'link',
+
+  /**
+   * Add link component support
+   * @param {Object} api
+   * @return {Array}
+   */
+  decorators(api) {
+    return [{
+      entityType: Entities.Link,
+      strategy: linkStrategy,
+      component: Link,
+      props: {
+        sanitizeOptions: getSanitizeOptions(api.getProps())
+      }
+    }];
+  },
+
+  /**
+   * Open the link dialog from the 'link' key command, e.g. Mod+K
+   * @param {string} command
+   * @param {EditorState} editorState
+   * @param {Object} api
+   * @return {string}
+   */
+  handleKeyCommand(command, editorState, api) {
+    if (command !== 'link' || !api.getProps().inlineStyles.has(Entities.Link)) {
+      return 'not-handled';
+    }
+    editLink('EDIT', api);
+    return 'handled';
+  },
+
+  /**
+   * Add or edit a link, depending on whether one is selected
+   * @param {Object} api
+   * @return {Array}
+   */
+  toolbarButtons(api) {
+    const props = api.getProps();
+    const selectionState = api.getEditorState().getSelection();
+    const currentIsLink = api.getEntityState().isEntityType(Entities.Link);
+
+    return LinkTypes
+      // Allow user to create links
+      .filter(type => props.inlineStyles.has(Entities.Link) && type.whenLink === currentIsLink)
+      .map(type => Object.assign({}, type, {
+        key: type.action,
+        // Determine if the style is active or not
+        active: selectionState.getHasFocus() && currentIsLink,
+        onClick: () => editLink(type.action, api)
+      }));
+  }
+};
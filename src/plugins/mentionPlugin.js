@@ -0,0 +1,67 @@
+/**
+ * Built in plugin for mention entities: renders them and lets the keyboard
+ * pick from the suggestions while one is being typed
+ */
+
+import Mention from '../Mention/Mention';
+import mentionStrategy from '../lib/decorators/mentionStrategy';
+import Entities from '../lib/Entities';
+
+export default {
+  name: 'mention',
+
+  /**
+   * Add mention component support
+   * @param {Object} api
+   * @return {Array}
+   */
+  decorators(api) {
+    const { onMentionClick } = api.getProps();
+    return [{
+      entityType: Entities.Mention,
+      strategy: mentionStrategy,
+      component: Mention,
+      props: {
+        // Call the latest callback
+        onClick: typeof onMentionClick === 'function' ? (data, event) => api.getProps().onMentionClick(data, event) : undefined
+      }
+    }];
+  },
+
+  /**
+   * Move through, pick and dismiss suggestions
+   * @param {Event} event
+   * @param {Object} api
+   * @return {string|undefined}
+   */
+  keyBindingFn(event, api) {
+    if (!api.getAutocomplete().isOpen()) {
+      return undefined;
+    }
+    switch (event.keyCode) {
+    case 38:
+      // up arrow
+      api.getAutocomplete().moveSelection('up', event);
+      event.preventDefault();
+      return 'handled';
+    case 40:
+      // down arrow
+      api.getAutocomplete().moveSelection('down', event);
+      event.preventDefault();
+      return 'handled';
+    case 13:
+      // enter, unless there's nothing to pick so it starts a new line
+      if (!api.getAutocomplete().clickSelection(event)) {
+        return undefined;
+      }
+      event.preventDefault();
+      return 'handled';
+    case 27:
+      // escape
+      api.getAutocomplete().dismiss();
+      event.preventDefault();
+      return 'handled';
+    }
+    return undefined;
+  }
+};